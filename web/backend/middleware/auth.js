@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Default lifetime of a signed initData payload (seconds)
+const DEFAULT_MAX_AGE = 24 * 60 * 60;
+
+/**
+ * Verify Telegram WebApp initData signature and freshness
+ * @see https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ * @param {string} initData - Raw Telegram.WebApp.initData query string
+ * @param {string} botToken - Token of the bot that opened the MiniApp
+ * @param {number} [maxAge] - Maximum accepted age of auth_date in seconds
+ * @returns {{ user: Object, auth_date: number, start_param: string|null }} Verified payload
+ * @throws {Error} If the payload is missing, forged or expired
+ */
+const verifyInitData = (initData, botToken, maxAge = DEFAULT_MAX_AGE) => {
+  if (!initData) throw new Error('initData is required');
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash) throw new Error('initData hash is missing');
+  params.delete('hash');
+
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const hashBuffer = Buffer.from(hash, 'hex');
+  if (hashBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(hashBuffer, expectedBuffer)) {
+    throw new Error('initData signature is invalid');
+  }
+
+  const authDate = parseInt(params.get('auth_date'), 10);
+  if (!authDate) throw new Error('initData auth_date is missing');
+  if (Date.now() / 1000 - authDate > maxAge) throw new Error('initData has expired');
+
+  let user;
+  try {
+    user = JSON.parse(params.get('user'));
+  } catch {
+    user = null;
+  }
+  if (!user?.id) throw new Error('initData user is missing');
+
+  return { user, auth_date: authDate, start_param: params.get('start_param') };
+};
+
+/**
+ * Express middleware that authenticates requests by Telegram initData.
+ * Expects `Authorization: tma <initData>`, or an `init_data` query parameter
+ * for EventSource streams that cannot send headers, and attaches the verified
+ * identity to `req.user` ({ id, username }) and the payload to `req.initData`.
+ * @param {{ botToken: string, maxAge?: number }} options
+ * @returns {import('express').RequestHandler}
+ */
+const createAuthMiddleware = ({ botToken, maxAge = DEFAULT_MAX_AGE }) => {
+  if (!botToken) throw new Error('TELEGRAM_BOT_TOKEN not found in .env');
+  return (req, res, next) => {
+    let [scheme, initData] = (req.get('authorization') || '').split(' ');
+    if (!initData && typeof req.query.init_data === 'string') {
+      [scheme, initData] = ['tma', req.query.init_data];
+    }
+    if (scheme !== 'tma' || !initData) {
+      return res.status(401).json({ ok: false, message: 'telegram authorization required' });
+    }
+    try {
+      const payload = verifyInitData(initData, botToken, maxAge);
+      req.initData = payload;
+      req.user = {
+        id: payload.user.id.toString(),
+        username: payload.user.username || payload.user.first_name || `User${payload.user.id}`,
+      };
+      return next();
+    } catch (error) {
+      return res.status(401).json({ ok: false, message: error.message });
+    }
+  };
+};
+
+/**
+ * Hide the `init_data` query parameter of a URL, so logs never hold a
+ * replayable credential
+ * @param {string} url - Request URL, e.g. `req.originalUrl`
+ * @returns {string}
+ */
+const redactInitData = (url) => url.replace(/([?&]init_data=)[^&]*/, '$1[redacted]');
+
+module.exports = { verifyInitData, createAuthMiddleware, redactInitData };
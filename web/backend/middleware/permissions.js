@@ -0,0 +1,108 @@
+/**
+ * Role-based authorization.
+ * - `admin` manages everything: all lobbies, roles, settings, the question bank and the audit log
+ * - `host` creates lobbies and runs only the lobbies they own
+ * - `player` joins lobbies and plays
+ * Guards run after the auth middleware and load the caller's user record,
+ * since roles may change between requests.
+ */
+
+const ROLES = ['admin', 'host', 'player'];
+
+// Roles that may create lobbies
+const HOST_ROLES = ['admin', 'host'];
+
+/**
+ * Parse a comma-separated list of Telegram user ids, e.g. `ADMIN_IDS=1,2`
+ * @param {string} [value]
+ * @returns {string[]} Unique ids
+ * @throws {Error} If an entry is not a numeric id
+ */
+const parseUserIds = (value) => {
+  const ids = String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+  const invalid = ids.find(id => !/^\d+$/.test(id));
+  if (invalid) throw new Error(`Invalid admin ID: ${invalid}`);
+  return [...new Set(ids)];
+};
+
+/**
+ * Whether a user may run a lobby's lifecycle: admins any lobby, hosts their own
+ * @param {Object|null} user
+ * @param {Object} lobby
+ * @returns {boolean}
+ */
+const canManageLobby = (user, lobby) => Boolean(user)
+  && (user.role === 'admin' || (user.role === 'host' && String(user.id) === String(lobby.admin_id)));
+
+const deny = (res, status, message) => res.status(status).json({ ok: false, message });
+
+/**
+ * Create the route guards. Each guard attaches the caller's user record to
+ * `req.actor`; `requireLobbyManager` also attaches the lobby to `req.lobby`.
+ * @param {Object} deps
+ * @param {Object} deps.User - User model
+ * @param {Object} deps.Lobby - Lobby model
+ */
+const createPermissions = ({ User, Lobby }) => {
+  /**
+   * Wrap a guard so lookup failures answer 500 instead of reaching Express
+   * @param {string} name - Guard name for the log
+   * @param {Function} guard - async (req, res, next)
+   * @returns {import('express').RequestHandler}
+   */
+  const guarded = (name, guard) => async (req, res, next) => {
+    try {
+      return await guard(req, res, next);
+    } catch (error) {
+      console.error(`Error checking permissions (${name}):`, error);
+      return deny(res, 500, `Failed to check permissions: ${error.message}`);
+    }
+  };
+
+  /**
+   * Only registered users may continue
+   * @returns {import('express').RequestHandler}
+   */
+  const requireUser = () => guarded('user', async (req, res, next) => {
+    req.actor = await User.findByPk(req.user.id);
+    if (!req.actor) return deny(res, 403, 'user is not registered');
+    return next();
+  });
+
+  /**
+   * Only users with one of the given roles may continue
+   * @param {string[]} roles
+   * @param {string} task - What the caller tries to do, for the error message
+   * @returns {import('express').RequestHandler}
+   */
+  const requireRole = (roles, task) => guarded('role', async (req, res, next) => {
+    req.actor = await User.findByPk(req.user.id);
+    if (!req.actor || !roles.includes(req.actor.role)) {
+      return deny(res, 403, `only ${roles.join(' or ')} can ${task}`);
+    }
+    return next();
+  });
+
+  /**
+   * Only admins and the host owning the lobby in `req.params.id` may continue
+   * @param {string} task - What the caller tries to do, for the error message
+   * @returns {import('express').RequestHandler}
+   */
+  const requireLobbyManager = (task) => guarded('lobby', async (req, res, next) => {
+    const [lobby, actor] = await Promise.all([
+      Lobby.findByPk(req.params.id),
+      User.findByPk(req.user.id),
+    ]);
+    if (!lobby) return deny(res, 404, 'lobby not found');
+    if (!canManageLobby(actor, lobby)) {
+      return deny(res, 403, `only the lobby owner or an admin can ${task}`);
+    }
+    req.actor = actor;
+    req.lobby = lobby;
+    return next();
+  });
+
+  return { requireUser, requireRole, requireLobbyManager };
+};
+
+module.exports = { ROLES, HOST_ROLES, parseUserIds, canManageLobby, createPermissions };
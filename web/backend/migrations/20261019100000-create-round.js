@@ -0,0 +1,46 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('rounds', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      lobby_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      round_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      player_ids: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      eliminated_ids: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      deadline: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+    });
+    await queryInterface.addIndex('rounds', ['lobby_id', 'round_number'], { unique: true });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('rounds');
+  },
+};
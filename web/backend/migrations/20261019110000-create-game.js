@@ -0,0 +1,43 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('games', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      lobby_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+      },
+      winner_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+      },
+      players_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      rounds_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('games');
+  },
+};
@@ -0,0 +1,45 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('game_participants', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      game_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'games', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      user_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+      },
+      username: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      placement: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      eliminated_round: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      is_winner: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+    });
+    await queryInterface.addIndex('game_participants', ['game_id', 'user_id'], { unique: true });
+    await queryInterface.addIndex('game_participants', ['user_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('game_participants');
+  },
+};
@@ -0,0 +1,11 @@
+module.exports = {
+  up: async (queryInterface) => {
+    // players_count was never maintained before; recount it from users.lobby_id
+    await queryInterface.sequelize.query(`
+      UPDATE lobbies
+      SET players_count = (SELECT COUNT(*) FROM users WHERE users.lobby_id = lobbies.id)
+    `);
+  },
+
+  down: async () => {},
+};
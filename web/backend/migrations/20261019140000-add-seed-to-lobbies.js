@@ -0,0 +1,17 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('lobbies', 'seed', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('lobbies', 'seed_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('lobbies', 'seed_hash');
+    await queryInterface.removeColumn('lobbies', 'seed');
+  },
+};
@@ -0,0 +1,25 @@
+const ruleColumns = (Sequelize) => ({
+  round_duration: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 3 },
+  elimination_fraction: { type: Sequelize.FLOAT, allowNull: false, defaultValue: 0.5 },
+  elimination_count: { type: Sequelize.INTEGER, allowNull: true },
+  min_survivors: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+  max_rounds: { type: Sequelize.INTEGER, allowNull: true },
+});
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of ['lobbies', 'settings']) {
+      for (const [column, definition] of Object.entries(ruleColumns(Sequelize))) {
+        await queryInterface.addColumn(table, column, definition);
+      }
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const table of ['lobbies', 'settings']) {
+      for (const column of Object.keys(ruleColumns(Sequelize))) {
+        await queryInterface.removeColumn(table, column);
+      }
+    }
+  },
+};
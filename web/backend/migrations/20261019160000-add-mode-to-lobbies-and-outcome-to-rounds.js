@@ -0,0 +1,18 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('lobbies', 'mode', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'classic',
+    });
+    await queryInterface.addColumn('rounds', 'outcome', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('rounds', 'outcome');
+    await queryInterface.removeColumn('lobbies', 'mode');
+  },
+};
@@ -0,0 +1,22 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of ['lobbies', 'settings']) {
+      await queryInterface.addColumn(table, 'starting_lives', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 3,
+      });
+    }
+    await queryInterface.addColumn('game_participants', 'lives_left', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('game_participants', 'lives_left');
+    for (const table of ['lobbies', 'settings']) {
+      await queryInterface.removeColumn(table, 'starting_lives');
+    }
+  },
+};
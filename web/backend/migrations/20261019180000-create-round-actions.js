@@ -0,0 +1,53 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('rounds', 'setup', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+    await queryInterface.createTable('round_actions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      round_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'rounds', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      lobby_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      user_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+      },
+      type: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      value: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      reaction_ms: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex('round_actions', ['round_id', 'user_id'], { unique: true });
+    await queryInterface.addIndex('round_actions', ['user_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('round_actions');
+    await queryInterface.removeColumn('rounds', 'setup');
+  },
+};
@@ -0,0 +1,49 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('questions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      category: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'general',
+      },
+      difficulty: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'medium',
+      },
+      text: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      choices: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+      },
+      answer_index: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    });
+    await queryInterface.addIndex('questions', ['category', 'difficulty']);
+    await queryInterface.addColumn('lobbies', 'mode_options', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('lobbies', 'mode_options');
+    await queryInterface.dropTable('questions');
+  },
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('lobbies', 'visibility', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'public',
+    });
+    await queryInterface.addColumn('lobbies', 'invite_code', {
+      type: Sequelize.STRING(16),
+      allowNull: true,
+    });
+    // Existing lobbies get a random code too, so every lobby can be shared
+    await queryInterface.sequelize.query(`
+      UPDATE lobbies
+      SET invite_code = UPPER(SUBSTRING(MD5(RANDOM()::text || id::text) FROM 1 FOR 8))
+      WHERE invite_code IS NULL
+    `);
+    await queryInterface.changeColumn('lobbies', 'invite_code', {
+      type: Sequelize.STRING(16),
+      allowNull: false,
+    });
+    await queryInterface.addIndex('lobbies', ['invite_code'], { unique: true });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('lobbies', ['invite_code']);
+    await queryInterface.removeColumn('lobbies', 'invite_code');
+    await queryInterface.removeColumn('lobbies', 'visibility');
+  },
+};
@@ -0,0 +1,48 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('audit_events', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      actor_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+      },
+      action: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      target_type: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      target_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      before: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      after: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+    await queryInterface.addIndex('audit_events', ['created_at']);
+    await queryInterface.addIndex('audit_events', ['actor_id']);
+    await queryInterface.addIndex('audit_events', ['target_type', 'target_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('audit_events');
+  },
+};
@@ -0,0 +1,43 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('bans', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      user_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+      },
+      lobby_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_by: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+    await queryInterface.addIndex('bans', ['user_id']);
+    await queryInterface.addIndex('bans', ['lobby_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('bans');
+  },
+};
@@ -0,0 +1,83 @@
+// Lobby values that move from the settings row into the default preset
+const valueColumns = (Sequelize) => ({
+  max_players: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 100 },
+  start_delay: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 60 },
+  round_duration: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 3 },
+  elimination_fraction: { type: Sequelize.FLOAT, allowNull: false, defaultValue: 0.5 },
+  elimination_count: { type: Sequelize.INTEGER, allowNull: true },
+  min_survivors: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+  max_rounds: { type: Sequelize.INTEGER, allowNull: true },
+  starting_lives: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 3 },
+});
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const columns = valueColumns(Sequelize);
+    const names = Object.keys(columns).join(', ');
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('lobby_presets', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        name: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true,
+        },
+        ...columns,
+        mode: { type: Sequelize.STRING, allowNull: false, defaultValue: 'classic' },
+        mode_options: { type: Sequelize.JSONB, allowNull: true },
+        visibility: { type: Sequelize.STRING, allowNull: false, defaultValue: 'public' },
+        created_by: { type: Sequelize.BIGINT, allowNull: true },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+      }, { transaction });
+      await queryInterface.addColumn('settings', 'default_preset_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'lobby_presets', key: 'id' },
+        onDelete: 'SET NULL',
+      }, { transaction });
+      // The current global settings become the "Default" preset
+      await queryInterface.sequelize.query(
+        `INSERT INTO lobby_presets (name, ${names})
+         SELECT 'Default', ${names} FROM settings ORDER BY id LIMIT 1`,
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        `UPDATE settings SET default_preset_id = (SELECT id FROM lobby_presets WHERE name = 'Default')`,
+        { transaction }
+      );
+      for (const column of Object.keys(columns)) {
+        await queryInterface.removeColumn('settings', column, { transaction });
+      }
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const columns = valueColumns(Sequelize);
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const [column, definition] of Object.entries(columns)) {
+        await queryInterface.addColumn('settings', column, definition, { transaction });
+      }
+      await queryInterface.sequelize.query(
+        `UPDATE settings SET ${Object.keys(columns).map(column => `${column} = p.${column}`).join(', ')}
+         FROM lobby_presets p WHERE p.id = settings.default_preset_id`,
+        { transaction }
+      );
+      await queryInterface.removeColumn('settings', 'default_preset_id', { transaction });
+      await queryInterface.dropTable('lobby_presets', { transaction });
+    });
+  },
+};
@@ -0,0 +1,83 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ledger_transactions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      reason: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      note: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      lobby_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      game_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      created_by: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+    await queryInterface.addIndex('ledger_transactions', ['lobby_id']);
+    await queryInterface.addIndex('ledger_transactions', ['game_id']);
+    await queryInterface.createTable('ledger_entries', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      transaction_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'ledger_transactions', key: 'id' },
+      },
+      account: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      user_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+      },
+      amount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+    await queryInterface.addIndex('ledger_entries', ['transaction_id']);
+    await queryInterface.addIndex('ledger_entries', ['account']);
+    await queryInterface.addIndex('ledger_entries', ['user_id']);
+    await queryInterface.addColumn('users', 'balance', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('users', 'balance');
+    await queryInterface.dropTable('ledger_entries');
+    await queryInterface.dropTable('ledger_transactions');
+  },
+};
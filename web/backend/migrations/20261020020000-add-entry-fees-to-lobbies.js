@@ -0,0 +1,24 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('lobbies', 'entry_fee', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn('lobbies', 'prize_split', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('lobbies', 'house_cut', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('lobbies', 'house_cut');
+    await queryInterface.removeColumn('lobbies', 'prize_split');
+    await queryInterface.removeColumn('lobbies', 'entry_fee');
+  },
+};
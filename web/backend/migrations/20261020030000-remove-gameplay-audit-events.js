@@ -0,0 +1,10 @@
+module.exports = {
+  up: async (queryInterface) => {
+    // Taps, answers and votes are no longer audited; the old vote entries held anonymous ballots
+    await queryInterface.bulkDelete('audit_events', {
+      action: ['round.tap', 'round.answer', 'round.vote'],
+    });
+  },
+
+  down: async () => {},
+};
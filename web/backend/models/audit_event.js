@@ -0,0 +1,21 @@
+module.exports = (sequelize, DataTypes) => {
+  const AuditEvent = sequelize.define('audit_event', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    actor_id: { type: DataTypes.BIGINT, allowNull: false }, // User whose request made the change
+    action: { type: DataTypes.STRING, allowNull: false }, // e.g. 'lobby.create', see services/audit
+    target_type: { type: DataTypes.STRING, allowNull: false }, // 'lobby', 'user', 'settings' or 'question'
+    target_id: { type: DataTypes.STRING, allowNull: true }, // Id of the changed record, if it has one
+    before: { type: DataTypes.JSONB, allowNull: true }, // State before the change
+    after: { type: DataTypes.JSONB, allowNull: true }, // State after the change
+    created_at: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+  }, {
+    tableName: 'audit_events',
+    timestamps: false,
+    indexes: [
+      { fields: ['created_at'] },
+      { fields: ['actor_id'] },
+      { fields: ['target_type', 'target_id'] },
+    ],
+  });
+  return AuditEvent;
+};
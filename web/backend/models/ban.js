@@ -0,0 +1,19 @@
+module.exports = (sequelize, DataTypes) => {
+  const Ban = sequelize.define('ban', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    user_id: { type: DataTypes.BIGINT, allowNull: false }, // Banned user
+    lobby_id: { type: DataTypes.INTEGER, allowNull: true }, // Lobby the ban applies to, null for every lobby
+    reason: { type: DataTypes.STRING(255), allowNull: true },
+    expires_at: { type: DataTypes.DATE, allowNull: true }, // Null for a permanent ban
+    created_by: { type: DataTypes.BIGINT, allowNull: false }, // Admin or host who issued the ban
+    created_at: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+  }, {
+    tableName: 'bans',
+    timestamps: false,
+    indexes: [
+      { fields: ['user_id'] },
+      { fields: ['lobby_id'] },
+    ],
+  });
+  return Ban;
+};
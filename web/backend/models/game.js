@@ -0,0 +1,15 @@
+module.exports = (sequelize, DataTypes) => {
+  const Game = sequelize.define('game', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    lobby_id: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+    winner_id: { type: DataTypes.BIGINT, allowNull: true },
+    players_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    rounds_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    started_at: { type: DataTypes.DATE, allowNull: false },
+    finished_at: { type: DataTypes.DATE, allowNull: false },
+  }, {
+    tableName: 'games',
+    timestamps: false,
+  });
+  return Game;
+};
@@ -0,0 +1,20 @@
+module.exports = (sequelize, DataTypes) => {
+  const GameParticipant = sequelize.define('game_participant', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    game_id: { type: DataTypes.INTEGER, allowNull: false },
+    user_id: { type: DataTypes.BIGINT, allowNull: false },
+    username: { type: DataTypes.STRING, allowNull: false }, // Snapshot at the end of the game
+    placement: { type: DataTypes.INTEGER, allowNull: false },
+    eliminated_round: { type: DataTypes.INTEGER, allowNull: true }, // null for survivors
+    lives_left: { type: DataTypes.INTEGER, allowNull: true }, // Only for modes with lives
+    is_winner: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  }, {
+    tableName: 'game_participants',
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['game_id', 'user_id'] },
+      { fields: ['user_id'] },
+    ],
+  });
+  return GameParticipant;
+};
@@ -0,0 +1,28 @@
+// The ledger is append-only: mistakes are corrected with new transactions
+const appendOnly = () => { throw new Error('ledger entries are append-only'); };
+
+module.exports = (sequelize, DataTypes) => {
+  const LedgerEntry = sequelize.define('ledger_entry', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    transaction_id: { type: DataTypes.INTEGER, allowNull: false }, // The entries of a transaction sum to zero
+    account: { type: DataTypes.STRING, allowNull: false }, // `user:<id>` or a system account
+    user_id: { type: DataTypes.BIGINT, allowNull: true }, // Owner of a user account
+    amount: { type: DataTypes.INTEGER, allowNull: false }, // Positive credits, negative debits
+    created_at: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+  }, {
+    tableName: 'ledger_entries',
+    timestamps: false,
+    indexes: [
+      { fields: ['transaction_id'] },
+      { fields: ['account'] },
+      { fields: ['user_id'] },
+    ],
+    hooks: {
+      beforeUpdate: appendOnly,
+      beforeBulkUpdate: appendOnly,
+      beforeDestroy: appendOnly,
+      beforeBulkDestroy: appendOnly,
+    },
+  });
+  return LedgerEntry;
+};
@@ -0,0 +1,28 @@
+// Like its entries, a ledger transaction is never changed once written
+const appendOnly = () => { throw new Error('ledger transactions are append-only'); };
+
+module.exports = (sequelize, DataTypes) => {
+  const LedgerTransaction = sequelize.define('ledger_transaction', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    reason: { type: DataTypes.STRING, allowNull: false }, // One of LEDGER_REASONS (see services/wallet.js)
+    note: { type: DataTypes.STRING(255), allowNull: true }, // Required for admin grants and revokes
+    lobby_id: { type: DataTypes.INTEGER, allowNull: true },
+    game_id: { type: DataTypes.INTEGER, allowNull: true },
+    created_by: { type: DataTypes.BIGINT, allowNull: true }, // Admin behind a grant or revoke, null for the game
+    created_at: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+  }, {
+    tableName: 'ledger_transactions',
+    timestamps: false,
+    indexes: [
+      { fields: ['lobby_id'] },
+      { fields: ['game_id'] },
+    ],
+    hooks: {
+      beforeUpdate: appendOnly,
+      beforeBulkUpdate: appendOnly,
+      beforeDestroy: appendOnly,
+      beforeBulkDestroy: appendOnly,
+    },
+  });
+  return LedgerTransaction;
+};
@@ -1,11 +1,43 @@
+const { LOBBY_STATUSES } = require('../services/lobbyState');
+const { LOBBY_VISIBILITIES } = require('../services/invites');
+
 module.exports = (sequelize, DataTypes) => {
   const Lobby = sequelize.define('lobby', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
     admin_id: { type: DataTypes.BIGINT, allowNull: false },
-    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'waiting' },
-    players_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    name: { type: DataTypes.STRING(64), allowNull: true }, // Shown in the lobby browser; "Lobby #<id>" when empty
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'waiting',
+      validate: { isIn: [LOBBY_STATUSES] }, // Transitions are enforced by services/lobbyState
+    },
+    players_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Kept in sync by the join/exit routes
     start_delay: { type: DataTypes.INTEGER, allowNull: true },
     max_players: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 100 }, // Новая колонка
+    starts_at: { type: DataTypes.DATE, allowNull: true }, // Scheduled start time
+    seed: { type: DataTypes.STRING(64), allowNull: true }, // Secret, revealed when the game is over
+    seed_hash: { type: DataTypes.STRING(64), allowNull: true }, // Published SHA-256 commitment to `seed`
+    visibility: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'public',
+      validate: { isIn: [LOBBY_VISIBILITIES] }, // Private lobbies are joined with `invite_code` only
+    },
+    invite_code: { type: DataTypes.STRING(16), allowNull: false, unique: true }, // See services/invites
+    mode: { type: DataTypes.STRING, allowNull: false, defaultValue: 'classic' }, // See services/modes
+    mode_options: { type: DataTypes.JSONB, allowNull: true }, // Mode-specific settings, e.g. trivia category
+    // Elimination rules (see services/rules.js)
+    round_duration: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+    elimination_fraction: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0.5 },
+    elimination_count: { type: DataTypes.INTEGER, allowNull: true },
+    min_survivors: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+    max_rounds: { type: DataTypes.INTEGER, allowNull: true },
+    starting_lives: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+    // Entry fee and prize pool (see services/prizePool.js)
+    entry_fee: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Coins; 0 is a free lobby
+    prize_split: { type: DataTypes.JSONB, allowNull: true }, // Percent of the pool per place, e.g. [70, 20, 10]
+    house_cut: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Percent of the pool kept by the house
   }, {
     tableName: 'lobbies',
     timestamps: false,
@@ -0,0 +1,32 @@
+const { LOBBY_VISIBILITIES } = require('../services/invites');
+
+module.exports = (sequelize, DataTypes) => {
+  const LobbyPreset = sequelize.define('lobby_preset', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    name: { type: DataTypes.STRING(64), allowNull: false, unique: true }, // Shown in the admin panel's preset picker
+    max_players: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 100 },
+    start_delay: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 60 }, // Seconds from creation to start
+    mode: { type: DataTypes.STRING, allowNull: false, defaultValue: 'classic' }, // See services/modes
+    mode_options: { type: DataTypes.JSONB, allowNull: true },
+    visibility: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'public',
+      validate: { isIn: [LOBBY_VISIBILITIES] },
+    },
+    // Elimination rules (see services/rules.js)
+    round_duration: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+    elimination_fraction: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0.5 },
+    elimination_count: { type: DataTypes.INTEGER, allowNull: true },
+    min_survivors: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+    max_rounds: { type: DataTypes.INTEGER, allowNull: true },
+    starting_lives: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+    created_by: { type: DataTypes.BIGINT, allowNull: true }, // Null for the preset made from the old global settings
+  }, {
+    tableName: 'lobby_presets',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+  });
+  return LobbyPreset;
+};
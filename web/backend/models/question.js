@@ -0,0 +1,23 @@
+const { DIFFICULTIES } = require('../services/questionBank');
+
+module.exports = (sequelize, DataTypes) => {
+  const Question = sequelize.define('question', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    category: { type: DataTypes.STRING, allowNull: false, defaultValue: 'general' },
+    difficulty: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'medium',
+      validate: { isIn: [DIFFICULTIES] },
+    },
+    text: { type: DataTypes.TEXT, allowNull: false },
+    choices: { type: DataTypes.JSONB, allowNull: false }, // Answer options in display order
+    answer_index: { type: DataTypes.INTEGER, allowNull: false }, // Never sent to clients before the round ends
+    created_at: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+  }, {
+    tableName: 'questions',
+    timestamps: false,
+    indexes: [{ fields: ['category', 'difficulty'] }],
+  });
+  return Question;
+};
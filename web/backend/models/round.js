@@ -0,0 +1,19 @@
+module.exports = (sequelize, DataTypes) => {
+  const Round = sequelize.define('round', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    lobby_id: { type: DataTypes.INTEGER, allowNull: false },
+    round_number: { type: DataTypes.INTEGER, allowNull: false },
+    player_ids: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] }, // Alive when the round started
+    eliminated_ids: { type: DataTypes.JSONB, allowNull: true }, // Filled in when the round is resolved
+    setup: { type: DataTypes.JSONB, allowNull: true }, // Game-mode data fixed when the round opens; may be secret
+    outcome: { type: DataTypes.JSONB, allowNull: true }, // Game-mode data of the resolved round
+    started_at: { type: DataTypes.DATE, allowNull: false },
+    deadline: { type: DataTypes.DATE, allowNull: false },
+    resolved_at: { type: DataTypes.DATE, allowNull: true },
+  }, {
+    tableName: 'rounds',
+    timestamps: false,
+    indexes: [{ unique: true, fields: ['lobby_id', 'round_number'] }],
+  });
+  return Round;
+};
@@ -0,0 +1,20 @@
+module.exports = (sequelize, DataTypes) => {
+  const RoundAction = sequelize.define('round_action', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    round_id: { type: DataTypes.INTEGER, allowNull: false },
+    lobby_id: { type: DataTypes.INTEGER, allowNull: false },
+    user_id: { type: DataTypes.BIGINT, allowNull: false },
+    type: { type: DataTypes.STRING, allowNull: false }, // e.g. 'tap'
+    value: { type: DataTypes.JSONB, allowNull: true }, // Mode-specific payload
+    reaction_ms: { type: DataTypes.INTEGER, allowNull: true }, // Time since the round's window opened
+    created_at: { type: DataTypes.DATE, allowNull: false }, // Server time the action arrived
+  }, {
+    tableName: 'round_actions',
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['round_id', 'user_id'] },
+      { fields: ['user_id'] },
+    ],
+  });
+  return RoundAction;
+};
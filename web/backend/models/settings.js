@@ -1,18 +1,13 @@
 module.exports = (sequelize, DataTypes) => {
   const Settings = sequelize.define('settings', {
-    max_players: {
+    // Preset used for lobbies created without one (see services/presets.js)
+    default_preset_id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
-      defaultValue: 100,
-    },
-    start_delay: {
-      type: DataTypes.INTEGER,
-      allowNull: false,
-      defaultValue: 60,
+      allowNull: true,
     },
   }, {
-    timestamps: true,
+    timestamps: false, // The settings table has no timestamp columns
     tableName: 'settings',
   });
   return Settings;
-};
\ No newline at end of file
+};
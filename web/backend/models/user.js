@@ -4,6 +4,7 @@ module.exports = (sequelize, DataTypes) => {
     username: { type: DataTypes.STRING, allowNull: false },
     role: { type: DataTypes.STRING, allowNull: false, defaultValue: 'player' },
     lobby_id: { type: DataTypes.INTEGER, allowNull: true },
+    balance: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Coins; kept in step with ledger_entries
   }, {
     tableName: 'users',
     timestamps: false,
@@ -4,6 +4,31 @@ const { Sequelize, Op } = require('sequelize');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const { createAuthMiddleware, redactInitData } = require('./middleware/auth');
+const { ROLES, HOST_ROLES, parseUserIds, canManageLobby, createPermissions } = require('./middleware/permissions');
+const { createRoundEngine, RoundActionError } = require('./services/roundEngine');
+const { createEventHub } = require('./services/events');
+const { createLobbyScheduler } = require('./services/scheduler');
+const {
+  createStatsService,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  LEADERBOARD_METRICS,
+  LEADERBOARD_PERIODS,
+} = require('./services/stats');
+const {
+  LobbyTransitionError, LOBBY_STATUSES, OPEN_STATUSES, IDLE_STATUSES, transitionLobby,
+} = require('./services/lobbyState');
+const { createSeed, sortPlayerIds } = require('./services/fairness');
+const { parseRules, pickRules } = require('./services/rules');
+const { MODES, listModes } = require('./services/modes');
+const { DIFFICULTIES, parseImport, createQuestionBank } = require('./services/questionBank');
+const { LOBBY_VISIBILITIES, createInviteCode, normalizeInviteCode } = require('./services/invites');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES, createAuditLog } = require('./services/audit');
+const { MAX_BAN_REASON_LENGTH, describeBan, createBanService } = require('./services/bans');
+const { DEFAULT_PRESET_NAME, parseLimits, parsePreset, pickPreset, formatPreset } = require('./services/presets');
+const { WalletError, parseAdjustment, createWallet } = require('./services/wallet');
+const { parsePrizeConfig, createPrizePools } = require('./services/prizePool');
 
 const app = express();
 
@@ -19,14 +44,27 @@ try {
 }
 
 // Middleware
+// Question bank imports carry whole files, so they get a larger body limit
+app.use('/questions/import', express.json({ limit: '2mb' }));
 app.use(express.json());
-app.use(morgan('combined'));
+// The `combined` format, with the initData of event streams kept out of the URL
+morgan.token('safe-url', (req) => redactInitData(req.originalUrl || req.url));
+app.use(morgan(
+  ':remote-addr - :remote-user [:date[clf]] ":method :safe-url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent"'
+));
 app.use(cors({
   origin: [process.env.VITE_FRONTEND_DOMAIN, process.env.VITE_BACKEND_DOMAIN],
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'ngrok-skip-browser-warning'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'ngrok-skip-browser-warning'],
 }));
 
+// Every route except the health check requires verified Telegram initData
+const authenticate = createAuthMiddleware({
+  botToken: process.env.TELEGRAM_BOT_TOKEN,
+  maxAge: parseInt(process.env.INIT_DATA_MAX_AGE, 10) || undefined,
+});
+app.use((req, res, next) => (req.path === '/health' ? next() : authenticate(req, res, next)));
+
 // Database setup
 const sequelize = new Sequelize(
   process.env.DB_NAME,
@@ -42,20 +80,21 @@ const sequelize = new Sequelize(
 
 const User = require('./models/user')(sequelize, Sequelize.DataTypes);
 const Lobby = require('./models/lobby')(sequelize, Sequelize.DataTypes);
-const Settings = sequelize.define('Settings', {
-  max_players: {
-    type: Sequelize.INTEGER,
-    allowNull: false,
-    defaultValue: 100,
-  },
-  start_delay: {
-    type: Sequelize.INTEGER,
-    allowNull: false,
-    defaultValue: 60,
-  },
-}, {
-  timestamps: true,
-});
+const Round = require('./models/round')(sequelize, Sequelize.DataTypes);
+const Game = require('./models/game')(sequelize, Sequelize.DataTypes);
+const GameParticipant = require('./models/game_participant')(sequelize, Sequelize.DataTypes);
+const RoundAction = require('./models/round_action')(sequelize, Sequelize.DataTypes);
+const Question = require('./models/question')(sequelize, Sequelize.DataTypes);
+const AuditEvent = require('./models/audit_event')(sequelize, Sequelize.DataTypes);
+const Ban = require('./models/ban')(sequelize, Sequelize.DataTypes);
+const LedgerTransaction = require('./models/ledger_transaction')(sequelize, Sequelize.DataTypes);
+const LedgerEntry = require('./models/ledger_entry')(sequelize, Sequelize.DataTypes);
+Game.hasMany(GameParticipant, { as: 'participants', foreignKey: 'game_id' });
+GameParticipant.belongsTo(Game, { foreignKey: 'game_id' });
+LedgerTransaction.hasMany(LedgerEntry, { foreignKey: 'transaction_id' });
+LedgerEntry.belongsTo(LedgerTransaction, { foreignKey: 'transaction_id' });
+const Settings = require('./models/settings')(sequelize, Sequelize.DataTypes);
+const LobbyPreset = require('./models/lobby_preset')(sequelize, Sequelize.DataTypes);
 
 // Utility function to send standardized API responses
 const sendResponse = (res, statusCode, ok, message, result = null) => {
@@ -69,11 +108,13 @@ const initializeDatabase = async () => {
   try {
     await sequelize.authenticate();
     await sequelize.sync();
-    // Ensure default settings exist
-    const existingSettings = await Settings.findOne();
-    if (!existingSettings) {
-      await Settings.create({ max_players: 100, start_delay: 60 });
-      console.log('Default settings created');
+    // Ensure the settings row and the default preset exist
+    const settings = await Settings.findOne() || await Settings.create({});
+    if (!settings.default_preset_id) {
+      const preset = await LobbyPreset.findOne({ where: { name: DEFAULT_PRESET_NAME } })
+        || await LobbyPreset.create({ name: DEFAULT_PRESET_NAME });
+      await settings.update({ default_preset_id: preset.id });
+      console.log('Default preset created');
     }
     console.log('Database connection established successfully');
   } catch (error) {
@@ -82,48 +123,240 @@ const initializeDatabase = async () => {
   }
 };
 
-// Sync admin role from environment variable
+// Admins listed in the environment (`ADMIN_IDS`, or the older single `ADMIN_ID`)
+const ENV_ADMIN_IDS = parseUserIds(process.env.ADMIN_IDS || process.env.ADMIN_ID);
+
+// Promote the admins listed in the environment; roles granted in the admin panel are kept
 const syncAdminsFromEnv = async () => {
-  const adminId = process.env.ADMIN_ID?.trim() || '12345';
-  if (!adminId) throw new Error('ADMIN_ID not found in .env');
-  if (isNaN(adminId)) throw new Error(`Invalid admin ID: ${adminId}`);
-  await sequelize.transaction(async (t) => {
-    await User.update({ role: 'admin' }, { where: { id: adminId }, transaction: t });
-    await User.update(
-      { role: 'player' },
-      { where: { id: { [Op.ne]: adminId }, role: 'admin' }, transaction: t }
-    );
-  });
+  if (!ENV_ADMIN_IDS.length) {
+    console.warn('ADMIN_IDS is empty in .env; only admins granted in the admin panel can manage the game');
+    return;
+  }
+  await User.update({ role: 'admin' }, { where: { id: ENV_ADMIN_IDS } });
+};
+
+// Bring cached wallet balances back in line with the ledger
+const reconcileWallets = async () => {
+  const { mismatches, unbalanced } = await wallet.reconcile({ fix: true });
+  if (mismatches.length) console.warn('Wallet balances corrected from the ledger:', mismatches);
+  if (unbalanced.length) console.error('Ledger transactions that do not sum to zero:', unbalanced);
 };
 
-// Get default lobby settings from database
+// Get the default preset id and its lobby values from database
 const getDefaultSettings = async () => {
-  const settings = await Settings.findOne() || { max_players: 100, start_delay: 60 };
+  const settings = await Settings.findOne();
+  const preset = settings?.default_preset_id ? await LobbyPreset.findByPk(settings.default_preset_id) : null;
   return {
-    max_players: settings.max_players,
-    start_delay: settings.start_delay,
+    default_preset_id: preset?.id ?? null,
+    ...pickPreset(preset),
   };
 };
 
-// In-memory storage for lobby results
-const lobbyResults = {};
+// Push channel for lobby and round updates
+const events = createEventHub();
+
+// Ids of private lobbies, whose events stay off the lobby list channel; visibility never changes once created
+const privateLobbyIds = new Set();
+
+// Load the ids of private lobbies from database
+const loadPrivateLobbies = async () => {
+  const lobbies = await Lobby.findAll({ where: { visibility: 'private' }, attributes: ['id'] });
+  lobbies.forEach(lobby => privateLobbyIds.add(lobby.id));
+};
+
+// Publish a lobby event to its own channel, and to the lobby list channel for public lobbies
+const emitLobbyEvent = (lobbyId, event, data = {}) => {
+  const payload = { lobby_id: Number(lobbyId), ...data };
+  events.publish(`lobby:${lobbyId}`, event, payload);
+  if (!privateLobbyIds.has(Number(lobbyId))) events.publish('lobbies', event, payload);
+};
+
+const questionBank = createQuestionBank({ Question, Round });
+const wallet = createWallet({ sequelize, User, LedgerTransaction, LedgerEntry });
+const prizePools = createPrizePools({ sequelize, LedgerTransaction, LedgerEntry, wallet });
+const roundEngine = createRoundEngine({
+  sequelize, Lobby, User, Round, Game, GameParticipant, RoundAction, questionBank, wallet, prizePools,
+  emit: emitLobbyEvent,
+});
+const stats = createStatsService({ sequelize, Game, GameParticipant });
+const audit = createAuditLog({ AuditEvent, User });
+const bans = createBanService({ Ban });
+const { requireUser, requireRole, requireLobbyManager } = createPermissions({ User, Lobby });
+
+// Longest lobby name accepted by POST /lobbies
+const MAX_LOBBY_NAME_LENGTH = 64;
+
+// Length of the pre-game countdown (seconds)
+const START_COUNTDOWN = 10;
+
+// Moves scheduled lobbies into their countdown and starts them on time
+const scheduler = createLobbyScheduler({
+  Lobby,
+  Op,
+  countdown: START_COUNTDOWN,
+  onCountdown: async (lobbyId) => {
+    const lobby = await Lobby.findByPk(lobbyId);
+    if (lobby?.status === 'waiting') await beginCountdown(lobby.id);
+  },
+  onStart: async (lobbyId) => {
+    await roundEngine.startGame(lobbyId);
+  },
+});
 
 /**
- * Create a new user
+ * Move a waiting lobby into its pre-game countdown
+ * @param {number} lobbyId
+ * @param {Date} [startsAt] - New start time; keeps the scheduled one when omitted
+ * @returns {Promise<Object|null>} Updated lobby, or null if it does not exist
+ * @throws {LobbyTransitionError} If the lobby is not waiting
+ */
+const beginCountdown = async (lobbyId, startsAt = null) => {
+  const lobby = await sequelize.transaction(async (t) => {
+    const lobby = await Lobby.findByPk(lobbyId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!lobby) return null;
+    const changes = startsAt ? { starts_at: startsAt } : {};
+    await transitionLobby(lobby, 'countdown', { changes, transaction: t });
+    return lobby;
+  });
+  if (!lobby) return null;
+  scheduler.schedule(lobby);
+  emitLobbyEvent(lobby.id, 'lobby_countdown', { starts_at: lobby.starts_at });
+  return lobby;
+};
+
+/**
+ * Reserve a seat in an open lobby. The check and the increment are a single
+ * UPDATE, so concurrent joins can never push players_count past max_players.
+ * @param {number} lobbyId
+ * @param {import('sequelize').Transaction} [transaction]
+ * @returns {Promise<boolean>} false if the lobby is full or no longer open
+ */
+const takeSeat = async (lobbyId, transaction) => {
+  const [updated] = await Lobby.update(
+    { players_count: sequelize.literal('players_count + 1') },
+    {
+      where: {
+        id: lobbyId,
+        status: OPEN_STATUSES,
+        players_count: { [Op.lt]: sequelize.col('max_players') },
+      },
+      transaction,
+    }
+  );
+  return updated > 0;
+};
+
+/**
+ * Release a seat taken with takeSeat
+ * @param {number} lobbyId
+ * @param {import('sequelize').Transaction} [transaction]
+ */
+const releaseSeat = (lobbyId, transaction) => Lobby.update(
+  { players_count: sequelize.literal('players_count - 1') },
+  { where: { id: lobbyId, players_count: { [Op.gt]: 0 } }, transaction }
+);
+
+// Lobbies that can be watched as they run
+const SPECTATABLE_STATUSES = ['countdown', 'playing'];
+
+// Open spectator streams of a lobby
+const countSpectators = (lobbyId) => events.count(`spectators:${lobbyId}`);
+
+// Lobby fields kept in the audit log; the seed and invite code stay out of it
+const auditLobby = (lobby) => ({
+  name: lobby.name,
+  status: lobby.status,
+  players_count: lobby.players_count,
+  max_players: lobby.max_players,
+  starts_at: lobby.starts_at,
+  visibility: lobby.visibility,
+  mode: lobby.mode,
+});
+
+// Invite codes are shown to a lobby's owner, its players and admins
+const canSeeInvite = (user, lobby) => canManageLobby(user, lobby)
+  || (Boolean(user) && (user.id === lobby.admin_id || user.lobby_id === lobby.id));
+
+// Private lobbies are watched only by those who may see their invite code, or who hold it
+const canWatchLobby = (user, lobby, inviteCode) => lobby.visibility !== 'private'
+  || canSeeInvite(user, lobby) || normalizeInviteCode(inviteCode) === lobby.invite_code;
+
+// Shape a lobby and its players for API responses; `viewer` decides whether the invite code is included
+const formatLobby = (lobby, players, viewer = null) => ({
+  id: lobby.id,
+  name: lobby.name,
+  admin_id: lobby.admin_id,
+  status: lobby.status,
+  players_count: players.length,
+  start_delay: lobby.start_delay,
+  max_players: lobby.max_players,
+  starts_at: lobby.starts_at,
+  seed_hash: lobby.seed_hash,
+  visibility: lobby.visibility,
+  ...(canSeeInvite(viewer, lobby) ? { invite_code: lobby.invite_code } : {}),
+  mode: lobby.mode,
+  mode_options: lobby.mode_options,
+  rules: pickRules(lobby),
+  entry_fee: lobby.entry_fee,
+  prize_split: lobby.prize_split,
+  house_cut: lobby.house_cut,
+  spectators: countSpectators(lobby.id),
+  players: players.map(p => ({
+    id: p.id,
+    username: p.username,
+    role: p.role,
+  })),
+});
+
+// Load the recorded results of a finished lobby, with the prize pool and each player's payout
+const getLobbyResults = async (lobby) => {
+  const game = await Game.findOne({
+    where: { lobby_id: lobby.id },
+    include: [{ model: GameParticipant, as: 'participants' }],
+    order: [[{ model: GameParticipant, as: 'participants' }, 'placement', 'DESC']],
+  });
+  if (!game) return null;
+  const prizePool = await prizePools.describe(lobby);
+  const payouts = new Map(prizePool.payouts.map(p => [String(p.user_id), p.amount]));
+  const leaderboard = game.participants.map(p => ({
+    user_id: p.user_id,
+    username: p.username,
+    eliminated_round: p.eliminated_round,
+    lives_left: p.lives_left,
+    placement: p.placement,
+    payout: payouts.get(String(p.user_id)) || 0,
+  }));
+  const winner = leaderboard.find(p => p.user_id === game.winner_id);
+  return {
+    game_id: game.id,
+    started_at: game.started_at,
+    finished_at: game.finished_at,
+    rounds_count: game.rounds_count,
+    leaderboard,
+    winner: winner ? { user_id: winner.user_id, username: winner.username } : null,
+    prize_pool: prizePool,
+  };
+};
+
+/**
+ * Register the authenticated Telegram user
  * @route POST /users
  */
 app.post('/users', async (req, res) => {
-  const { id, username, role = 'player' } = req.body;
-  if (!id || !username) return sendResponse(res, 400, false, 'id and username are required');
+  const { id, username } = req.user;
   try {
-    const userExists = await User.findByPk(id.toString());
+    const userExists = await User.findByPk(id);
     if (userExists) return sendResponse(res, 409, false, 'user already exists');
     const newUser = await User.create({
-      id: id.toString(),
-      username: username.toString(),
-      role,
+      id,
+      username,
+      role: ENV_ADMIN_IDS.includes(String(id)) ? 'admin' : 'player',
       lobby_id: null,
     });
+    await audit.record({
+      actorId: id, action: 'user.create', targetType: 'user', targetId: newUser.id,
+      after: { username: newUser.username, role: newUser.role },
+    });
     return sendResponse(res, 200, true, 'user created', {
       id: newUser.id,
       username: newUser.username,
@@ -136,20 +369,31 @@ app.post('/users', async (req, res) => {
 });
 
 /**
- * Get all users
+ * Whether the caller may read a user's wallet: the owner or an admin
+ * @param {Object} actor - Caller's user record
+ * @param {string} userId
+ * @returns {boolean}
+ */
+const canReadWallet = (actor, userId) => actor.role === 'admin' || String(actor.id) === String(userId);
+
+/**
+ * Get all users; admins also see every balance
  * @route GET /users
  */
 app.get('/users', async (req, res) => {
   try {
-    const users = await User.findAll({
-      attributes: ['id', 'username', 'role', 'lobby_id']
-    });
+    const [users, actor] = await Promise.all([
+      User.findAll({ attributes: ['id', 'username', 'role', 'lobby_id', 'balance'] }),
+      User.findByPk(req.user.id),
+    ]);
     return sendResponse(res, 200, true, 'users retrieved', {
       users: users.map(u => ({
         id: u.id,
         username: u.username,
         role: u.role,
         lobby_id: u.lobby_id,
+        // Balances are private to their owner and admins
+        ...(actor && canReadWallet(actor, u.id) ? { balance: u.balance } : {}),
       })),
     });
   } catch (error) {
@@ -180,19 +424,209 @@ app.get('/users/:id', async (req, res) => {
   }
 });
 
+/**
+ * Get a user's statistics over all finished games
+ * @route GET /users/:id/stats
+ */
+app.get('/users/:id/stats', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, { attributes: ['id', 'username'] });
+    if (!user) return sendResponse(res, 404, false, 'user not found');
+    const result = await stats.getStats(user.id);
+    return sendResponse(res, 200, true, 'stats retrieved', { ...result, username: user.username });
+  } catch (error) {
+    console.error('Error retrieving stats:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve stats: ${error.message}`);
+  }
+});
+
+/**
+ * Get a page of a user's game history, most recent first
+ * @route GET /users/:id/games?limit=20&offset=0
+ */
+app.get('/users/:id/games', async (req, res) => {
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return sendResponse(res, 400, false, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return sendResponse(res, 400, false, 'offset must be a non-negative integer');
+  }
+  try {
+    const user = await User.findByPk(req.params.id, { attributes: ['id'] });
+    if (!user) return sendResponse(res, 404, false, 'user not found');
+    const result = await stats.getGames(user.id, { limit, offset });
+    return sendResponse(res, 200, true, 'games retrieved', result);
+  } catch (error) {
+    console.error('Error retrieving games:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve games: ${error.message}`);
+  }
+});
+
+/**
+ * Get a user's coin balance
+ * @route GET /users/:id/wallet
+ */
+app.get('/users/:id/wallet', requireUser(), async (req, res) => {
+  if (!canReadWallet(req.actor, req.params.id)) {
+    return sendResponse(res, 403, false, 'only the wallet owner or an admin can read this wallet');
+  }
+  try {
+    const user = await User.findByPk(req.params.id, { attributes: ['id', 'username', 'balance'] });
+    if (!user) return sendResponse(res, 404, false, 'user not found');
+    return sendResponse(res, 200, true, 'wallet retrieved', {
+      user_id: user.id,
+      username: user.username,
+      balance: user.balance,
+    });
+  } catch (error) {
+    console.error('Error retrieving wallet:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve wallet: ${error.message}`);
+  }
+});
+
+/**
+ * Get a page of a user's wallet transactions, most recent first
+ * @route GET /users/:id/wallet/transactions?limit=20&offset=0
+ */
+app.get('/users/:id/wallet/transactions', requireUser(), async (req, res) => {
+  if (!canReadWallet(req.actor, req.params.id)) {
+    return sendResponse(res, 403, false, 'only the wallet owner or an admin can read this wallet');
+  }
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return sendResponse(res, 400, false, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return sendResponse(res, 400, false, 'offset must be a non-negative integer');
+  }
+  try {
+    const user = await User.findByPk(req.params.id, { attributes: ['id'] });
+    if (!user) return sendResponse(res, 404, false, 'user not found');
+    const result = await wallet.listEntries(user.id, { limit, offset });
+    return sendResponse(res, 200, true, 'transactions retrieved', result);
+  } catch (error) {
+    console.error('Error retrieving transactions:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve transactions: ${error.message}`);
+  }
+});
+
+/**
+ * Give a user coins; `reason` is required and stored in the ledger
+ * @route POST /users/:id/wallet/grant
+ */
+app.post('/users/:id/wallet/grant', requireRole(['admin'], 'grant coins'), async (req, res) => {
+  const { amount, note, error } = parseAdjustment(req.body);
+  if (error) return sendResponse(res, 400, false, error);
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) return sendResponse(res, 404, false, 'user not found');
+    const before = { balance: user.balance };
+    const ledgerTransaction = await wallet.grant(user.id, amount, note, req.user.id);
+    await user.reload();
+    await audit.record({
+      actorId: req.user.id, action: 'wallet.grant', targetType: 'wallet', targetId: user.id,
+      before, after: { balance: user.balance, amount, reason: note, transaction_id: ledgerTransaction.id },
+    });
+    return sendResponse(res, 200, true, 'coins granted', { user_id: user.id, balance: user.balance });
+  } catch (error) {
+    console.error('Error granting coins:', error);
+    return sendResponse(res, 500, false, `Failed to grant coins: ${error.message}`);
+  }
+});
+
+/**
+ * Take coins back from a user; `reason` is required and stored in the ledger
+ * @route POST /users/:id/wallet/revoke
+ */
+app.post('/users/:id/wallet/revoke', requireRole(['admin'], 'revoke coins'), async (req, res) => {
+  const { amount, note, error } = parseAdjustment(req.body);
+  if (error) return sendResponse(res, 400, false, error);
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) return sendResponse(res, 404, false, 'user not found');
+    const before = { balance: user.balance };
+    const ledgerTransaction = await wallet.revoke(user.id, amount, note, req.user.id);
+    await user.reload();
+    await audit.record({
+      actorId: req.user.id, action: 'wallet.revoke', targetType: 'wallet', targetId: user.id,
+      before, after: { balance: user.balance, amount, reason: note, transaction_id: ledgerTransaction.id },
+    });
+    return sendResponse(res, 200, true, 'coins revoked', { user_id: user.id, balance: user.balance });
+  } catch (error) {
+    if (error instanceof WalletError) return sendResponse(res, error.status, false, error.message);
+    console.error('Error revoking coins:', error);
+    return sendResponse(res, 500, false, `Failed to revoke coins: ${error.message}`);
+  }
+});
+
+/**
+ * Recompute the cached wallet balances from the ledger and correct the ones
+ * that disagree; also reports ledger transactions that don't sum to zero
+ * @route POST /admin/wallets/reconcile
+ */
+app.post('/admin/wallets/reconcile', requireRole(['admin'], 'reconcile wallets'), async (req, res) => {
+  try {
+    const result = await wallet.reconcile({ fix: true });
+    if (result.mismatches.length) {
+      await audit.record({
+        actorId: req.user.id, action: 'wallet.reconcile', targetType: 'wallet',
+        before: { balances: result.mismatches.map(({ user_id, cached }) => ({ user_id, balance: cached })) },
+        after: { balances: result.mismatches.map(({ user_id, ledger }) => ({ user_id, balance: ledger })) },
+      });
+    }
+    return sendResponse(res, 200, true, 'wallets reconciled', result);
+  } catch (error) {
+    console.error('Error reconciling wallets:', error);
+    return sendResponse(res, 500, false, `Failed to reconcile wallets: ${error.message}`);
+  }
+});
+
+/**
+ * Rank players across all finished games, including the caller's own rank
+ * @route GET /leaderboards?metric=wins&period=all&limit=20
+ */
+app.get('/leaderboards', async (req, res) => {
+  const { metric = 'wins', period = 'all' } = req.query;
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  if (!LEADERBOARD_METRICS.includes(metric)) {
+    return sendResponse(res, 400, false, `metric must be one of: ${LEADERBOARD_METRICS.join(', ')}`);
+  }
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    return sendResponse(res, 400, false, `period must be one of: ${LEADERBOARD_PERIODS.join(', ')}`);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return sendResponse(res, 400, false, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  try {
+    const result = await stats.getLeaderboard({ metric, period, limit, userId: req.user.id });
+    return sendResponse(res, 200, true, 'leaderboard retrieved', result);
+  } catch (error) {
+    console.error('Error retrieving leaderboard:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve leaderboard: ${error.message}`);
+  }
+});
+
 /**
  * Update user role
  * @route POST /users/:id/role
  */
-app.post('/users/:id/role', async (req, res) => {
+app.post('/users/:id/role', requireRole(['admin'], 'change roles'), async (req, res) => {
   const { role } = req.body;
-  if (!role || !['player', 'admin'].includes(role)) {
-    return sendResponse(res, 400, false, 'valid role is required');
+  if (!role || !ROLES.includes(role)) {
+    return sendResponse(res, 400, false, `role must be one of: ${ROLES.join(', ')}`);
   }
   try {
+    const actor = req.actor;
     const user = await User.findByPk(req.params.id);
     if (!user) return sendResponse(res, 404, false, 'user not found');
+    const before = { role: user.role };
     await user.update({ role });
+    await audit.record({
+      actorId: actor.id, action: 'user.role', targetType: 'user', targetId: user.id, before, after: { role: user.role },
+    });
     return sendResponse(res, 200, true, 'role updated', {
       id: user.id,
       username: user.username,
@@ -205,32 +639,95 @@ app.post('/users/:id/role', async (req, res) => {
 });
 
 /**
- * Create a new lobby
+ * Create a new lobby from the preset `preset_id`, or the default preset when
+ * none is given; values in the body override the preset. The game starts at
+ * `starts_at` (ISO date) when given, otherwise `start_delay` seconds after creation.
  * @route POST /lobbies
  */
-app.post('/lobbies', async (req, res) => {
-  const { admin_id, start_delay, max_players } = req.body;
-  console.log('Received lobby creation request:', { admin_id, start_delay, max_players });
-  if (!admin_id) return sendResponse(res, 400, false, 'admin_id is required');
+app.post('/lobbies', requireRole(HOST_ROLES, 'create lobbies'), async (req, res) => {
+  const { start_delay, max_players, starts_at, preset_id } = req.body;
+  const admin_id = req.user.id;
+  console.log('Received lobby creation request:', { admin_id, preset_id, start_delay, max_players, starts_at });
+  const startsAt = starts_at ? new Date(starts_at) : null;
+  if (startsAt && (isNaN(startsAt.getTime()) || startsAt.getTime() <= Date.now())) {
+    return sendResponse(res, 400, false, 'starts_at must be a future date');
+  }
+  const name = req.body.name ? String(req.body.name).trim() : null;
+  if (name && name.length > MAX_LOBBY_NAME_LENGTH) {
+    return sendResponse(res, 400, false, `name must be at most ${MAX_LOBBY_NAME_LENGTH} characters`);
+  }
   try {
-    const admin = await User.findByPk(admin_id.toString());
-    if (!admin) return sendResponse(res, 404, false, 'admin not found');
-    const defaults = await getDefaultSettings();
+    let preset;
+    if (preset_id) {
+      const found = await LobbyPreset.findByPk(preset_id);
+      if (!found) return sendResponse(res, 404, false, 'preset not found');
+      preset = pickPreset(found);
+    } else {
+      preset = await getDefaultSettings();
+    }
+    // Values sent with the request override the preset
+    const { limits, error: limitsError } = parseLimits(req.body, preset);
+    if (limitsError) return sendResponse(res, 400, false, limitsError);
+    const { rules, error: rulesError } = parseRules(req.body);
+    if (rulesError) return sendResponse(res, 400, false, rulesError);
+    const mode = req.body.mode || preset.mode;
+    if (!MODES[mode]) {
+      return sendResponse(res, 400, false, `mode must be one of: ${Object.keys(MODES).join(', ')}`);
+    }
+    const rawOptions = req.body.mode_options ?? (mode === preset.mode ? preset.mode_options : null);
+    const { options: modeOptions, error: optionsError } = MODES[mode].parseOptions
+      ? MODES[mode].parseOptions(rawOptions || {})
+      : { options: null, error: null };
+    if (optionsError) return sendResponse(res, 400, false, optionsError);
+    const { config: prizeConfig, error: prizeError } = parsePrizeConfig(req.body);
+    if (prizeError) return sendResponse(res, 400, false, prizeError);
+    const visibility = req.body.visibility || preset.visibility;
+    if (!LOBBY_VISIBILITIES.includes(visibility)) {
+      return sendResponse(res, 400, false, `visibility must be one of: ${LOBBY_VISIBILITIES.join(', ')}`);
+    }
     const lobby = await Lobby.create({
-      admin_id: admin_id.toString(),
+      admin_id,
+      name: name || null,
       status: 'waiting',
       players_count: 0,
-      start_delay: start_delay || defaults.start_delay,
-      max_players: max_players || defaults.max_players,
+      ...limits,
+      starts_at: startsAt || new Date(Date.now() + limits.start_delay * 1000),
+      visibility,
+      invite_code: createInviteCode(),
+      mode,
+      mode_options: modeOptions,
+      ...pickRules(preset),
+      ...rules,
+      ...prizeConfig,
+      ...createSeed(),
+    });
+    // Never log the raw lobby: its seed stays secret until the game is over
+    console.log('Lobby created successfully:', formatLobby(lobby, []));
+    scheduler.schedule(lobby);
+    if (lobby.visibility === 'private') privateLobbyIds.add(lobby.id);
+    emitLobbyEvent(lobby.id, 'lobby_created', { lobby: formatLobby(lobby, []) });
+    await audit.record({
+      actorId: admin_id, action: 'lobby.create', targetType: 'lobby', targetId: lobby.id,
+      after: {
+        ...auditLobby(lobby), rules: pickRules(lobby), mode_options: lobby.mode_options, ...prizeConfig,
+      },
     });
-    console.log('Lobby created successfully:', lobby.toJSON());
     return sendResponse(res, 201, true, 'lobby created', {
       id: lobby.id,
+      name: lobby.name,
       admin_id: lobby.admin_id,
       status: lobby.status,
       players_count: lobby.players_count,
       start_delay: lobby.start_delay,
       max_players: lobby.max_players,
+      starts_at: lobby.starts_at,
+      seed_hash: lobby.seed_hash,
+      visibility: lobby.visibility,
+      invite_code: lobby.invite_code,
+      mode: lobby.mode,
+      mode_options: lobby.mode_options,
+      rules: pickRules(lobby),
+      ...prizeConfig,
     });
   } catch (error) {
     console.error('Error creating lobby:', error.stack);
@@ -239,39 +736,45 @@ app.post('/lobbies', async (req, res) => {
 });
 
 /**
- * Get all lobbies
+ * Get all lobbies; `?mine=true` limits non-admins to lobbies they own and
+ * `?status=playing,countdown` to lobbies in one of the given statuses.
+ * Private lobbies are only listed for admins, their owner and their players.
+ * `banned` tells whether the caller is banned from the lobby.
  * @route GET /lobbies
  */
 app.get('/lobbies', async (req, res) => {
-  const { admin_id } = req.query;
+  const mine = req.query.mine === 'true';
+  const statuses = req.query.status ? String(req.query.status).split(',') : null;
+  if (statuses && statuses.some(status => !LOBBY_STATUSES.includes(status))) {
+    return sendResponse(res, 400, false, `status must be one of: ${LOBBY_STATUSES.join(', ')}`);
+  }
   try {
-    const user = await User.findByPk(admin_id?.toString());
+    const [user, activeBans] = await Promise.all([
+      User.findByPk(req.user.id),
+      bans.listActive(req.user.id),
+    ]);
     const where = {};
-    if (user && user.role !== 'admin') {
-      where.admin_id = admin_id?.toString();
+    if (mine && (!user || user.role !== 'admin')) {
+      where.admin_id = req.user.id;
+    }
+    if (statuses) where.status = statuses;
+    if (user?.role !== 'admin') {
+      where[Op.or] = [
+        { visibility: 'public' },
+        { admin_id: req.user.id },
+        ...(user?.lobby_id ? [{ id: user.lobby_id }] : []),
+      ];
     }
     const lobbies = await Lobby.findAll({ where });
-    const lobbiesWithPlayers = await Promise.all(
-      lobbies.map(async (lobby) => {
-        const players = await User.findAll({
-          where: { lobby_id: lobby.id },
-          attributes: ['id', 'username', 'role']
-        });
-        return {
-          id: lobby.id,
-          admin_id: lobby.admin_id,
-          status: lobby.status,
-          players_count: players.length,
-          start_delay: lobby.start_delay,
-          max_players: lobby.max_players,
-          players: players.map(p => ({
-            id: p.id,
-            username: p.username,
-            role: p.role,
-          })),
-        };
-      })
-    );
+    // Load the players of all lobbies in a single query
+    const players = lobbies.length ? await User.findAll({
+      where: { lobby_id: lobbies.map(lobby => lobby.id) },
+      attributes: ['id', 'username', 'role', 'lobby_id']
+    }) : [];
+    const lobbiesWithPlayers = lobbies.map(lobby => ({
+      ...formatLobby(lobby, players.filter(p => p.lobby_id === lobby.id), user),
+      banned: bans.coversLobby(activeBans, lobby.id),
+    }));
     return sendResponse(res, 200, true, 'lobbies retrieved', lobbiesWithPlayers);
   } catch (error) {
     console.error('Error retrieving lobbies:', error);
@@ -285,28 +788,22 @@ app.get('/lobbies', async (req, res) => {
  */
 app.get('/lobbies/:id', async (req, res) => {
   try {
-    const lobby = await Lobby.findByPk(req.params.id);
+    const [lobby, viewer] = await Promise.all([
+      Lobby.findByPk(req.params.id),
+      User.findByPk(req.user.id),
+    ]);
     if (!lobby) return sendResponse(res, 404, false, 'lobby not found');
     const players = await User.findAll({
       where: { lobby_id: lobby.id },
       attributes: ['id', 'username', 'role']
     });
-    const result = {
-      id: lobby.id,
-      admin_id: lobby.admin_id,
-      status: lobby.status,
-      players_count: players.length,
-      start_delay: lobby.start_delay,
-      max_players: lobby.max_players,
-      players: players.map(p => ({
-        id: p.id,
-        username: p.username,
-        role: p.role,
-      })),
-    };
-    if (lobby.status === 'finished' && lobbyResults[lobby.id]) {
-      result.leaderboard = lobbyResults[lobby.id].leaderboard;
-      result.winner = lobbyResults[lobby.id].winner;
+    const result = { ...formatLobby(lobby, players, viewer), server_time: new Date() };
+    if (lobby.entry_fee) result.prize_pool = await prizePools.describe(lobby);
+    const results = lobby.status === 'finished' ? await getLobbyResults(lobby) : null;
+    if (results) {
+      result.leaderboard = results.leaderboard;
+      result.winner = results.winner;
+      result.prize_pool = results.prize_pool;
     }
     return sendResponse(res, 200, true, 'lobby retrieved', result);
   } catch (error) {
@@ -342,17 +839,21 @@ app.get('/lobbies/:id/players', async (req, res) => {
 });
 
 /**
- * Join a lobby
+ * Join a lobby; private lobbies also need their `invite_code` in the body.
+ * Users banned from the lobby, or from all lobbies, are refused. The lobby's
+ * entry fee is reserved from the player's wallet, and the fee reserved for
+ * their previous lobby given back. Players in a running game must finish or
+ * leave it first.
  * @route POST /lobbies/:id/join
  */
-app.post('/lobbies/:id/join', async (req, res) => {
-  const { user_id } = req.body;
+app.post('/lobbies/:id/join', requireUser(), async (req, res) => {
   const lobbyId = req.params.id;
   const t = await sequelize.transaction();
   try {
+    // Lock the lobby row so concurrent joins are counted one after another
     const [lobby, user] = await Promise.all([
-      Lobby.findByPk(lobbyId, { transaction: t }),
-      User.findByPk(user_id.toString(), { transaction: t }),
+      Lobby.findByPk(lobbyId, { transaction: t, lock: t.LOCK.UPDATE }),
+      User.findByPk(req.user.id, { transaction: t }),
     ]);
     if (!lobby) {
       await t.rollback();
@@ -362,35 +863,117 @@ app.post('/lobbies/:id/join', async (req, res) => {
       await t.rollback();
       return sendResponse(res, 400, false, 'user not found');
     }
-    await user.update({ lobby_id: lobbyId }, { transaction: t });
+    const previousLobbyId = user.lobby_id;
+    if (previousLobbyId === lobby.id) {
+      await t.rollback();
+      return sendResponse(res, 200, true, 'already in lobby', {
+        lobby: { id: lobby.id, admin_id: lobby.admin_id, status: lobby.status },
+      });
+    }
+    // Players can't walk out of a running game by joining another lobby
+    const previousLobby = previousLobbyId ? await Lobby.findByPk(previousLobbyId, { transaction: t }) : null;
+    if (previousLobby?.status === 'playing') {
+      await t.rollback();
+      return sendResponse(res, 409, false, 'finish your current game first');
+    }
+    // Only an open lobby still counts the player's seat and holds their entry fee
+    const leavesOpenLobby = Boolean(previousLobby) && OPEN_STATUSES.includes(previousLobby.status);
+    if (lobby.visibility === 'private' && !canManageLobby(user, lobby)
+      && normalizeInviteCode(req.body?.invite_code) !== lobby.invite_code) {
+      await t.rollback();
+      return sendResponse(res, 403, false, 'this lobby is private; join it with its invite code');
+    }
+    const ban = await bans.findForLobby(user.id, lobby.id, { transaction: t });
+    if (ban) {
+      await t.rollback();
+      return sendResponse(res, 403, false, describeBan(ban));
+    }
+    if (!OPEN_STATUSES.includes(lobby.status)) {
+      await t.rollback();
+      return sendResponse(res, 409, false, `lobby is ${lobby.status}`);
+    }
+    if (leavesOpenLobby) await prizePools.release(previousLobbyId, user.id, { transaction: t });
+    await prizePools.reserve(lobby, user.id, { transaction: t });
+    if (!await takeSeat(lobby.id, t)) {
+      await t.rollback();
+      return sendResponse(res, 409, false, 'lobby is full');
+    }
+    await user.update({ lobby_id: lobby.id }, { transaction: t });
+    if (leavesOpenLobby) await releaseSeat(previousLobbyId, t);
     await t.commit();
+    await lobby.reload();
+    await audit.record({
+      actorId: user.id, action: 'lobby.join', targetType: 'lobby', targetId: lobby.id,
+      before: { lobby_id: previousLobbyId }, after: { lobby_id: lobby.id, players_count: lobby.players_count },
+    });
+    if (previousLobbyId) {
+      emitLobbyEvent(previousLobbyId, 'player_left', { user_id: user.id });
+    }
+    emitLobbyEvent(lobby.id, 'player_joined', { player: { id: user.id, username: user.username, role: user.role } });
+
+    // A full lobby does not wait for its scheduled start
+    if (lobby.status === 'waiting' && lobby.players_count >= lobby.max_players) {
+      const soon = new Date(Date.now() + START_COUNTDOWN * 1000);
+      const startsAt = lobby.starts_at && new Date(lobby.starts_at) < soon ? null : soon;
+      await beginCountdown(lobby.id, startsAt).catch((error) => {
+        if (!(error instanceof LobbyTransitionError)) throw error;
+      });
+      await lobby.reload();
+    }
     return sendResponse(res, 200, true, 'joined lobby', {
       lobby: { id: lobby.id, admin_id: lobby.admin_id, status: lobby.status },
     });
   } catch (error) {
-    await t.rollback();
+    if (!t.finished) await t.rollback();
+    if (error instanceof WalletError) return sendResponse(res, error.status, false, error.message);
     console.error('Error joining lobby:', error);
     return sendResponse(res, 500, false, `Failed to join lobby: ${error.message}`);
   }
 });
 
+/**
+ * Look up the lobby behind an invite code, e.g. from a `startapp` link
+ * @route GET /invites/:code
+ */
+app.get('/invites/:code', async (req, res) => {
+  try {
+    const lobby = await Lobby.findOne({ where: { invite_code: normalizeInviteCode(req.params.code) } });
+    if (!lobby) return sendResponse(res, 404, false, 'invite code not found');
+    return sendResponse(res, 200, true, 'invite retrieved', {
+      id: lobby.id,
+      name: lobby.name,
+      status: lobby.status,
+      visibility: lobby.visibility,
+      mode: lobby.mode,
+      players_count: lobby.players_count,
+      max_players: lobby.max_players,
+      starts_at: lobby.starts_at,
+    });
+  } catch (error) {
+    console.error('Error retrieving invite:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve invite: ${error.message}`);
+  }
+});
+
 /**
  * Delete a lobby
  * @route DELETE /lobbies/:id
  */
-app.delete('/lobbies/:id', async (req, res) => {
-  const { admin_id } = req.body;
+app.delete('/lobbies/:id', requireLobbyManager('delete the lobby'), async (req, res) => {
+  const { lobby, actor: user } = req;
   try {
-    const lobby = await Lobby.findByPk(req.params.id);
-    if (!lobby) return sendResponse(res, 404, false, 'lobby not found');
-    const user = await User.findByPk(admin_id.toString());
-    if (!user || (user.role !== 'admin' && admin_id.toString() !== lobby.admin_id)) {
-      return sendResponse(res, 403, false, 'only admin can delete lobby');
-    }
+    scheduler.cancel(lobby.id);
+    roundEngine.stop(lobby.id);
     await sequelize.transaction(async (t) => {
       await User.update({ lobby_id: null }, { where: { lobby_id: lobby.id }, transaction: t });
+      await Round.destroy({ where: { lobby_id: lobby.id }, transaction: t });
+      await prizePools.refund(lobby.id, { transaction: t });
       await lobby.destroy({ transaction: t });
     });
+    emitLobbyEvent(lobby.id, 'lobby_deleted');
+    await audit.record({
+      actorId: user.id, action: 'lobby.delete', targetType: 'lobby', targetId: lobby.id, before: auditLobby(lobby),
+    });
     return sendResponse(res, 200, true, 'lobby deleted');
   } catch (error) {
     console.error('Error deleting lobby:', error);
@@ -398,19 +981,118 @@ app.delete('/lobbies/:id', async (req, res) => {
   }
 });
 
+// Ban scopes accepted by POST /lobbies/:id/kick
+const BAN_SCOPES = ['lobby', 'global'];
+
 /**
- * Shuffle array for random elimination
+ * Remove a player from a lobby that has not started yet, and optionally ban
+ * them from it (`ban: "lobby"`) or, for admins, from every lobby
+ * (`ban: "global"`), with an optional `reason` and `expires_at` (ISO date).
+ * @route POST /lobbies/:id/kick
  */
-const shuffle = (array) => {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
+app.post('/lobbies/:id/kick', requireLobbyManager('kick players'), async (req, res) => {
+  const { lobby, actor } = req;
+  const { user_id: targetId, ban: scope = null } = req.body;
+  const reason = req.body.reason ? String(req.body.reason).trim() : null;
+  const expiresAt = req.body.expires_at ? new Date(req.body.expires_at) : null;
+  if (!targetId) return sendResponse(res, 400, false, 'user_id is required');
+  if (String(targetId) === String(actor.id)) return sendResponse(res, 400, false, 'you cannot kick yourself');
+  if (scope !== null && !BAN_SCOPES.includes(scope)) {
+    return sendResponse(res, 400, false, `ban must be one of: ${BAN_SCOPES.join(', ')}`);
   }
-  return array;
-};
+  if (scope === 'global' && actor.role !== 'admin') {
+    return sendResponse(res, 403, false, 'only admin can ban players from all lobbies');
+  }
+  if (reason && reason.length > MAX_BAN_REASON_LENGTH) {
+    return sendResponse(res, 400, false, `reason must be at most ${MAX_BAN_REASON_LENGTH} characters`);
+  }
+  if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now())) {
+    return sendResponse(res, 400, false, 'expires_at must be a future date');
+  }
+  const t = await sequelize.transaction();
+  try {
+    // Lock the lobby row so the kick and concurrent joins are counted one after another
+    await lobby.reload({ transaction: t, lock: t.LOCK.UPDATE });
+    const target = await User.findByPk(targetId, { transaction: t });
+    if (!target || target.lobby_id !== lobby.id) {
+      await t.rollback();
+      return sendResponse(res, 400, false, 'user not in this lobby');
+    }
+    if (target.role === 'admin' && actor.role !== 'admin') {
+      await t.rollback();
+      return sendResponse(res, 403, false, 'only admin can kick an admin');
+    }
+    if (!OPEN_STATUSES.includes(lobby.status)) {
+      await t.rollback();
+      return sendResponse(res, 409, false, `lobby is ${lobby.status}`);
+    }
+    await target.update({ lobby_id: null }, { transaction: t });
+    await releaseSeat(lobby.id, t);
+    await prizePools.release(lobby.id, target.id, { transaction: t });
+    const ban = scope ? await Ban.create({
+      user_id: target.id,
+      lobby_id: scope === 'lobby' ? lobby.id : null,
+      reason: reason || null,
+      expires_at: expiresAt,
+      created_by: actor.id,
+    }, { transaction: t }) : null;
+    await t.commit();
+    emitLobbyEvent(lobby.id, 'player_left', { user_id: target.id, kicked: true, banned: Boolean(ban) });
+    await audit.record({
+      actorId: actor.id, action: 'lobby.kick', targetType: 'lobby', targetId: lobby.id,
+      before: { user_id: target.id, lobby_id: lobby.id },
+      after: { user_id: target.id, lobby_id: null, ban: ban ? ban.toJSON() : null },
+    });
+    return sendResponse(res, 200, true, ban ? 'player kicked and banned' : 'player kicked', {
+      user_id: target.id,
+      ban,
+    });
+  } catch (error) {
+    if (!t.finished) await t.rollback();
+    console.error('Error kicking player:', error);
+    return sendResponse(res, 500, false, `Failed to kick player: ${error.message}`);
+  }
+});
+
+/**
+ * List the bans in force, global ones first, optionally for one user
+ * @route GET /bans?user_id=
+ */
+app.get('/bans', requireRole(['admin'], 'list bans'), async (req, res) => {
+  try {
+    const result = await bans.listActive(req.query.user_id);
+    return sendResponse(res, 200, true, 'bans retrieved', result);
+  } catch (error) {
+    console.error('Error retrieving bans:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve bans: ${error.message}`);
+  }
+});
 
 /**
- * Complete a game and retrieve leaderboard
+ * Lift a ban early. Admins lift any ban, hosts the bans of their own lobbies.
+ * @route DELETE /bans/:id
+ */
+app.delete('/bans/:id', requireRole(HOST_ROLES, 'lift bans'), async (req, res) => {
+  try {
+    const ban = await Ban.findByPk(req.params.id);
+    if (!ban) return sendResponse(res, 404, false, 'ban not found');
+    const lobby = ban.lobby_id ? await Lobby.findByPk(ban.lobby_id) : null;
+    if (req.actor.role !== 'admin' && !(lobby && canManageLobby(req.actor, lobby))) {
+      return sendResponse(res, 403, false, 'only admin or the lobby owner can lift this ban');
+    }
+    await ban.destroy();
+    await audit.record({
+      actorId: req.actor.id, action: 'ban.delete', targetType: 'user', targetId: ban.user_id, before: ban.toJSON(),
+    });
+    return sendResponse(res, 200, true, 'ban lifted');
+  } catch (error) {
+    console.error('Error lifting ban:', error);
+    return sendResponse(res, 500, false, `Failed to lift ban: ${error.message}`);
+  }
+});
+
+/**
+ * Retrieve the leaderboard of a finished lobby
  * @route GET /lobbies/:id/complete
  */
 app.get('/lobbies/:id/complete', async (req, res) => {
@@ -422,87 +1104,276 @@ app.get('/lobbies/:id/complete', async (req, res) => {
     const lobby = await Lobby.findByPk(id);
     if (!lobby) return sendResponse(res, 404, false, 'lobby not found');
 
-    if (lobby.status === 'finished' && lobbyResults[id]) {
-      return sendResponse(res, 200, true, 'leaderboard retrieved', lobbyResults[id]);
+    if (lobby.status !== 'finished') {
+      return sendResponse(res, 409, false, `game is ${lobby.status}, not finished`);
     }
 
-    let players = await User.findAll({
-      where: { lobby_id: id },
-      attributes: ['id', 'username', 'lobby_id']
-    });
-    console.log('[BACKEND COMPLETE] Players:', players.map(u => ({ id: u.id, username: u.username, lobby_id: u.lobby_id })));
+    const results = await getLobbyResults(lobby) || { leaderboard: [], winner: null };
+    return sendResponse(res, 200, true, 'leaderboard retrieved', results);
+  } catch (error) {
+    console.error('[BACKEND COMPLETE] Error:', error.message, error.stack);
+    return sendResponse(res, 500, false, `Failed to retrieve leaderboard: ${error.message}`);
+  }
+});
 
-    const leaderboard = [];
-    let winner = null;
+// Players drawn by the seeded PRNG in a round; rounds played before modes stored only eliminations
+const drawnIds = (round) => round.outcome?.drawn_ids || round.eliminated_ids || [];
 
-    if (players.length === 0) {
-      await lobby.update({ status: 'finished' });
-      lobbyResults[id] = { leaderboard: [], winner: null };
-      return sendResponse(res, 200, true, 'leaderboard retrieved with no players', lobbyResults[id]);
-    } else if (players.length === 1) {
-      leaderboard.push({
-        user_id: players[0].id,
-        username: players[0].username,
-        eliminated_round: null,
-      });
-      winner = {
-        user_id: players[0].id,
-        username: players[0].username,
-      };
+/**
+ * Get the commit-reveal data needed to verify a lobby's eliminations.
+ * The seed is revealed only once the game is over.
+ * @route GET /lobbies/:id/fairness
+ */
+app.get('/lobbies/:id/fairness', async (req, res) => {
+  try {
+    const lobby = await Lobby.findByPk(req.params.id);
+    if (!lobby) return sendResponse(res, 404, false, 'lobby not found');
+    const revealed = ['finished', 'cancelled'].includes(lobby.status);
+    const rounds = await Round.findAll({ where: { lobby_id: lobby.id }, order: [['round_number', 'ASC']] });
+    return sendResponse(res, 200, true, 'fairness data retrieved', {
+      lobby_id: lobby.id,
+      status: lobby.status,
+      algorithm: 'sfc32(sha256(`${seed}:${round_number}:${sorted player_ids}`)) Fisher-Yates shuffle, first drawn_count players',
+      seed_hash: lobby.seed_hash,
+      seed: revealed ? lobby.seed : null,
+      rounds: rounds
+        .filter(round => round.resolved_at)
+        .map(round => ({
+          round_number: round.round_number,
+          player_ids: sortPlayerIds(round.player_ids),
+          // Game modes may act on the draw differently (e.g. taking a life instead)
+          drawn_count: drawnIds(round).length,
+          drawn_ids: drawnIds(round),
+          eliminated_ids: round.eliminated_ids || [],
+        })),
+    });
+  } catch (error) {
+    console.error('Error retrieving fairness data:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve fairness data: ${error.message}`);
+  }
+});
+
+/**
+ * Start a lobby: a waiting lobby enters its countdown, a lobby already
+ * in countdown starts playing immediately
+ * @route POST /lobbies/:id/start
+ */
+app.post('/lobbies/:id/start', requireLobbyManager('start the lobby'), async (req, res) => {
+  const { lobby, actor: user } = req;
+  try {
+    const before = auditLobby(lobby);
+    if (lobby.status === 'countdown') {
+      scheduler.cancel(lobby.id);
+      await roundEngine.startGame(lobby.id);
     } else {
-      let round = 1;
-      let activePlayers = shuffle(players.slice());
-
-      while (activePlayers.length > 1) {
-        const toEliminateCount = Math.ceil(activePlayers.length / 2);
-        const eliminated = activePlayers.slice(0, toEliminateCount);
-
-        eliminated.forEach(p =>
-          leaderboard.push({
-            user_id: p.id,
-            username: p.username,
-            eliminated_round: round,
-          })
-        );
-        activePlayers = activePlayers.slice(toEliminateCount);
-        round++;
-      }
-
-      if (activePlayers.length === 1) {
-        leaderboard.push({
-          user_id: activePlayers[0].id,
-          username: activePlayers[0].username,
-          eliminated_round: null,
-        });
-        winner = {
-          user_id: activePlayers[0].id,
-          username: activePlayers[0].username,
-        };
-      }
-    }
-
-    lobbyResults[id] = { leaderboard, winner };
-    await lobby.update({ status: 'finished' });
-    console.log('[BACKEND COMPLETE] Leaderboard:', leaderboard, 'Winner:', winner);
-    return sendResponse(res, 200, true, 'leaderboard retrieved', lobbyResults[id]);
+      await beginCountdown(lobby.id, new Date(Date.now() + START_COUNTDOWN * 1000));
+    }
+    await lobby.reload();
+    await audit.record({
+      actorId: user.id, action: 'lobby.start', targetType: 'lobby', targetId: lobby.id, before, after: auditLobby(lobby),
+    });
+    return sendResponse(res, 200, true, 'lobby started', {
+      id: lobby.id,
+      status: lobby.status,
+      starts_at: lobby.starts_at,
+    });
   } catch (error) {
-    console.error('[BACKEND COMPLETE] Error:', error.message, error.stack);
-    return sendResponse(res, 500, false, `Failed to retrieve leaderboard: ${error.message}`);
+    if (error instanceof LobbyTransitionError) return sendResponse(res, error.status, false, error.message);
+    console.error('Error starting lobby:', error);
+    return sendResponse(res, 500, false, `Failed to start lobby: ${error.message}`);
+  }
+});
+
+/**
+ * Cancel a lobby that has not finished yet, release its players and refund their entry fees
+ * @route POST /lobbies/:id/cancel
+ */
+app.post('/lobbies/:id/cancel', requireLobbyManager('cancel the lobby'), async (req, res) => {
+  const { lobby, actor: user } = req;
+  try {
+    const before = auditLobby(lobby);
+    await sequelize.transaction(async (t) => {
+      await lobby.reload({ transaction: t, lock: t.LOCK.UPDATE });
+      await transitionLobby(lobby, 'cancelled', { changes: { players_count: 0 }, transaction: t });
+      await User.update({ lobby_id: null }, { where: { lobby_id: lobby.id }, transaction: t });
+      await prizePools.refund(lobby.id, { transaction: t });
+    });
+    scheduler.cancel(lobby.id);
+    roundEngine.stop(lobby.id);
+    emitLobbyEvent(lobby.id, 'lobby_cancelled');
+    await audit.record({
+      actorId: user.id, action: 'lobby.cancel', targetType: 'lobby', targetId: lobby.id, before, after: auditLobby(lobby),
+    });
+    return sendResponse(res, 200, true, 'lobby cancelled', { id: lobby.id, status: lobby.status });
+  } catch (error) {
+    if (error instanceof LobbyTransitionError) return sendResponse(res, error.status, false, error.message);
+    console.error('Error cancelling lobby:', error);
+    return sendResponse(res, 500, false, `Failed to cancel lobby: ${error.message}`);
+  }
+});
+
+/**
+ * Finish a playing lobby now by resolving its remaining rounds at once
+ * @route POST /lobbies/:id/finish
+ */
+app.post('/lobbies/:id/finish', requireLobbyManager('finish the lobby'), async (req, res) => {
+  const { lobby, actor: user } = req;
+  try {
+    if (lobby.status !== 'playing') throw new LobbyTransitionError(lobby.status, 'finished');
+    const before = auditLobby(lobby);
+    await roundEngine.finishNow(lobby.id);
+    await lobby.reload();
+    const results = await getLobbyResults(lobby) || { leaderboard: [], winner: null };
+    await audit.record({
+      actorId: user.id, action: 'lobby.finish', targetType: 'lobby', targetId: lobby.id,
+      before, after: { ...auditLobby(lobby), winner_id: results.winner?.user_id ?? null },
+    });
+    return sendResponse(res, 200, true, 'lobby finished', results);
+  } catch (error) {
+    if (error instanceof LobbyTransitionError) return sendResponse(res, error.status, false, error.message);
+    console.error('Error finishing lobby:', error);
+    return sendResponse(res, 500, false, `Failed to finish lobby: ${error.message}`);
+  }
+});
+
+/**
+ * Get the rounds of a lobby's game as run by the server; private lobbies
+ * also need their `invite_code` in the query unless the caller is a member
+ * @route GET /lobbies/:id/rounds
+ */
+app.get('/lobbies/:id/rounds', async (req, res) => {
+  try {
+    const [lobby, viewer] = await Promise.all([
+      Lobby.findByPk(req.params.id),
+      User.findByPk(req.user.id),
+    ]);
+    if (!lobby) return sendResponse(res, 404, false, 'lobby not found');
+    if (!canWatchLobby(viewer, lobby, req.query.invite_code)) {
+      return sendResponse(res, 403, false, 'this lobby is private; watch it with its invite code');
+    }
+    const state = await roundEngine.getState(lobby);
+    return sendResponse(res, 200, true, 'rounds retrieved', { ...state, spectators: countSpectators(lobby.id) });
+  } catch (error) {
+    console.error('Error retrieving rounds:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve rounds: ${error.message}`);
   }
 });
 
 /**
- * Exit a lobby
+ * Tap in the open round of a reaction-tap game. The server timestamps the tap;
+ * taps before the window opens still count, and knock the player out.
+ * @route POST /lobbies/:id/tap
+ */
+app.post('/lobbies/:id/tap', requireUser(), async (req, res) => {
+  try {
+    const action = await roundEngine.submitAction(req.params.id, req.user.id, 'tap');
+    return sendResponse(res, 200, true, 'tap recorded', { reaction_ms: action.reaction_ms });
+  } catch (error) {
+    if (error instanceof RoundActionError) return sendResponse(res, error.status, false, error.message);
+    console.error('Error recording tap:', error);
+    return sendResponse(res, 500, false, `Failed to record tap: ${error.message}`);
+  }
+});
+
+/**
+ * Answer the question of the open round of a trivia game.
+ * Only the choice is acknowledged; the correct answer is revealed when the round ends.
+ * @route POST /lobbies/:id/answer
+ */
+app.post('/lobbies/:id/answer', requireUser(), async (req, res) => {
+  try {
+    const choice = Number(req.body.choice);
+    await roundEngine.submitAction(req.params.id, req.user.id, 'answer', { choice });
+    return sendResponse(res, 200, true, 'answer recorded', { choice });
+  } catch (error) {
+    if (error instanceof RoundActionError) return sendResponse(res, error.status, false, error.message);
+    console.error('Error recording answer:', error);
+    return sendResponse(res, 500, false, `Failed to record answer: ${error.message}`);
+  }
+});
+
+/**
+ * Vote a survivor out in the open round of a voting game.
+ * Each player gets one vote per round; it cannot be changed.
+ * @route POST /lobbies/:id/vote
+ */
+app.post('/lobbies/:id/vote', requireUser(), async (req, res) => {
+  try {
+    const action = await roundEngine.submitAction(req.params.id, req.user.id, 'vote', { target_id: req.body.target_id });
+    // Only the count of votes is public while the round is open
+    emitLobbyEvent(action.lobby_id, 'vote_cast', { round_id: action.round_id });
+    return sendResponse(res, 200, true, 'vote recorded', { target_id: action.value.target_id });
+  } catch (error) {
+    if (error instanceof RoundActionError) return sendResponse(res, error.status, false, error.message);
+    console.error('Error recording vote:', error);
+    return sendResponse(res, 500, false, `Failed to record vote: ${error.message}`);
+  }
+});
+
+/**
+ * Get the vote tallies of a voting game. Who voted for whom is only
+ * included for lobbies with public reveal, and only once a round is over;
+ * for the open round just the number of votes cast and the caller's own vote.
+ * Private lobbies also need their `invite_code` in the query unless the caller is a member.
+ * @route GET /lobbies/:id/votes
+ */
+app.get('/lobbies/:id/votes', async (req, res) => {
+  try {
+    const [lobby, viewer] = await Promise.all([
+      Lobby.findByPk(req.params.id),
+      User.findByPk(req.user.id),
+    ]);
+    if (!lobby) return sendResponse(res, 404, false, 'lobby not found');
+    if (!canWatchLobby(viewer, lobby, req.query.invite_code)) {
+      return sendResponse(res, 403, false, 'this lobby is private; watch it with its invite code');
+    }
+    if (lobby.mode !== 'voting') return sendResponse(res, 400, false, 'lobby is not a voting game');
+    const rounds = await Round.findAll({ where: { lobby_id: lobby.id }, order: [['round_number', 'ASC']] });
+    const current = rounds.find(round => !round.resolved_at);
+    const currentVotes = current
+      ? await RoundAction.findAll({ where: { round_id: current.id, type: 'vote' } })
+      : [];
+    const myVote = currentVotes.find(action => String(action.user_id) === String(req.user.id));
+    return sendResponse(res, 200, true, 'votes retrieved', {
+      lobby_id: lobby.id,
+      reveal: lobby.mode_options?.reveal || 'anonymous',
+      rounds: rounds
+        .filter(round => round.resolved_at)
+        .map(round => ({
+          round_number: round.round_number,
+          eliminated_ids: round.eliminated_ids || [],
+          tally: round.outcome?.tally || {},
+          votes_cast: round.outcome?.votes_cast ?? 0,
+          votes: round.outcome?.votes || null,
+          tie_break: Boolean(round.outcome?.tie_break),
+        })),
+      current_round: current
+        ? {
+          round_number: current.round_number,
+          votes_cast: currentVotes.length,
+          voters: current.player_ids.length,
+          my_vote: myVote ? myVote.value.target_id : null,
+        }
+        : null,
+    });
+  } catch (error) {
+    console.error('Error retrieving votes:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve votes: ${error.message}`);
+  }
+});
+
+/**
+ * Exit a lobby that has no game in progress; an entry fee not yet collected
+ * into the prize pool is given back
  * @route POST /lobbies/:id/exit
  */
-app.post('/lobbies/:id/exit', async (req, res) => {
-  const { user_id } = req.body;
+app.post('/lobbies/:id/exit', requireUser(), async (req, res) => {
   const lobbyId = req.params.id;
   const t = await sequelize.transaction();
   try {
     const [lobby, user] = await Promise.all([
-      Lobby.findByPk(lobbyId, { transaction: t }),
-      User.findByPk(user_id.toString(), { transaction: t }),
+      Lobby.findByPk(lobbyId, { transaction: t, lock: t.LOCK.UPDATE }),
+      User.findByPk(req.user.id, { transaction: t }),
     ]);
     if (!lobby) {
       await t.rollback();
@@ -512,12 +1383,26 @@ app.post('/lobbies/:id/exit', async (req, res) => {
       await t.rollback();
       return sendResponse(res, 400, false, 'user not found');
     }
-    if (user.lobby_id !== lobbyId) {
+    if (user.lobby_id !== lobby.id) {
       await t.rollback();
       return sendResponse(res, 400, false, 'user not in this lobby');
     }
+    if (!IDLE_STATUSES.includes(lobby.status)) {
+      await t.rollback();
+      return sendResponse(res, 409, false, `lobby is ${lobby.status}; wait for the game to finish`);
+    }
     await user.update({ lobby_id: null }, { transaction: t });
+    // Only an open lobby still counts the player's seat and holds their entry fee
+    if (OPEN_STATUSES.includes(lobby.status)) {
+      await releaseSeat(lobby.id, t);
+      await prizePools.release(lobby.id, user.id, { transaction: t });
+    }
     await t.commit();
+    emitLobbyEvent(lobby.id, 'player_left', { user_id: user.id });
+    await audit.record({
+      actorId: user.id, action: 'lobby.exit', targetType: 'lobby', targetId: lobby.id,
+      before: { lobby_id: lobby.id }, after: { lobby_id: null },
+    });
     return sendResponse(res, 200, true, 'user exited lobby', {
       lobby: { id: lobby.id, admin_id: lobby.admin_id, status: lobby.status },
     });
@@ -529,29 +1414,31 @@ app.post('/lobbies/:id/exit', async (req, res) => {
 });
 
 /**
- * Reset lobby for all players (clear lobby_id)
+ * Reset lobby for all players (clear lobby_id), unless its game is in progress
  * @route POST /lobbies/:id/reset
  */
-app.post('/lobbies/:id/reset', async (req, res) => {
-  const { user_id } = req.body;
-  const lobbyId = req.params.id;
+app.post('/lobbies/:id/reset', requireLobbyManager('reset the lobby'), async (req, res) => {
+  const { lobby, actor: user } = req;
   const t = await sequelize.transaction();
   try {
-    const lobby = await Lobby.findByPk(lobbyId, { transaction: t });
-    if (!lobby) {
+    await lobby.reload({ transaction: t, lock: t.LOCK.UPDATE });
+    if (!IDLE_STATUSES.includes(lobby.status)) {
       await t.rollback();
-      return sendResponse(res, 404, false, 'lobby not found');
-    }
-    const user = await User.findByPk(user_id.toString(), { transaction: t });
-    if (!user) {
-      await t.rollback();
-      return sendResponse(res, 404, false, 'user not found');
+      return sendResponse(res, 409, false, `lobby is ${lobby.status}; finish or cancel it first`);
     }
     await User.update(
       { lobby_id: null },
-      { where: { lobby_id: lobbyId }, transaction: t }
+      { where: { lobby_id: lobby.id }, transaction: t }
     );
+    await prizePools.releaseAll(lobby.id, { transaction: t });
+    const before = { players_count: lobby.players_count };
+    await lobby.update({ players_count: 0 }, { transaction: t });
     await t.commit();
+    emitLobbyEvent(lobby.id, 'lobby_reset');
+    await audit.record({
+      actorId: user.id, action: 'lobby.reset', targetType: 'lobby', targetId: lobby.id,
+      before, after: { players_count: 0 },
+    });
     return sendResponse(res, 200, true, 'lobby reset for all players');
   } catch (error) {
     await t.rollback();
@@ -561,19 +1448,112 @@ app.post('/lobbies/:id/reset', async (req, res) => {
 });
 
 /**
- * Update lobby settings (save to database)
- * @route POST /settings
+ * List the available game modes
+ * @route GET /modes
+ */
+app.get('/modes', (req, res) => sendResponse(res, 200, true, 'modes retrieved', listModes()));
+
+/**
+ * Import trivia questions from a JSON array or CSV file; all or nothing
+ * @route POST /questions/import
  */
-app.post('/settings', async (req, res) => {
-  const { max_players, start_delay } = req.body;
-  if (!max_players || !start_delay || isNaN(max_players) || isNaN(start_delay) || max_players < 1 || start_delay < 5) {
-    return sendResponse(res, 400, false, 'Invalid max_players or start_delay');
+app.post('/questions/import', requireRole(['admin'], 'manage questions'), async (req, res) => {
+  try {
+    const { questions, error } = parseImport(req.body.format, req.body.content);
+    if (error) return sendResponse(res, 400, false, error);
+    const created = await Question.bulkCreate(questions);
+    console.log(`[QUESTIONS] Imported ${questions.length} questions`);
+    await audit.record({
+      actorId: req.user.id, action: 'question.import', targetType: 'question',
+      after: { imported: created.length, ids: created.map(question => question.id) },
+    });
+    return sendResponse(res, 201, true, 'questions imported', { imported: questions.length });
+  } catch (error) {
+    console.error('Error importing questions:', error);
+    return sendResponse(res, 500, false, `Failed to import questions: ${error.message}`);
   }
+});
+
+/**
+ * Count the questions of every category and difficulty; hosts use it to set up trivia lobbies
+ * @route GET /questions/summary
+ */
+app.get('/questions/summary', requireRole(HOST_ROLES, 'read the question bank'), async (req, res) => {
   try {
+    return sendResponse(res, 200, true, 'question summary retrieved', {
+      difficulties: DIFFICULTIES,
+      categories: await questionBank.summary(),
+    });
+  } catch (error) {
+    console.error('Error retrieving question summary:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve question summary: ${error.message}`);
+  }
+});
+
+/**
+ * List questions, newest first, including their answers
+ * @route GET /questions?category=&difficulty=&limit=20&offset=0
+ */
+app.get('/questions', requireRole(['admin'], 'manage questions'), async (req, res) => {
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return sendResponse(res, 400, false, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return sendResponse(res, 400, false, 'offset must be a non-negative integer');
+  }
+  const where = {};
+  if (req.query.category) where.category = req.query.category;
+  if (req.query.difficulty) where.difficulty = req.query.difficulty;
+  try {
+    const { count, rows } = await Question.findAndCountAll({ where, order: [['id', 'DESC']], limit, offset });
+    return sendResponse(res, 200, true, 'questions retrieved', { total: count, limit, offset, questions: rows });
+  } catch (error) {
+    console.error('Error retrieving questions:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve questions: ${error.message}`);
+  }
+});
+
+/**
+ * Delete a question
+ * @route DELETE /questions/:id
+ */
+app.delete('/questions/:id', requireRole(['admin'], 'manage questions'), async (req, res) => {
+  try {
+    const question = await Question.findByPk(req.params.id);
+    if (!question) return sendResponse(res, 404, false, 'question not found');
+    await question.destroy();
+    await audit.record({
+      actorId: req.user.id, action: 'question.delete', targetType: 'question', targetId: question.id,
+      before: question.toJSON(),
+    });
+    return sendResponse(res, 200, true, 'question deleted');
+  } catch (error) {
+    console.error('Error deleting question:', error);
+    return sendResponse(res, 500, false, `Failed to delete question: ${error.message}`);
+  }
+});
+
+/**
+ * Choose the default preset, used for lobbies created without `preset_id`
+ * @route POST /settings
+ */
+app.post('/settings', requireRole(['admin'], 'change settings'), async (req, res) => {
+  const { default_preset_id } = req.body;
+  if (!default_preset_id) return sendResponse(res, 400, false, 'default_preset_id is required');
+  try {
+    const preset = await LobbyPreset.findByPk(default_preset_id);
+    if (!preset) return sendResponse(res, 404, false, 'preset not found');
+    const before = await getDefaultSettings();
     await Settings.update(
-      { max_players, start_delay },
+      { default_preset_id: preset.id },
       { where: {} } // Update all settings records (only one expected)
     );
+    await audit.record({
+      actorId: req.user.id, action: 'settings.update', targetType: 'settings',
+      before, after: await getDefaultSettings(),
+    });
     return sendResponse(res, 200, true, 'Settings updated successfully');
   } catch (error) {
     console.error('Error updating settings:', error);
@@ -582,22 +1562,229 @@ app.post('/settings', async (req, res) => {
 });
 
 /**
- * Get lobby settings from database
+ * Get the default preset id and its lobby values
  * @route GET /settings
  */
 app.get('/settings', async (req, res) => {
   try {
-    const settings = await Settings.findOne() || await Settings.create({ max_players: 100, start_delay: 60 });
-    return sendResponse(res, 200, true, 'Settings retrieved successfully', {
-      max_players: settings.max_players,
-      start_delay: settings.start_delay,
-    });
+    const settings = await getDefaultSettings();
+    return sendResponse(res, 200, true, 'Settings retrieved successfully', settings);
   } catch (error) {
     console.error('Error retrieving settings:', error);
     return sendResponse(res, 500, false, `Failed to retrieve settings: ${error.message}`);
   }
 });
 
+/**
+ * List lobby presets by name; `is_default` marks the default preset
+ * @route GET /presets
+ */
+app.get('/presets', requireRole(HOST_ROLES, 'read presets'), async (req, res) => {
+  try {
+    const [presets, settings] = await Promise.all([
+      LobbyPreset.findAll({ order: [['name', 'ASC']] }),
+      Settings.findOne(),
+    ]);
+    const defaultPresetId = settings?.default_preset_id ?? null;
+    return sendResponse(res, 200, true, 'presets retrieved', presets.map(preset => formatPreset(preset, defaultPresetId)));
+  } catch (error) {
+    console.error('Error retrieving presets:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve presets: ${error.message}`);
+  }
+});
+
+/**
+ * Get a lobby preset
+ * @route GET /presets/:id
+ */
+app.get('/presets/:id', requireRole(HOST_ROLES, 'read presets'), async (req, res) => {
+  try {
+    const [preset, settings] = await Promise.all([
+      LobbyPreset.findByPk(req.params.id),
+      Settings.findOne(),
+    ]);
+    if (!preset) return sendResponse(res, 404, false, 'preset not found');
+    return sendResponse(res, 200, true, 'preset retrieved', formatPreset(preset, settings?.default_preset_id ?? null));
+  } catch (error) {
+    console.error('Error retrieving preset:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve preset: ${error.message}`);
+  }
+});
+
+/**
+ * Create a lobby preset; fields left out take the built-in defaults
+ * @route POST /presets
+ */
+app.post('/presets', requireRole(['admin'], 'manage presets'), async (req, res) => {
+  const { preset: values, error } = parsePreset(req.body);
+  if (error) return sendResponse(res, 400, false, error);
+  try {
+    if (await LobbyPreset.findOne({ where: { name: values.name } })) {
+      return sendResponse(res, 409, false, 'a preset with this name already exists');
+    }
+    const preset = await LobbyPreset.create({ ...values, created_by: req.user.id });
+    await audit.record({
+      actorId: req.user.id, action: 'preset.create', targetType: 'preset', targetId: preset.id,
+      after: { name: preset.name, ...pickPreset(preset) },
+    });
+    const settings = await Settings.findOne();
+    return sendResponse(res, 201, true, 'preset created', formatPreset(preset, settings?.default_preset_id ?? null));
+  } catch (error) {
+    console.error('Error creating preset:', error);
+    return sendResponse(res, 500, false, `Failed to create preset: ${error.message}`);
+  }
+});
+
+/**
+ * Update a lobby preset; lobbies already created from it keep their values
+ * @route PUT /presets/:id
+ */
+app.put('/presets/:id', requireRole(['admin'], 'manage presets'), async (req, res) => {
+  try {
+    const preset = await LobbyPreset.findByPk(req.params.id);
+    if (!preset) return sendResponse(res, 404, false, 'preset not found');
+    const { preset: values, error } = parsePreset(req.body, preset);
+    if (error) return sendResponse(res, 400, false, error);
+    const duplicate = await LobbyPreset.findOne({ where: { name: values.name, id: { [Op.ne]: preset.id } } });
+    if (duplicate) return sendResponse(res, 409, false, 'a preset with this name already exists');
+    const before = { name: preset.name, ...pickPreset(preset) };
+    await preset.update(values);
+    await audit.record({
+      actorId: req.user.id, action: 'preset.update', targetType: 'preset', targetId: preset.id,
+      before, after: { name: preset.name, ...pickPreset(preset) },
+    });
+    const settings = await Settings.findOne();
+    return sendResponse(res, 200, true, 'preset updated', formatPreset(preset, settings?.default_preset_id ?? null));
+  } catch (error) {
+    console.error('Error updating preset:', error);
+    return sendResponse(res, 500, false, `Failed to update preset: ${error.message}`);
+  }
+});
+
+/**
+ * Delete a lobby preset; the default preset can't be deleted
+ * @route DELETE /presets/:id
+ */
+app.delete('/presets/:id', requireRole(['admin'], 'manage presets'), async (req, res) => {
+  try {
+    const [preset, settings] = await Promise.all([
+      LobbyPreset.findByPk(req.params.id),
+      Settings.findOne(),
+    ]);
+    if (!preset) return sendResponse(res, 404, false, 'preset not found');
+    if (preset.id === settings?.default_preset_id) {
+      return sendResponse(res, 409, false, 'the default preset can not be deleted; choose another default first');
+    }
+    await preset.destroy();
+    await audit.record({
+      actorId: req.user.id, action: 'preset.delete', targetType: 'preset', targetId: preset.id,
+      before: { name: preset.name, ...pickPreset(preset) },
+    });
+    return sendResponse(res, 200, true, 'preset deleted');
+  } catch (error) {
+    console.error('Error deleting preset:', error);
+    return sendResponse(res, 500, false, `Failed to delete preset: ${error.message}`);
+  }
+});
+
+/**
+ * Page through the audit log, newest first. Filters by actor, action,
+ * target and an ISO date range.
+ * @route GET /admin/audit?actor_id=&action=&target_type=&target_id=&since=&until=&limit=20&offset=0
+ */
+app.get('/admin/audit', requireRole(['admin'], 'read the audit log'), async (req, res) => {
+  const { actor_id, action, target_type, target_id } = req.query;
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return sendResponse(res, 400, false, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return sendResponse(res, 400, false, 'offset must be a non-negative integer');
+  }
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return sendResponse(res, 400, false, `action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+  }
+  if (target_type && !AUDIT_TARGET_TYPES.includes(target_type)) {
+    return sendResponse(res, 400, false, `target_type must be one of: ${AUDIT_TARGET_TYPES.join(', ')}`);
+  }
+  if (actor_id && isNaN(actor_id)) return sendResponse(res, 400, false, 'actor_id must be a user id');
+  const since = req.query.since ? new Date(req.query.since) : null;
+  const until = req.query.until ? new Date(req.query.until) : null;
+  if ((since && isNaN(since.getTime())) || (until && isNaN(until.getTime()))) {
+    return sendResponse(res, 400, false, 'since and until must be ISO dates');
+  }
+  try {
+    const result = await audit.list({
+      actorId: actor_id, action, targetType: target_type, targetId: target_id, since, until, limit, offset,
+    });
+    return sendResponse(res, 200, true, 'audit events retrieved', { ...result, limit, offset });
+  } catch (error) {
+    console.error('Error retrieving audit events:', error);
+    return sendResponse(res, 500, false, `Failed to retrieve audit events: ${error.message}`);
+  }
+});
+
+/**
+ * Stream lobby list events (Server-Sent Events)
+ * @route GET /events
+ */
+app.get('/events', (req, res) => {
+  events.subscribe('lobbies', req, res);
+});
+
+/**
+ * Stream events of a single lobby (Server-Sent Events). Private lobbies also
+ * need their `invite_code` in the query unless the caller is a member.
+ * @route GET /lobbies/:id/events
+ */
+app.get('/lobbies/:id/events', async (req, res) => {
+  try {
+    const [lobby, viewer] = await Promise.all([
+      Lobby.findByPk(req.params.id),
+      User.findByPk(req.user.id),
+    ]);
+    if (!lobby) return sendResponse(res, 404, false, 'lobby not found');
+    if (!canWatchLobby(viewer, lobby, req.query.invite_code)) {
+      return sendResponse(res, 403, false, 'this lobby is private; watch it with its invite code');
+    }
+    events.subscribe(`lobby:${lobby.id}`, req, res);
+  } catch (error) {
+    console.error('Error subscribing to lobby events:', error);
+    return sendResponse(res, 500, false, `Failed to subscribe to lobby events: ${error.message}`);
+  }
+});
+
+/**
+ * Watch a running lobby: streams the same events as `/lobbies/:id/events`
+ * and counts the stream as a spectator while it stays open. Private lobbies
+ * also need their `invite_code` in the query unless the caller is a member.
+ * @route GET /lobbies/:id/spectate
+ */
+app.get('/lobbies/:id/spectate', async (req, res) => {
+  try {
+    const [lobby, viewer] = await Promise.all([
+      Lobby.findByPk(req.params.id),
+      User.findByPk(req.user.id),
+    ]);
+    if (!lobby) return sendResponse(res, 404, false, 'lobby not found');
+    if (!canWatchLobby(viewer, lobby, req.query.invite_code)) {
+      return sendResponse(res, 403, false, 'this lobby is private; watch it with its invite code');
+    }
+    if (!SPECTATABLE_STATUSES.includes(lobby.status)) {
+      return sendResponse(res, 409, false, `lobby is ${lobby.status}`);
+    }
+    events.subscribe([`lobby:${lobby.id}`, `spectators:${lobby.id}`], req, res);
+    const announce = () => emitLobbyEvent(lobby.id, 'spectators_changed', { spectators: countSpectators(lobby.id) });
+    // The hub drops the stream on close first, so the count is already updated
+    req.on('close', announce);
+    announce();
+  } catch (error) {
+    console.error('Error subscribing as spectator:', error);
+    return sendResponse(res, 500, false, `Failed to spectate lobby: ${error.message}`);
+  }
+});
+
 /**
  * Health check
  * @route GET /health
@@ -607,7 +1794,11 @@ app.get('/health', (req, res) => res.send('Server is healthy!'));
 // Start the server
 const startServer = async () => {
   await initializeDatabase();
+  await loadPrivateLobbies();
   await syncAdminsFromEnv();
+  await reconcileWallets();
+  await roundEngine.resume();
+  await scheduler.restore();
   const port = parseInt(process.env.PORT, 10) || 2000;
   app.listen(port, () => {
     console.log(`Server running on port ${port}`);
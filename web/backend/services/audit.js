@@ -0,0 +1,111 @@
+/**
+ * Admin audit log.
+ * Every mutating route records who changed what, with the state before and
+ * after the change, so admins can review lobby, user, settings, preset,
+ * wallet and question bank changes. Taps, answers and votes in rounds are
+ * gameplay, not administration, and are not recorded.
+ */
+
+const { Op } = require('sequelize');
+
+// Actions recorded by the routes, grouped by target type
+const AUDIT_ACTIONS = [
+  'user.create', 'user.role',
+  'lobby.create', 'lobby.delete', 'lobby.join', 'lobby.exit', 'lobby.start', 'lobby.cancel', 'lobby.finish', 'lobby.reset',
+  'lobby.kick', 'ban.delete',
+  'settings.update', 'preset.create', 'preset.update', 'preset.delete',
+  'wallet.grant', 'wallet.revoke', 'wallet.reconcile',
+  'question.import', 'question.delete',
+];
+const AUDIT_TARGET_TYPES = ['user', 'lobby', 'settings', 'preset', 'question', 'wallet'];
+
+/**
+ * Create an audit log bound to the AuditEvent model
+ * @param {Object} deps
+ * @param {Object} deps.AuditEvent - AuditEvent model
+ * @param {Object} deps.User - User model, to name the actors
+ */
+const createAuditLog = ({ AuditEvent, User }) => {
+  /**
+   * Record a change. Failures are logged, never thrown, so an audit outage
+   * cannot undo a change that already happened.
+   * @param {Object} event
+   * @param {string} event.actorId
+   * @param {string} event.action - One of AUDIT_ACTIONS
+   * @param {string} event.targetType - One of AUDIT_TARGET_TYPES
+   * @param {string|number} [event.targetId]
+   * @param {Object} [event.before]
+   * @param {Object} [event.after]
+   */
+  const record = async ({ actorId, action, targetType, targetId = null, before = null, after = null }) => {
+    try {
+      await AuditEvent.create({
+        actor_id: actorId,
+        action,
+        target_type: targetType,
+        target_id: targetId === null ? null : String(targetId),
+        before,
+        after,
+        created_at: new Date(),
+      });
+    } catch (error) {
+      console.error(`[AUDIT] Failed to record ${action}:`, error.message);
+    }
+  };
+
+  /**
+   * Page through the log, newest first
+   * @param {Object} filters
+   * @param {string} [filters.actorId]
+   * @param {string} [filters.action]
+   * @param {string} [filters.targetType]
+   * @param {string} [filters.targetId]
+   * @param {Date} [filters.since]
+   * @param {Date} [filters.until]
+   * @param {number} filters.limit
+   * @param {number} filters.offset
+   * @returns {Promise<{ events: Object[], total: number }>}
+   */
+  const list = async ({ actorId, action, targetType, targetId, since, until, limit, offset }) => {
+    const where = {};
+    if (actorId) where.actor_id = actorId;
+    if (action) where.action = action;
+    if (targetType) where.target_type = targetType;
+    if (targetId) where.target_id = String(targetId);
+    if (since || until) {
+      where.created_at = {
+        ...(since ? { [Op.gte]: since } : {}),
+        ...(until ? { [Op.lte]: until } : {}),
+      };
+    }
+    const { rows, count } = await AuditEvent.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset,
+    });
+    const actorIds = [...new Set(rows.map(row => row.actor_id))];
+    const actors = actorIds.length
+      ? await User.findAll({ where: { id: actorIds }, attributes: ['id', 'username'] })
+      : [];
+    const usernames = Object.fromEntries(actors.map(actor => [actor.id, actor.username]));
+    return {
+      events: rows.map(row => ({
+        id: row.id,
+        actor_id: row.actor_id,
+        actor_username: usernames[row.actor_id] ?? null,
+        action: row.action,
+        target_type: row.target_type,
+        target_id: row.target_id,
+        before: row.before,
+        after: row.after,
+        created_at: row.created_at,
+      })),
+      total: count,
+    };
+  };
+
+  return { record, list };
+};
+
+module.exports = { AUDIT_ACTIONS, AUDIT_TARGET_TYPES, createAuditLog };
@@ -0,0 +1,78 @@
+/**
+ * Lobby and global bans.
+ * A ban with a `lobby_id` keeps the user out of that lobby; one without keeps
+ * them out of every lobby. Bans last until `expires_at`, or forever when it
+ * is null, and can be lifted early by deleting them.
+ */
+
+const { Op } = require('sequelize');
+
+// Longest ban reason accepted
+const MAX_BAN_REASON_LENGTH = 255;
+
+/**
+ * Where clause for the bans still in force, of one user or of everyone
+ * @param {string} [userId]
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+const activeBanWhere = (userId, now = new Date()) => ({
+  ...(userId ? { user_id: userId } : {}),
+  [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: now } }],
+});
+
+/**
+ * Message telling a user why they cannot join
+ * @param {Object} ban
+ * @returns {string}
+ */
+const describeBan = (ban) => [
+  ban.lobby_id ? 'you are banned from this lobby' : 'you are banned from all lobbies',
+  ban.expires_at ? ` until ${new Date(ban.expires_at).toISOString()}` : '',
+  ban.reason ? `: ${ban.reason}` : '',
+].join('');
+
+/**
+ * Create the ban lookups bound to the Ban model
+ * @param {Object} deps
+ * @param {Object} deps.Ban - Ban model
+ */
+const createBanService = ({ Ban }) => {
+  /**
+   * The bans in force, global ones first, newest first within each
+   * @param {string} [userId] - Only this user's bans
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction]
+   * @returns {Promise<Object[]>}
+   */
+  const listActive = (userId, { transaction } = {}) => Ban.findAll({
+    where: activeBanWhere(userId),
+    order: [['lobby_id', 'ASC NULLS FIRST'], ['created_at', 'DESC']],
+    transaction,
+  });
+
+  /**
+   * The ban keeping a user out of a lobby, if any
+   * @param {string} userId
+   * @param {number} lobbyId
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction]
+   * @returns {Promise<Object|null>}
+   */
+  const findForLobby = async (userId, lobbyId, { transaction } = {}) => {
+    const bans = await listActive(userId, { transaction });
+    return bans.find(ban => ban.lobby_id === null || ban.lobby_id === Number(lobbyId)) || null;
+  };
+
+  /**
+   * Whether any of the bans keeps the user out of a lobby
+   * @param {Object[]} bans - From listActive
+   * @param {number} lobbyId
+   * @returns {boolean}
+   */
+  const coversLobby = (bans, lobbyId) => bans.some(ban => ban.lobby_id === null || ban.lobby_id === Number(lobbyId));
+
+  return { listActive, findForLobby, coversLobby };
+};
+
+module.exports = { MAX_BAN_REASON_LENGTH, describeBan, createBanService };
@@ -0,0 +1,75 @@
+/**
+ * Server-Sent Events hub.
+ * Clients subscribe to named channels (`lobbies` for the lobby list,
+ * `lobby:<id>` for a single lobby) and receive events pushed by the routes
+ * and the round engine instead of polling the REST API. A stream may join
+ * several channels, e.g. a lobby's events plus its spectator roll, so
+ * `count` can tell who is watching.
+ */
+
+// Comment line sent periodically so proxies keep idle streams open (ms)
+const HEARTBEAT_INTERVAL = 25000;
+
+// Delay EventSource clients wait before reconnecting (ms)
+const RETRY_INTERVAL = 3000;
+
+const createEventHub = () => {
+  const channels = new Map();
+
+  /**
+   * Attach a response to one or more channels as an event stream
+   * @param {string|string[]} channel
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  const subscribe = (channel, req, res) => {
+    const names = [].concat(channel);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_INTERVAL}\n\n`);
+
+    names.forEach((name) => {
+      if (!channels.has(name)) channels.set(name, new Set());
+      channels.get(name).add(res);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      names.forEach((name) => {
+        const subscribers = channels.get(name);
+        subscribers?.delete(res);
+        if (subscribers?.size === 0) channels.delete(name);
+      });
+    });
+  };
+
+  /**
+   * Push an event to every subscriber of a channel
+   * @param {string} channel
+   * @param {string} event - Event name, e.g. `player_joined`
+   * @param {Object} data - JSON-serializable payload
+   */
+  const publish = (channel, event, data) => {
+    const subscribers = channels.get(channel);
+    if (!subscribers) return;
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    subscribers.forEach(res => res.write(payload));
+  };
+
+  /**
+   * Number of open streams on a channel
+   * @param {string} channel
+   * @returns {number}
+   */
+  const count = (channel) => channels.get(channel)?.size || 0;
+
+  return { subscribe, publish, count };
+};
+
+module.exports = { createEventHub };
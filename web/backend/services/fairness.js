@@ -0,0 +1,77 @@
+/**
+ * Provably fair eliminations (commit-reveal).
+ * Each lobby gets a secret seed whose SHA-256 hash is published before the
+ * game starts. Every round's eliminations are drawn from an sfc32 PRNG seeded
+ * with SHA-256(`<seed>:<round_number>:<sorted player ids>`), and the seed is
+ * revealed once the game is over so anyone can recompute the draws.
+ * `web/frontend/src/fairness.js` implements the same algorithm for the
+ * in-browser verifier; the two must stay in sync.
+ */
+
+const crypto = require('crypto');
+
+// Warm-up outputs discarded after seeding sfc32
+const SFC32_WARMUP = 12;
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Generate a secret seed and its public commitment
+ * @returns {{ seed: string, seed_hash: string }}
+ */
+const createSeed = () => {
+  const seed = crypto.randomBytes(32).toString('hex');
+  return { seed, seed_hash: sha256Hex(seed) };
+};
+
+/**
+ * Sort player ids numerically; Telegram ids may exceed Number precision,
+ * so they are compared as decimal strings
+ * @param {Array<string|number>} ids
+ * @returns {Array<string|number>} A sorted copy, keeping the original values
+ */
+const sortPlayerIds = (ids) => ids.slice().sort((x, y) => {
+  const [a, b] = [String(x), String(y)];
+  return (a.length - b.length) || (a < b ? -1 : a > b ? 1 : 0);
+});
+
+/**
+ * sfc32 generator seeded from the first 16 bytes of a hex digest
+ * @param {string} digestHex
+ * @returns {() => number} Uniform uint32 values
+ */
+const sfc32 = (digestHex) => {
+  let [a, b, c, d] = [0, 8, 16, 24].map(i => parseInt(digestHex.slice(i, i + 8), 16) >>> 0);
+  const next = () => {
+    const t = (((a + b) >>> 0) + d) >>> 0;
+    d = (d + 1) >>> 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) >>> 0;
+    c = ((c << 21) | (c >>> 11)) >>> 0;
+    c = (c + t) >>> 0;
+    return t;
+  };
+  for (let i = 0; i < SFC32_WARMUP; i++) next();
+  return next;
+};
+
+/**
+ * Deterministically pick the players eliminated in a round
+ * @param {string} seed - Lobby secret seed
+ * @param {number} roundNumber
+ * @param {Array<string|number>} playerIds - Players alive at the start of the round
+ * @param {number} count - How many players to eliminate
+ * @returns {Array<string|number>} Eliminated player ids, in draw order
+ */
+const pickEliminated = (seed, roundNumber, playerIds, count) => {
+  const players = sortPlayerIds(playerIds);
+  const next = sfc32(sha256Hex(`${seed}:${roundNumber}:${players.join(',')}`));
+  // Fisher-Yates shuffle driven by the seeded generator
+  for (let i = players.length - 1; i > 0; i--) {
+    const j = Math.floor((next() / 2 ** 32) * (i + 1));
+    [players[i], players[j]] = [players[j], players[i]];
+  }
+  return players.slice(0, count);
+};
+
+module.exports = { createSeed, sha256Hex, sortPlayerIds, pickEliminated };
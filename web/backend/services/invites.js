@@ -0,0 +1,33 @@
+/**
+ * Lobby visibility and invite codes.
+ * Every lobby gets a short random invite code. Private lobbies stay out of
+ * the public lobby list and can only be joined with their code, which
+ * `t.me/<bot>/<app>?startapp=<code>` links carry into the Mini App as
+ * Telegram's `start_param`.
+ */
+
+const crypto = require('crypto');
+
+const LOBBY_VISIBILITIES = ['public', 'private'];
+
+// No 0/O or 1/I, so codes survive being read out or typed by hand
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+/**
+ * Generate a random invite code
+ * @returns {string}
+ */
+const createInviteCode = () => Array.from(
+  { length: INVITE_CODE_LENGTH },
+  () => INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)]
+).join('');
+
+/**
+ * Canonical form of a code typed by a user or taken from a link
+ * @param {*} code
+ * @returns {string}
+ */
+const normalizeInviteCode = (code) => String(code ?? '').trim().toUpperCase();
+
+module.exports = { LOBBY_VISIBILITIES, createInviteCode, normalizeInviteCode };
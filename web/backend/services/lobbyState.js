@@ -0,0 +1,69 @@
+/**
+ * Lobby lifecycle.
+ *
+ *   waiting ──> countdown ──> playing ──> finished
+ *      │            │            │
+ *      └────────────┴────────────┴──> cancelled
+ *
+ * `waiting` lobbies accept players and may have a scheduled `starts_at`;
+ * `countdown` is the short window right before the start, when `starts_at`
+ * is fixed; `finished` and `cancelled` are terminal.
+ */
+
+const LOBBY_STATUSES = ['waiting', 'countdown', 'playing', 'finished', 'cancelled'];
+
+const TRANSITIONS = {
+  waiting: ['countdown', 'cancelled'],
+  countdown: ['playing', 'cancelled'],
+  playing: ['finished', 'cancelled'],
+  finished: [],
+  cancelled: [],
+};
+
+// Statuses in which players may still join or leave
+const OPEN_STATUSES = ['waiting', 'countdown'];
+
+// Statuses without a game in progress, in which players may leave and lobbies be reset
+const IDLE_STATUSES = [...OPEN_STATUSES, 'finished', 'cancelled'];
+
+/**
+ * Raised when a lobby is asked to move to a status its lifecycle forbids
+ */
+class LobbyTransitionError extends Error {
+  constructor(from, to) {
+    super(`cannot move lobby from ${from} to ${to}`);
+    this.name = 'LobbyTransitionError';
+    this.status = 409;
+  }
+}
+
+/**
+ * Whether a lobby may move from one status to another
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => Boolean(TRANSITIONS[from]?.includes(to));
+
+/**
+ * Move a lobby to a new status, rejecting transitions the lifecycle forbids
+ * @param {Object} lobby - Lobby instance
+ * @param {string} to - Target status
+ * @param {Object} [options]
+ * @param {Object} [options.changes] - Extra columns to update together with the status
+ * @param {import('sequelize').Transaction} [options.transaction]
+ * @throws {LobbyTransitionError}
+ */
+const transitionLobby = async (lobby, to, { changes = {}, transaction } = {}) => {
+  if (!canTransition(lobby.status, to)) throw new LobbyTransitionError(lobby.status, to);
+  await lobby.update({ ...changes, status: to }, { transaction });
+};
+
+module.exports = {
+  LOBBY_STATUSES,
+  OPEN_STATUSES,
+  IDLE_STATUSES,
+  LobbyTransitionError,
+  canTransition,
+  transitionLobby,
+};
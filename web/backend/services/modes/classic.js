@@ -0,0 +1,14 @@
+const { eliminationCount, isGameOver } = require('../rules');
+
+// Eliminates a share (or fixed number) of the alive players every round
+module.exports = {
+  id: 'classic',
+  name: 'Classic',
+  description: 'A random share of the players, half by default, is knocked out every round.',
+
+  roundInfo: ({ rules, alive }) => ({ eliminate_count: eliminationCount(rules, alive.length) }),
+
+  playRound: ({ rules, alive, draw }) => ({ eliminated: draw(eliminationCount(rules, alive.length)) }),
+
+  isGameOver: ({ rules, survivors, roundNumber }) => isGameOver(rules, survivors.length, roundNumber),
+};
@@ -0,0 +1,55 @@
+/**
+ * Game-mode registry.
+ * A mode decides who is knocked out each round and when the game ends:
+ *
+ *   roundInfo({ rules, alive, previous, setup, options, actions, now })  -> mode data shown for the open round
+ *   playRound({ rules, alive, previous, draw, actions, setup, options }) -> { eliminated, outcome? }
+ *   isGameOver({ rules, survivors, roundNumber, outcome }) -> boolean
+ *
+ * `previous` is the outcome stored for the previous round, `draw(count)`
+ * picks players with the lobby's committed seed, and `outcome` is stored on
+ * the round so the next one can build on it. `options` is the lobby's parsed
+ * `mode_options`, and `actions` holds the actions taken in the round so far.
+ *
+ * Optional hooks:
+ *
+ *   parseOptions(options)                      -> { options, error } for the lobby's `mode_options`
+ *   setupRound({ rules, options, lobbyId, startedAt, deadline, questions, transaction })
+ *                                              -> setup stored when the round opens (may be async)
+ *   acceptAction({ rules, options, setup, alive, userId, type, value, at })
+ *                                              -> { record, error, status? }
+ *   livesLeft({ rules, outcome, playerId })    -> lives a player has left
+ *   tieBreaker({ rules, outcome, playerId })   -> higher places higher among tied players
+ *
+ * Modes with player input list the action types they take in `actions`;
+ * `acceptAction` validates one against the round setup and returns the
+ * `record` to store (or null) and an `error` to reply with (409 unless a
+ * `status` is given). `questions` is the trivia question bank. `setup` may hold
+ * secrets, so it is only exposed through `roundInfo`; an `opens_at` in it is
+ * announced with a `round_window_opened` event. `tieBreaker` reads the
+ * outcome of the round a player was knocked out in, or the last round for
+ * survivors.
+ */
+
+const classic = require('./classic');
+const oneByOne = require('./oneByOne');
+const lives = require('./lives');
+const suddenDeath = require('./suddenDeath');
+const tap = require('./tap');
+const trivia = require('./trivia');
+const voting = require('./voting');
+
+const MODES = Object.fromEntries([classic, oneByOne, lives, suddenDeath, tap, trivia, voting].map(mode => [mode.id, mode]));
+
+const DEFAULT_MODE = classic.id;
+
+/**
+ * Look up a mode, falling back to the default one
+ * @param {string} [id]
+ */
+const getMode = (id) => MODES[id] || MODES[DEFAULT_MODE];
+
+// Public description of every mode, for pickers
+const listModes = () => Object.values(MODES).map(({ id, name, description }) => ({ id, name, description }));
+
+module.exports = { MODES, DEFAULT_MODE, getMode, listModes };
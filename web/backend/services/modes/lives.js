@@ -0,0 +1,38 @@
+const { eliminationCount, isGameOver } = require('../rules');
+
+// Lives left per player before a round, carried over from the previous round's outcome
+const livesBefore = (rules, alive, previous) => Object.fromEntries(
+  alive.map(id => [id, previous?.lives?.[id] ?? rules.starting_lives])
+);
+
+// Knocked-out players have none left; before the first round everyone has the starting lives
+const livesLeft = ({ rules, outcome, playerId }) => (outcome ? outcome.lives?.[playerId] ?? 0 : rules.starting_lives);
+
+// Players hit by the draw lose a life; players with no lives left are knocked out
+module.exports = {
+  id: 'lives',
+  name: 'Lives',
+  description: 'Every player starts with several lives, 3 by default. Each round a random share of the players loses a life; players with no lives left are knocked out.',
+
+  roundInfo: ({ rules, alive, previous }) => ({
+    hit_count: eliminationCount(rules, alive.length),
+    starting_lives: rules.starting_lives,
+    lives: livesBefore(rules, alive, previous),
+  }),
+
+  playRound: ({ rules, alive, previous, draw }) => {
+    const lives = livesBefore(rules, alive, previous);
+    const hitIds = draw(eliminationCount(rules, alive.length));
+    hitIds.forEach((id) => { lives[id] -= 1; });
+    const eliminated = hitIds.filter(id => lives[id] <= 0);
+    eliminated.forEach((id) => { delete lives[id]; });
+    return { eliminated, outcome: { hit_ids: hitIds, lives } };
+  },
+
+  isGameOver: ({ rules, survivors, roundNumber }) => isGameOver(rules, survivors.length, roundNumber),
+
+  livesLeft,
+
+  // Players with more lives left place higher
+  tieBreaker: livesLeft,
+};
@@ -0,0 +1,16 @@
+const { pickRules, isGameOver } = require('../rules');
+
+const eliminateCount = (rules, alive) => Math.max(0, Math.min(1, alive.length - pickRules(rules).min_survivors));
+
+// Knocks out exactly one player per round for a long, tense game
+module.exports = {
+  id: 'one_by_one',
+  name: 'One by One',
+  description: 'Exactly one random player is knocked out every round.',
+
+  roundInfo: ({ rules, alive }) => ({ eliminate_count: eliminateCount(rules, alive) }),
+
+  playRound: ({ rules, alive, draw }) => ({ eliminated: draw(eliminateCount(rules, alive)) }),
+
+  isGameOver: ({ rules, survivors, roundNumber }) => isGameOver(rules, survivors.length, roundNumber),
+};
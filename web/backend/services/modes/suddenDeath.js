@@ -0,0 +1,16 @@
+const { pickRules } = require('../rules');
+
+const eliminateCount = (rules, alive) => Math.max(0, alive.length - pickRules(rules).min_survivors);
+
+// A single round decides the game
+module.exports = {
+  id: 'sudden_death',
+  name: 'Sudden Death',
+  description: 'One round: everyone but the survivors is knocked out at once.',
+
+  roundInfo: ({ rules, alive }) => ({ eliminate_count: eliminateCount(rules, alive) }),
+
+  playRound: ({ rules, alive, draw }) => ({ eliminated: draw(eliminateCount(rules, alive)) }),
+
+  isGameOver: () => true,
+};
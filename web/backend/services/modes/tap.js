@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { pickRules, isGameOver } = require('../rules');
+
+// How long the "tap now" window stays open (ms)
+const TAP_WINDOW_MS = 1000;
+
+// Shortest wait before the window may open (ms), so it cannot be anticipated at the round start
+const MIN_WAIT_MS = 1000;
+
+// Reaction time of every on-time tap, keyed by player id
+const reactionTimes = (actions) => Object.fromEntries(actions
+  .filter(action => action.type === 'tap' && action.reaction_ms !== null)
+  .map(action => [action.user_id, action.reaction_ms]));
+
+// Players who miss the window or tap before it opens are knocked out; if
+// everyone taps in time, the slowest tap goes out so the game keeps moving
+module.exports = {
+  id: 'tap',
+  name: 'Reaction Tap',
+  description: 'A "tap now" window opens at a random moment each round. Miss it or tap too early and you are out; if everyone makes it, the slowest tap is.',
+
+  actions: ['tap'],
+
+  // The window stays secret until it opens, so nobody can time their tap in advance
+  setupRound: ({ startedAt, deadline }) => {
+    const latest = Math.max(0, deadline.getTime() - startedAt.getTime() - TAP_WINDOW_MS);
+    const opensAt = startedAt.getTime() + crypto.randomInt(Math.min(MIN_WAIT_MS, latest), latest + 1);
+    return { opens_at: new Date(opensAt), closes_at: new Date(opensAt + TAP_WINDOW_MS) };
+  },
+
+  roundInfo: ({ setup, now }) => {
+    const isOpen = Boolean(setup) && now >= new Date(setup.opens_at);
+    return {
+      window_ms: TAP_WINDOW_MS,
+      window_open: isOpen && now <= new Date(setup.closes_at),
+      window_opens_at: isOpen ? setup.opens_at : null,
+      window_closes_at: isOpen ? setup.closes_at : null,
+    };
+  },
+
+  acceptAction: ({ setup, at }) => {
+    const opensAt = new Date(setup.opens_at);
+    if (at < opensAt) return { record: { value: { early: true } }, error: 'tapped too early' };
+    if (at > new Date(setup.closes_at)) return { record: null, error: 'tap window is closed' };
+    return { record: { reaction_ms: at.getTime() - opensAt.getTime() }, error: null };
+  },
+
+  playRound: ({ rules, alive, draw, actions }) => {
+    const reactions = reactionTimes(actions);
+    const reactionOf = (id) => reactions[id] ?? null;
+    const missed = alive.filter(id => reactionOf(id) === null);
+    const maxEliminated = Math.max(0, alive.length - pickRules(rules).min_survivors);
+
+    let eliminated;
+    if (missed.length > maxEliminated) {
+      // Too many misses for min_survivors: the seeded draw decides which of them are spared
+      eliminated = draw(alive.length).filter(id => missed.includes(id)).slice(0, maxEliminated);
+    } else if (missed.length) {
+      eliminated = missed;
+    } else {
+      const slowest = alive.slice().sort((a, b) => reactionOf(b) - reactionOf(a));
+      eliminated = slowest.slice(0, Math.min(1, maxEliminated));
+    }
+
+    const early = actions.filter(action => action.type === 'tap' && action.value?.early).map(action => action.user_id);
+    return { eliminated, outcome: { reaction_ms: reactions, early_ids: early } };
+  },
+
+  isGameOver: ({ rules, survivors, roundNumber }) => isGameOver(rules, survivors.length, roundNumber),
+
+  // Faster taps place higher among players knocked out in the same round or surviving together
+  tieBreaker: ({ outcome, playerId }) => -(outcome?.reaction_ms?.[playerId] ?? Infinity),
+};
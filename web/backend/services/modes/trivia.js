@@ -0,0 +1,88 @@
+const { pickRules, eliminationCount, isGameOver } = require('../rules');
+const { DIFFICULTIES } = require('../questionBank');
+
+// Chosen answers keyed by player id
+const answersOf = (actions) => Object.fromEntries(actions
+  .filter(action => action.type === 'answer')
+  .map(action => [action.user_id, action.value.choice]));
+
+// Random elimination, for rounds without a question or where nobody answered right
+const randomRound = (rules, alive, draw) => draw(eliminationCount(rules, alive.length));
+
+// Players with a wrong or missing answer are knocked out
+module.exports = {
+  id: 'trivia',
+  name: 'Trivia',
+  description: 'Each round asks a multiple-choice question; wrong or missing answers are knocked out. If nobody gets it right, a random share is knocked out instead.',
+
+  actions: ['answer'],
+
+  parseOptions: (options = {}) => {
+    const category = options.category ? String(options.category).trim().toLowerCase() : null;
+    const difficulty = options.difficulty ? String(options.difficulty).trim().toLowerCase() : null;
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      return { options: null, error: `difficulty must be one of: ${DIFFICULTIES.join(', ')}` };
+    }
+    return { options: { category, difficulty }, error: null };
+  },
+
+  // The answer is kept in the setup, which clients never see
+  setupRound: async ({ options, lobbyId, questions, transaction }) => {
+    const question = await questions.pick({ lobbyId, ...options, transaction });
+    if (!question) return { question_id: null };
+    return {
+      question_id: question.id,
+      text: question.text,
+      choices: question.choices,
+      category: question.category,
+      difficulty: question.difficulty,
+      answer_index: question.answer_index,
+    };
+  },
+
+  roundInfo: ({ rules, alive, setup }) => (setup?.question_id
+    ? {
+      question: {
+        text: setup.text,
+        choices: setup.choices,
+        category: setup.category,
+        difficulty: setup.difficulty,
+      },
+    }
+    : { question: null, eliminate_count: eliminationCount(rules, alive.length) }),
+
+  acceptAction: ({ setup, value }) => {
+    if (!setup?.question_id) return { record: null, error: 'this round has no question' };
+    const choice = value?.choice;
+    if (!Number.isInteger(choice) || choice < 0 || choice >= setup.choices.length) {
+      return { record: null, error: `choice must be an integer between 0 and ${setup.choices.length - 1}`, status: 400 };
+    }
+    return { record: { value: { choice } }, error: null };
+  },
+
+  playRound: ({ rules, alive, draw, actions, setup }) => {
+    if (!setup?.question_id) return { eliminated: randomRound(rules, alive, draw), outcome: { fallback: true } };
+
+    const answers = answersOf(actions);
+    const reveal = {
+      question_id: setup.question_id,
+      text: setup.text,
+      choices: setup.choices,
+      answer_index: setup.answer_index,
+      answers,
+    };
+    const wrong = alive.filter(id => answers[id] !== setup.answer_index);
+    if (wrong.length === alive.length) {
+      return { eliminated: randomRound(rules, alive, draw), outcome: { ...reveal, fallback: true } };
+    }
+
+    const maxEliminated = Math.max(0, alive.length - pickRules(rules).min_survivors);
+    // Too many wrong answers for min_survivors: the seeded draw decides which of them are spared
+    const eliminated = wrong.length > maxEliminated
+      ? draw(alive.length).filter(id => wrong.includes(id)).slice(0, maxEliminated)
+      : wrong;
+    return { eliminated, outcome: { ...reveal, fallback: false } };
+  },
+
+  isGameOver: ({ rules, survivors, roundNumber }) => isGameOver(rules, survivors.length, roundNumber),
+};
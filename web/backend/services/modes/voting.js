@@ -0,0 +1,76 @@
+const { pickRules, isGameOver } = require('../rules');
+
+const REVEAL_OPTIONS = ['anonymous', 'public'];
+
+// Players knocked out per round: the lobby's fixed elimination count, or one
+const eliminateCount = (rules, alive) => {
+  const { elimination_count, min_survivors } = pickRules(rules);
+  return Math.max(0, Math.min(elimination_count ?? 1, alive.length - min_survivors));
+};
+
+// Target of every vote, keyed by voter id
+const votesOf = (actions) => Object.fromEntries(actions
+  .filter(action => action.type === 'vote')
+  .map(action => [action.user_id, action.value.target_id]));
+
+// Survivors vote each other out; the seeded draw breaks ties
+module.exports = {
+  id: 'voting',
+  name: 'Voting',
+  description: 'Every round each survivor votes for another survivor, and the most-voted player is knocked out. Ties are broken at random.',
+
+  actions: ['vote'],
+
+  parseOptions: (options = {}) => {
+    const reveal = options.reveal || 'anonymous';
+    if (!REVEAL_OPTIONS.includes(reveal)) {
+      return { options: null, error: `reveal must be one of: ${REVEAL_OPTIONS.join(', ')}` };
+    }
+    return { options: { reveal }, error: null };
+  },
+
+  roundInfo: ({ rules, alive, options, actions }) => ({
+    eliminate_count: eliminateCount(rules, alive),
+    votes_cast: actions.filter(action => action.type === 'vote').length,
+    reveal: options.reveal || 'anonymous',
+  }),
+
+  acceptAction: ({ value, alive, userId }) => {
+    const target = alive.find(id => String(id) === String(value?.target_id));
+    if (target === undefined) return { record: null, error: 'target_id must be a player still in the game', status: 400 };
+    if (String(target) === String(userId)) return { record: null, error: 'you cannot vote for yourself', status: 400 };
+    return { record: { value: { target_id: target } }, error: null };
+  },
+
+  playRound: ({ rules, alive, draw, actions, options }) => {
+    const votes = votesOf(actions);
+    const tally = Object.fromEntries(alive.map(id => [id, 0]));
+    Object.values(votes).forEach((target) => { if (target in tally) tally[target] += 1; });
+
+    const count = eliminateCount(rules, alive);
+    const ranked = alive.slice().sort((a, b) => tally[b] - tally[a]);
+    const cutoff = count ? tally[ranked[count - 1]] : Infinity;
+    const above = ranked.filter(id => tally[id] > cutoff);
+    const tied = ranked.filter(id => tally[id] === cutoff);
+    const tieBreak = above.length + tied.length > count;
+    const eliminated = tieBreak
+      ? [...above, ...draw(alive.length).filter(id => tied.includes(id)).slice(0, count - above.length)]
+      : [...above, ...tied];
+
+    return {
+      eliminated,
+      outcome: {
+        tally,
+        votes_cast: Object.keys(votes).length,
+        // Anonymous lobbies only ever publish the tally
+        votes: options.reveal === 'public' ? votes : null,
+        tie_break: tieBreak,
+      },
+    };
+  },
+
+  isGameOver: ({ rules, survivors, roundNumber }) => isGameOver(rules, survivors.length, roundNumber),
+
+  // Fewer votes place higher among players knocked out in the same round
+  tieBreaker: ({ outcome, playerId }) => -(outcome?.tally?.[playerId] ?? 0),
+};
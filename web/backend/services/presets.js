@@ -0,0 +1,130 @@
+/**
+ * Lobby presets.
+ * A preset is a named set of lobby values (player limit, start delay, game
+ * mode, visibility and elimination rules) that new lobbies start from. The
+ * settings row only points at the default preset, used when a lobby is
+ * created without one.
+ */
+
+const { RULE_DEFAULTS, parseRules, pickRules } = require('./rules');
+const { MODES, DEFAULT_MODE } = require('./modes');
+const { LOBBY_VISIBILITIES } = require('./invites');
+
+// Longest preset name accepted
+const MAX_PRESET_NAME_LENGTH = 64;
+
+// Shortest start delay a preset may set (seconds)
+const MIN_START_DELAY = 5;
+
+// Name of the preset created from the old global settings
+const DEFAULT_PRESET_NAME = 'Default';
+
+const PRESET_DEFAULTS = {
+  max_players: 100,
+  start_delay: 60,
+  mode: DEFAULT_MODE,
+  mode_options: null,
+  visibility: 'public',
+  ...RULE_DEFAULTS,
+};
+
+const PRESET_KEYS = Object.keys(PRESET_DEFAULTS);
+
+const isPositiveInt = (value, min = 1) => Number.isInteger(value) && value >= min;
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validate the player limit and start delay of a request body. Fields left
+ * out keep the values of `base`.
+ * @param {Object} body
+ * @param {{ max_players: number, start_delay: number }} base
+ * @returns {{ limits: { max_players: number, start_delay: number }, error: string|null }}
+ */
+const parseLimits = (body, base) => {
+  const maxPlayers = isMissing(body.max_players) ? base.max_players : Number(body.max_players);
+  if (!isPositiveInt(maxPlayers)) return { limits: {}, error: 'max_players must be a positive integer' };
+  const startDelay = isMissing(body.start_delay) ? base.start_delay : Number(body.start_delay);
+  if (!isPositiveInt(startDelay, MIN_START_DELAY)) {
+    return { limits: {}, error: `start_delay must be an integer of at least ${MIN_START_DELAY}` };
+  }
+  return { limits: { max_players: maxPlayers, start_delay: startDelay }, error: null };
+};
+
+/**
+ * Validate a preset from a request body. Fields left out keep the values of
+ * `current`, or the defaults for a new preset.
+ * @param {Object} body
+ * @param {Object|null} [current] - Preset being updated
+ * @returns {{ preset: Object, error: string|null }} Every preset field, including `name`
+ */
+const parsePreset = (body = {}, current = null) => {
+  const base = current ? { name: current.name, ...pickPreset(current) } : { name: null, ...PRESET_DEFAULTS };
+  const name = body.name === undefined ? base.name : String(body.name || '').trim();
+  if (!name) return { preset: {}, error: 'name is required' };
+  if (name.length > MAX_PRESET_NAME_LENGTH) {
+    return { preset: {}, error: `name must be at most ${MAX_PRESET_NAME_LENGTH} characters` };
+  }
+  const { limits, error: limitsError } = parseLimits(body, base);
+  if (limitsError) return { preset: {}, error: limitsError };
+  const { rules, error: rulesError } = parseRules(body);
+  if (rulesError) return { preset: {}, error: rulesError };
+  const mode = body.mode || base.mode;
+  if (!MODES[mode]) return { preset: {}, error: `mode must be one of: ${Object.keys(MODES).join(', ')}` };
+  // Options only carry over while the mode stays the same
+  const rawOptions = body.mode_options !== undefined || mode !== base.mode ? body.mode_options : base.mode_options;
+  const { options: modeOptions, error: optionsError } = MODES[mode].parseOptions
+    ? MODES[mode].parseOptions(rawOptions || {})
+    : { options: null, error: null };
+  if (optionsError) return { preset: {}, error: optionsError };
+  const visibility = body.visibility || base.visibility;
+  if (!LOBBY_VISIBILITIES.includes(visibility)) {
+    return { preset: {}, error: `visibility must be one of: ${LOBBY_VISIBILITIES.join(', ')}` };
+  }
+  return {
+    preset: {
+      name,
+      ...limits,
+      mode,
+      mode_options: modeOptions,
+      visibility,
+      ...pickRules(base),
+      ...rules,
+    },
+    error: null,
+  };
+};
+
+/**
+ * Pick the lobby values of a preset, falling back to defaults
+ * @param {Object|null} [source]
+ * @returns {Object}
+ */
+const pickPreset = (source) => Object.fromEntries(
+  PRESET_KEYS.map(key => [key, source?.[key] ?? PRESET_DEFAULTS[key]])
+);
+
+/**
+ * Shape a preset for API responses
+ * @param {Object} preset
+ * @param {number|null} defaultPresetId
+ * @returns {Object}
+ */
+const formatPreset = (preset, defaultPresetId) => ({
+  id: preset.id,
+  name: preset.name,
+  ...pickPreset(preset),
+  is_default: preset.id === defaultPresetId,
+  updated_at: preset.updated_at,
+});
+
+module.exports = {
+  DEFAULT_PRESET_NAME,
+  MAX_PRESET_NAME_LENGTH,
+  PRESET_DEFAULTS,
+  PRESET_KEYS,
+  parseLimits,
+  parsePreset,
+  pickPreset,
+  formatPreset,
+};
@@ -0,0 +1,326 @@
+/**
+ * Entry fees and prize pools.
+ * A lobby with an `entry_fee` reserves the fee from each player's wallet on
+ * join, in an escrow account of that player and lobby, and releases it when
+ * they leave. When the game starts the escrowed fees of the players are
+ * collected into the lobby's pool, which is paid out by `prize_split` when the
+ * game finishes, after the house takes `house_cut` percent. Cancelled lobbies
+ * refund every fee. All of it moves through the ledger (see wallet.js).
+ */
+
+const { Op, QueryTypes } = require('sequelize');
+const { SYSTEM_ACCOUNTS, WalletError, userAccount } = require('./wallet');
+
+// Percentages of the pool paid to the 1st, 2nd and 3rd place when a lobby sets no split
+const DEFAULT_PRIZE_SPLIT = [70, 20, 10];
+
+// Most places a split may pay
+const MAX_PRIZE_PLACES = 10;
+
+// Highest entry fee and house cut (percent) a lobby may set
+const MAX_ENTRY_FEE = 1000000;
+const MAX_HOUSE_CUT = 50;
+
+// Escrow account holding a player's fee for a lobby until the game starts
+const escrowAccount = (lobbyId, userId) => `escrow:${lobbyId}:${userId}`;
+
+// Account collecting a lobby's fees once its game starts
+const poolAccount = (lobbyId) => `pool:${lobbyId}`;
+
+/**
+ * Validate the fee fields of a lobby from a request body
+ * @param {Object} body
+ * @returns {{ config: { entry_fee: number, prize_split: number[], house_cut: number }, error: string|null }}
+ */
+const parsePrizeConfig = (body = {}) => {
+  const entryFee = body.entry_fee === undefined || body.entry_fee === null || body.entry_fee === ''
+    ? 0
+    : Number(body.entry_fee);
+  if (!Number.isInteger(entryFee) || entryFee < 0 || entryFee > MAX_ENTRY_FEE) {
+    return { config: {}, error: `entry_fee must be an integer between 0 and ${MAX_ENTRY_FEE}` };
+  }
+  const split = body.prize_split ?? DEFAULT_PRIZE_SPLIT;
+  if (!Array.isArray(split) || !split.length || split.length > MAX_PRIZE_PLACES
+    || split.some(share => !Number.isInteger(share) || share < 1)
+    || split.reduce((sum, share) => sum + share, 0) !== 100) {
+    return {
+      config: {},
+      error: `prize_split must list 1 to ${MAX_PRIZE_PLACES} positive whole percentages that add up to 100`,
+    };
+  }
+  const houseCut = body.house_cut === undefined || body.house_cut === null || body.house_cut === ''
+    ? 0
+    : Number(body.house_cut);
+  if (!Number.isInteger(houseCut) || houseCut < 0 || houseCut > MAX_HOUSE_CUT) {
+    return { config: {}, error: `house_cut must be an integer between 0 and ${MAX_HOUSE_CUT}` };
+  }
+  return { config: { entry_fee: entryFee, prize_split: split, house_cut: houseCut }, error: null };
+};
+
+/**
+ * Split a pool into the house cut and the prize of each place. Coins lost to
+ * rounding go to the first place.
+ * @param {number} total
+ * @param {number[]} split - Percent per place
+ * @param {number} houseCut - Percent
+ * @returns {{ house: number, places: number[] }}
+ */
+const splitPool = (total, split, houseCut) => {
+  const house = Math.floor(total * houseCut / 100);
+  const prizes = total - house;
+  const places = split.map(share => Math.floor(prizes * share / 100));
+  places[0] += prizes - places.reduce((sum, amount) => sum + amount, 0);
+  return { house, places };
+};
+
+/**
+ * Prize of each player from a finished game's leaderboard. Players tied on a
+ * placement share the prizes of the places they take equally. Prizes of places
+ * no player reached, and what tied players can't share evenly, are shared
+ * equally by the players tied for the best placement; coins still left over
+ * go to the house.
+ * @param {number[]} places - From splitPool
+ * @param {{ user_id: string, placement: number }[]} leaderboard
+ * @returns {{ payouts: Map<string, number>, house: number }} Coins by user id, and the coins left to the house
+ */
+const assignPrizes = (places, leaderboard) => {
+  const ranked = [...leaderboard].sort((a, b) => a.placement - b.placement);
+  const payouts = new Map(ranked.map(entry => [String(entry.user_id), 0]));
+  const total = places.reduce((sum, amount) => sum + amount, 0);
+  if (!ranked.length) return { payouts, house: total };
+  let position = 0;
+  while (position < ranked.length && position < places.length) {
+    const tied = ranked.filter(entry => entry.placement === ranked[position].placement);
+    const prize = places.slice(position, position + tied.length).reduce((sum, amount) => sum + amount, 0);
+    tied.forEach(entry => payouts.set(String(entry.user_id), Math.floor(prize / tied.length)));
+    position += tied.length;
+  }
+  const best = ranked.filter(entry => entry.placement === ranked[0].placement);
+  const left = total - [...payouts.values()].reduce((sum, amount) => sum + amount, 0);
+  const bonus = Math.floor(left / best.length);
+  best.forEach(entry => payouts.set(String(entry.user_id), payouts.get(String(entry.user_id)) + bonus));
+  return { payouts, house: left - bonus * best.length };
+};
+
+/**
+ * Create the prize pool service on top of the wallet
+ * @param {Object} deps
+ * @param {import('sequelize').Sequelize} deps.sequelize
+ * @param {Object} deps.LedgerTransaction - LedgerTransaction model
+ * @param {Object} deps.LedgerEntry - LedgerEntry model
+ * @param {Object} deps.wallet - Wallet service (see wallet.js)
+ */
+const createPrizePools = ({ sequelize, LedgerTransaction, LedgerEntry, wallet }) => {
+  const accountBalance = async (account, transaction) => Number(
+    await LedgerEntry.sum('amount', { where: { account }, transaction }) || 0
+  );
+
+  // Players with coins in escrow for a lobby, and how many
+  const listEscrows = async (lobbyId, transaction) => {
+    const rows = await sequelize.query(
+      'SELECT account, SUM(amount) AS balance FROM ledger_entries WHERE account LIKE :prefix GROUP BY account',
+      { replacements: { prefix: `escrow:${lobbyId}:%` }, type: QueryTypes.SELECT, transaction }
+    );
+    return rows
+      .map(row => ({ account: row.account, userId: row.account.split(':')[2], amount: Number(row.balance) }))
+      .filter(row => row.amount > 0);
+  };
+
+  // Give escrowed fees back to their players
+  const returnEscrows = (lobbyId, escrows, reason, transaction) => escrows.length && wallet.post({
+    reason,
+    entries: escrows.flatMap(({ account, userId, amount }) => [
+      { account, amount: -amount },
+      { account: userAccount(userId), userId, amount },
+    ]),
+    lobbyId,
+    transaction,
+  });
+
+  /**
+   * Reserve a lobby's entry fee from a joining player
+   * @param {Object} lobby
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction]
+   * @throws {WalletError} If the player can't pay the fee
+   */
+  const reserve = async (lobby, userId, { transaction } = {}) => {
+    if (!lobby.entry_fee) return;
+    try {
+      await wallet.post({
+        reason: 'entry_fee',
+        entries: [
+          { account: userAccount(userId), userId, amount: -lobby.entry_fee },
+          { account: escrowAccount(lobby.id, userId), amount: lobby.entry_fee },
+        ],
+        lobbyId: lobby.id,
+        transaction,
+      });
+    } catch (error) {
+      if (!(error instanceof WalletError)) throw error;
+      throw new WalletError(`the entry fee is ${lobby.entry_fee} coins: ${error.message}`, error.status);
+    }
+  };
+
+  /**
+   * Give a leaving player back the fee reserved for a lobby, if any
+   * @param {number} lobbyId
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction]
+   */
+  const release = async (lobbyId, userId, { transaction } = {}) => {
+    const account = escrowAccount(lobbyId, userId);
+    const amount = await accountBalance(account, transaction);
+    if (amount > 0) await returnEscrows(lobbyId, [{ account, userId, amount }], 'fee_release', transaction);
+  };
+
+  /**
+   * Give every player back the fee reserved for a lobby
+   * @param {number} lobbyId
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction]
+   */
+  const releaseAll = async (lobbyId, { transaction } = {}) => {
+    await returnEscrows(lobbyId, await listEscrows(lobbyId, transaction), 'fee_release', transaction);
+  };
+
+  /**
+   * Move the fees of the players starting a game into the lobby's pool;
+   * fees of anyone else still in escrow go back to them
+   * @param {Object} lobby
+   * @param {string[]} playerIds
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction]
+   */
+  const collect = async (lobby, playerIds, { transaction } = {}) => {
+    const escrows = await listEscrows(lobby.id, transaction);
+    const players = new Set(playerIds.map(String));
+    const paid = escrows.filter(escrow => players.has(escrow.userId));
+    await returnEscrows(lobby.id, escrows.filter(escrow => !players.has(escrow.userId)), 'fee_release', transaction);
+    if (!paid.length) return;
+    await wallet.post({
+      reason: 'prize_pool',
+      entries: [
+        ...paid.map(({ account, amount }) => ({ account, amount: -amount })),
+        { account: poolAccount(lobby.id), amount: paid.reduce((sum, escrow) => sum + escrow.amount, 0) },
+      ],
+      lobbyId: lobby.id,
+      transaction,
+    });
+  };
+
+  /**
+   * Pay a finished game's pool out to its players and the house
+   * @param {Object} lobby
+   * @param {Object} game - Game record
+   * @param {{ user_id: string, placement: number }[]} leaderboard
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction]
+   */
+  const payOut = async (lobby, game, leaderboard, { transaction } = {}) => {
+    const pool = poolAccount(lobby.id);
+    const total = await accountBalance(pool, transaction);
+    if (total <= 0 || !leaderboard.length) return;
+    const { house: cut, places } = splitPool(total, lobby.prize_split || DEFAULT_PRIZE_SPLIT, lobby.house_cut);
+    const prizes = assignPrizes(places, leaderboard);
+    const house = cut + prizes.house;
+    const payouts = [...prizes.payouts].filter(([, amount]) => amount > 0);
+    const ledger = { lobbyId: lobby.id, gameId: game.id, transaction };
+    if (house) {
+      await wallet.post({
+        reason: 'house_cut',
+        entries: [{ account: pool, amount: -house }, { account: SYSTEM_ACCOUNTS.house, amount: house }],
+        ...ledger,
+      });
+    }
+    await wallet.post({
+      reason: 'prize',
+      entries: [
+        { account: pool, amount: -(total - house) },
+        ...payouts.map(([userId, amount]) => ({ account: userAccount(userId), userId, amount })),
+      ],
+      ...ledger,
+    });
+  };
+
+  /**
+   * Refund every fee of a cancelled lobby, whether still in escrow or in the pool
+   * @param {number} lobbyId
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction]
+   */
+  const refund = async (lobbyId, { transaction } = {}) => {
+    await returnEscrows(lobbyId, await listEscrows(lobbyId, transaction), 'refund', transaction);
+    const pool = poolAccount(lobbyId);
+    if (await accountBalance(pool, transaction) <= 0) return;
+    // The pool's contributions are the escrow debits of its collection
+    const collected = await LedgerEntry.findAll({
+      where: { account: { [Op.like]: `escrow:${lobbyId}:%` } },
+      include: [{ model: LedgerTransaction, where: { reason: 'prize_pool' } }],
+      transaction,
+    });
+    const contributions = collected.filter(entry => entry.amount < 0);
+    await wallet.post({
+      reason: 'refund',
+      entries: contributions.flatMap(entry => {
+        const userId = entry.account.split(':')[2];
+        return [
+          { account: pool, amount: entry.amount },
+          { account: userAccount(userId), userId, amount: -entry.amount },
+        ];
+      }),
+      lobbyId,
+      transaction,
+    });
+  };
+
+  /**
+   * The pool of a lobby as players should see it: the fees reserved or
+   * collected so far, the prize of each place, and once the game is over
+   * what each player was paid
+   * @param {Object} lobby
+   * @returns {Promise<Object>}
+   */
+  const describe = async (lobby) => {
+    const split = lobby.prize_split || DEFAULT_PRIZE_SPLIT;
+    const paid = await LedgerEntry.findAll({
+      where: { account: { [Op.ne]: poolAccount(lobby.id) } },
+      include: [{ model: LedgerTransaction, where: { lobby_id: lobby.id, reason: ['prize', 'house_cut'] } }],
+    });
+    let total;
+    if (paid.length) total = paid.reduce((sum, entry) => sum + entry.amount, 0);
+    else if (lobby.status === 'playing') total = await accountBalance(poolAccount(lobby.id));
+    else if (lobby.status === 'cancelled') total = 0;
+    else total = (await listEscrows(lobby.id)).reduce((sum, escrow) => sum + escrow.amount, 0);
+    const { house: cut, places } = splitPool(total, split, lobby.house_cut);
+    // Once paid, the house also holds the coins tied players couldn't share
+    const house = paid.length
+      ? paid.filter(entry => entry.account === SYSTEM_ACCOUNTS.house).reduce((sum, entry) => sum + entry.amount, 0)
+      : cut;
+    return {
+      entry_fee: lobby.entry_fee,
+      prize_split: split,
+      house_cut: lobby.house_cut,
+      total,
+      house,
+      places: places.map((amount, index) => ({ placement: index + 1, amount })),
+      payouts: paid
+        .filter(entry => entry.user_id !== null)
+        .map(entry => ({ user_id: entry.user_id, amount: entry.amount })),
+    };
+  };
+
+  return { reserve, release, releaseAll, collect, payOut, refund, describe };
+};
+
+module.exports = {
+  DEFAULT_PRIZE_SPLIT,
+  MAX_ENTRY_FEE,
+  MAX_HOUSE_CUT,
+  parsePrizeConfig,
+  splitPool,
+  assignPrizes,
+  createPrizePools,
+};
@@ -0,0 +1,208 @@
+/**
+ * Trivia question bank.
+ * Admins import questions as JSON or CSV; trivia rounds draw a random
+ * question the lobby has not asked yet. The answer stays on the server until
+ * the round is resolved.
+ */
+
+const crypto = require('crypto');
+const { Op, fn, col } = require('sequelize');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const IMPORT_FORMATS = ['json', 'csv'];
+
+const MIN_CHOICES = 2;
+const MAX_CHOICES = 6;
+
+// Largest number of questions accepted by one import
+const MAX_IMPORT_SIZE = 1000;
+
+// CSV columns; `choices` holds the options separated by `|`
+const CSV_COLUMNS = ['text', 'choices', 'answer', 'category', 'difficulty'];
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} content
+ * @returns {string[][]}
+ */
+const parseCsvRows = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) rows.push([...row, field]);
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Read CSV content with a header row into plain question items
+ * @param {string} content
+ * @returns {{ items: Object[], error: string|null }}
+ */
+const parseCsv = (content) => {
+  const [header, ...rows] = parseCsvRows(content);
+  if (!header) return { items: [], error: 'CSV is empty' };
+  const columns = header.map(name => name.trim().toLowerCase());
+  const missing = ['text', 'choices', 'answer'].filter(name => !columns.includes(name));
+  if (missing.length) return { items: [], error: `CSV header is missing: ${missing.join(', ')}` };
+  const items = rows.map(values => Object.fromEntries(
+    columns.filter(name => CSV_COLUMNS.includes(name)).map(name => [name, values[columns.indexOf(name)]])
+  ));
+  return {
+    items: items.map(item => ({ ...item, choices: (item.choices || '').split('|') })),
+    error: null,
+  };
+};
+
+/**
+ * Validate one imported question
+ * @param {Object} item - `{ text, choices, answer | answer_index, category?, difficulty? }`;
+ *   `answer` is the text of the correct choice, `answer_index` its 0-based position
+ * @returns {{ question: Object|null, error: string|null }}
+ */
+const parseQuestion = (item) => {
+  if (!item || typeof item !== 'object') return { question: null, error: 'must be an object' };
+  const text = typeof item.text === 'string' ? item.text.trim() : '';
+  if (!text) return { question: null, error: 'text is required' };
+  if (!Array.isArray(item.choices)) return { question: null, error: 'choices must be a list' };
+  const choices = item.choices.map(choice => String(choice ?? '').trim());
+  if (choices.length < MIN_CHOICES || choices.length > MAX_CHOICES || choices.some(choice => !choice)) {
+    return { question: null, error: `choices must hold ${MIN_CHOICES} to ${MAX_CHOICES} non-empty options` };
+  }
+  if (new Set(choices).size !== choices.length) return { question: null, error: 'choices must be unique' };
+
+  const answerIndex = item.answer_index !== undefined && item.answer_index !== ''
+    ? Number(item.answer_index)
+    : choices.indexOf(String(item.answer ?? '').trim());
+  if (!Number.isInteger(answerIndex) || answerIndex < 0 || answerIndex >= choices.length) {
+    return { question: null, error: 'answer must match one of the choices' };
+  }
+
+  const category = String(item.category || 'general').trim().toLowerCase() || 'general';
+  const difficulty = String(item.difficulty || 'medium').trim().toLowerCase();
+  if (!DIFFICULTIES.includes(difficulty)) {
+    return { question: null, error: `difficulty must be one of: ${DIFFICULTIES.join(', ')}` };
+  }
+  return { question: { text, choices, answer_index: answerIndex, category, difficulty }, error: null };
+};
+
+/**
+ * Parse an import in one of IMPORT_FORMATS; every question must be valid
+ * @param {string} format
+ * @param {string} content - A JSON array of questions, or CSV with a header row
+ * @returns {{ questions: Object[], error: string|null }}
+ */
+const parseImport = (format, content) => {
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { questions: [], error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` };
+  }
+  if (typeof content !== 'string' || !content.trim()) return { questions: [], error: 'content is required' };
+
+  let items;
+  if (format === 'json') {
+    try {
+      items = JSON.parse(content);
+    } catch (error) {
+      return { questions: [], error: `invalid JSON: ${error.message}` };
+    }
+    if (!Array.isArray(items)) return { questions: [], error: 'JSON must be an array of questions' };
+  } else {
+    const csv = parseCsv(content);
+    if (csv.error) return { questions: [], error: csv.error };
+    items = csv.items;
+  }
+
+  if (!items.length) return { questions: [], error: 'no questions to import' };
+  if (items.length > MAX_IMPORT_SIZE) {
+    return { questions: [], error: `at most ${MAX_IMPORT_SIZE} questions can be imported at once` };
+  }
+  const questions = [];
+  for (const [idx, item] of items.entries()) {
+    const { question, error } = parseQuestion(item);
+    if (error) return { questions: [], error: `question ${idx + 1}: ${error}` };
+    questions.push(question);
+  }
+  return { questions, error: null };
+};
+
+/**
+ * Create a question bank bound to the given models
+ * @param {Object} deps
+ * @param {Object} deps.Question - Question model
+ * @param {Object} deps.Round - Round model, to skip questions a lobby already asked
+ */
+const createQuestionBank = ({ Question, Round }) => {
+  /**
+   * Draw a random question a lobby has not asked yet
+   * @param {Object} options
+   * @param {number} options.lobbyId
+   * @param {string} [options.category]
+   * @param {string} [options.difficulty]
+   * @param {import('sequelize').Transaction} [options.transaction]
+   * @returns {Promise<Object|null>} null when the bank has no question left
+   */
+  const pick = async ({ lobbyId, category, difficulty, transaction }) => {
+    const rounds = await Round.findAll({ where: { lobby_id: lobbyId }, attributes: ['setup'], transaction });
+    const askedIds = rounds.map(round => round.setup?.question_id).filter(Boolean);
+    const where = {};
+    if (category) where.category = category;
+    if (difficulty) where.difficulty = difficulty;
+    if (askedIds.length) where.id = { [Op.notIn]: askedIds };
+
+    const count = await Question.count({ where, transaction });
+    if (!count) return null;
+    return Question.findOne({ where, order: [['id', 'ASC']], offset: crypto.randomInt(count), transaction });
+  };
+
+  /**
+   * Question counts per category and difficulty
+   * @returns {Promise<{ category: string, difficulty: string, count: number }[]>}
+   */
+  const summary = async () => {
+    const rows = await Question.findAll({
+      attributes: ['category', 'difficulty', [fn('COUNT', col('id')), 'count']],
+      group: ['category', 'difficulty'],
+      raw: true,
+    });
+    return rows
+      .map(row => ({ category: row.category, difficulty: row.difficulty, count: Number(row.count) }))
+      .sort((a, b) => a.category.localeCompare(b.category)
+        || DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty));
+  };
+
+  return { pick, summary };
+};
+
+module.exports = {
+  DIFFICULTIES,
+  IMPORT_FORMATS,
+  MAX_IMPORT_SIZE,
+  parseImport,
+  createQuestionBank,
+};
@@ -0,0 +1,468 @@
+/**
+ * Server-authoritative round engine.
+ * Runs elimination rounds on server timers and persists every round, so all
+ * clients render the same history and games survive a backend restart.
+ * Finished games are recorded in the `games` and `game_participants` tables,
+ * and their participants rewarded with coins (see wallet.js). Entry fees are
+ * collected into the prize pool when a game starts and paid out when it
+ * finishes (see prizePool.js).
+ * Eliminations follow the lobby's game mode (see modes/) and rules (see
+ * rules.js), and are drawn from its committed seed (see fairness.js).
+ * Player input for interactive modes is stored in `round_actions`, stamped
+ * with the server's clock.
+ */
+
+const { canTransition, transitionLobby } = require('./lobbyState');
+const { createSeed, pickEliminated } = require('./fairness');
+const { pickRules } = require('./rules');
+const { getMode } = require('./modes');
+
+/**
+ * Raised when a player's round action is refused
+ */
+class RoundActionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'RoundActionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Create a round engine bound to the given models
+ * @param {Object} deps
+ * @param {import('sequelize').Sequelize} deps.sequelize
+ * @param {Object} deps.Lobby - Lobby model
+ * @param {Object} deps.User - User model
+ * @param {Object} deps.Round - Round model
+ * @param {Object} deps.Game - Game model
+ * @param {Object} deps.GameParticipant - GameParticipant model
+ * @param {Object} deps.RoundAction - RoundAction model
+ * @param {Object} [deps.questionBank] - Question bank for trivia rounds (see questionBank.js)
+ * @param {Object} [deps.wallet] - Pays the game rewards (see wallet.js)
+ * @param {Object} [deps.prizePools] - Collects and pays out entry fees (see prizePool.js)
+ * @param {(lobbyId: number, event: string, data: Object) => void} [deps.emit] - Publishes lobby events
+ */
+const createRoundEngine = ({
+  sequelize, Lobby, User, Round, Game, GameParticipant, RoundAction, questionBank, wallet, prizePools,
+  emit = () => {},
+}) => {
+  const timers = new Map();
+  const windowTimers = new Map();
+
+  const emitRoundStarted = (round) => emit(round.lobby_id, 'round_started', {
+    round_number: round.round_number,
+    started_at: round.started_at,
+    deadline: round.deadline,
+    player_ids: round.player_ids,
+  });
+
+  const createRound = async (lobby, roundNumber, playerIds, transaction) => {
+    const rules = pickRules(lobby);
+    const startedAt = new Date();
+    const deadline = new Date(startedAt.getTime() + rules.round_duration * 1000);
+    const mode = getMode(lobby.mode);
+    const setup = mode.setupRound
+      ? await mode.setupRound({
+        rules,
+        options: lobby.mode_options || {},
+        lobbyId: lobby.id,
+        startedAt,
+        deadline,
+        questions: questionBank,
+        transaction,
+      })
+      : null;
+    return Round.create({
+      lobby_id: lobby.id,
+      round_number: roundNumber,
+      player_ids: playerIds,
+      setup,
+      started_at: startedAt,
+      deadline,
+    }, { transaction });
+  };
+
+  // Tells clients to re-read the round when a secret window in its setup opens
+  const scheduleWindow = (round) => {
+    clearTimeout(windowTimers.get(round.lobby_id));
+    windowTimers.delete(round.lobby_id);
+    if (!round.setup?.opens_at) return;
+    const delay = new Date(round.setup.opens_at).getTime() - Date.now();
+    if (delay < 0) return;
+    windowTimers.set(round.lobby_id, setTimeout(() => {
+      windowTimers.delete(round.lobby_id);
+      emit(round.lobby_id, 'round_window_opened', { round_number: round.round_number });
+    }, delay));
+  };
+
+  const scheduleRound = (round) => {
+    scheduleWindow(round);
+    clearTimeout(timers.get(round.lobby_id));
+    const delay = Math.max(0, new Date(round.deadline).getTime() - Date.now());
+    timers.set(round.lobby_id, setTimeout(() => {
+      timers.delete(round.lobby_id);
+      resolveRound(round.lobby_id).catch((error) => {
+        console.error(`[ENGINE] Failed to resolve round for lobby ${round.lobby_id}:`, error);
+      });
+    }, delay));
+  };
+
+  // Outcome stored by the mode for the round before the given one
+  const getPreviousOutcome = async (round, transaction) => {
+    if (round.round_number <= 1) return null;
+    const previous = await Round.findOne({
+      where: { lobby_id: round.lobby_id, round_number: round.round_number - 1 },
+      transaction,
+    });
+    return previous?.outcome || null;
+  };
+
+  const getUsernames = async (ids) => {
+    if (!ids.length) return {};
+    const users = await User.findAll({ where: { id: ids }, attributes: ['id', 'username'] });
+    return Object.fromEntries(users.map(u => [u.id, u.username]));
+  };
+
+  const lastOutcome = (rounds) => rounds.filter(round => round.resolved_at).pop()?.outcome || null;
+
+  // Lives a player has left after the last resolved round, or null in modes without lives
+  const getLivesLeft = (lobby, rounds) => {
+    const mode = getMode(lobby.mode);
+    if (!mode.livesLeft) return () => null;
+    const rules = pickRules(lobby);
+    const outcome = lastOutcome(rounds);
+    return (playerId) => mode.livesLeft({ rules, outcome, playerId });
+  };
+
+  /**
+   * Build the final leaderboard from the rounds of a game
+   * @param {Object} lobby - Lobby instance, for its mode and rules
+   * @param {Object[]} rounds - Rounds ordered by round_number
+   * @param {string[]} participantIds - Players who took part in the game
+   * @returns {Promise<{ leaderboard: Object[], winner: Object|null }>}
+   */
+  const buildResults = async (lobby, rounds, participantIds) => {
+    const usernames = await getUsernames(participantIds);
+    const usernameOf = (id) => usernames[id] || `User${id}`;
+
+    const leaderboard = [];
+    rounds.forEach(round => (round.eliminated_ids || []).forEach(id => leaderboard.push({
+      user_id: id,
+      username: usernameOf(id),
+      eliminated_round: round.round_number,
+    })));
+    const eliminated = new Set(leaderboard.map(entry => entry.user_id));
+    const survivors = participantIds.filter(id => !eliminated.has(id));
+    survivors.forEach(id => leaderboard.push({ user_id: id, username: usernameOf(id), eliminated_round: null }));
+    const livesLeft = getLivesLeft(lobby, rounds);
+    leaderboard.forEach((entry) => { entry.lives_left = livesLeft(entry.user_id); });
+
+    // Among players who lasted equally long the mode's tie-breaker decides; equal ones share a placement
+    const mode = getMode(lobby.mode);
+    const rules = pickRules(lobby);
+    const finalOutcome = lastOutcome(rounds);
+    const tieScores = new Map(leaderboard.map((entry) => {
+      const outcome = entry.eliminated_round === null
+        ? finalOutcome
+        : rounds.find(round => round.round_number === entry.eliminated_round)?.outcome;
+      return [entry, mode.tieBreaker ? mode.tieBreaker({ rules, outcome, playerId: entry.user_id }) : 0];
+    }));
+    const lasted = (entry) => entry.eliminated_round ?? Infinity;
+    const ranksAbove = (other, entry) => lasted(other) > lasted(entry)
+      || (lasted(other) === lasted(entry) && tieScores.get(other) > tieScores.get(entry));
+    leaderboard.forEach((entry) => {
+      entry.placement = 1 + leaderboard.filter(other => ranksAbove(other, entry)).length;
+    });
+
+    const leaders = leaderboard.filter(entry => entry.placement === 1);
+    const winner = leaders.length === 1
+      ? { user_id: leaders[0].user_id, username: leaders[0].username }
+      : null;
+    return { leaderboard, winner };
+  };
+
+  /**
+   * Record the results of a playing lobby and mark it finished
+   * @param {number} lobbyId
+   * @param {string[]} [fallbackIds] - Participants of a game that needed no rounds
+   */
+  const finishGame = async (lobbyId, fallbackIds = []) => {
+    const rounds = await Round.findAll({ where: { lobby_id: lobbyId }, order: [['round_number', 'ASC']] });
+    const participantIds = rounds.length ? rounds[0].player_ids : fallbackIds;
+    const lobbySnapshot = await Lobby.findByPk(lobbyId);
+    if (!lobbySnapshot) return;
+    const results = await buildResults(lobbySnapshot, rounds, participantIds);
+
+    const finished = await sequelize.transaction(async (t) => {
+      const lobby = await Lobby.findByPk(lobbyId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!lobby || !canTransition(lobby.status, 'finished')) return false;
+      const game = await Game.create({
+        lobby_id: lobby.id,
+        winner_id: results.winner?.user_id ?? null,
+        players_count: participantIds.length,
+        rounds_count: rounds.length,
+        started_at: rounds[0]?.started_at || new Date(),
+        finished_at: new Date(),
+      }, { transaction: t });
+      const participants = await GameParticipant.bulkCreate(results.leaderboard.map(entry => ({
+        game_id: game.id,
+        user_id: entry.user_id,
+        username: entry.username,
+        placement: entry.placement,
+        eliminated_round: entry.eliminated_round,
+        lives_left: entry.lives_left,
+        // Every survivor sharing first place wins when the rules stop the game with several players left
+        is_winner: entry.placement === 1,
+      })), { transaction: t });
+      if (wallet) await wallet.rewardGame(game, participants, { transaction: t });
+      if (prizePools) await prizePools.payOut(lobby, game, participants, { transaction: t });
+      await transitionLobby(lobby, 'finished', { transaction: t });
+      return true;
+    });
+    if (!finished) return;
+    emit(lobbyId, 'lobby_finished', { winner: results.winner });
+    console.log(`[ENGINE] Lobby ${lobbyId} finished, winner:`, results.winner);
+  };
+
+  /**
+   * Play the open round with the lobby's game mode and open the next one
+   * @param {number} lobbyId
+   * @param {{ schedule?: boolean }} [options] - schedule=false leaves the next round for the caller
+   * @returns {Promise<boolean>} Whether another round was opened
+   */
+  const resolveRound = async (lobbyId, { schedule = true } = {}) => {
+    const outcome = await sequelize.transaction(async (t) => {
+      // Cancelled lobbies keep their rounds as they were
+      const lobby = await Lobby.findByPk(lobbyId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (lobby?.status !== 'playing') return { stopped: true };
+      const round = await Round.findOne({
+        where: { lobby_id: lobbyId, resolved_at: null },
+        order: [['round_number', 'DESC']],
+        transaction: t,
+        lock: t.LOCK.UPDATE,
+      });
+      if (!round) return {};
+      const mode = getMode(lobby.mode);
+      const rules = pickRules(lobby);
+      const alive = round.player_ids;
+      const previous = await getPreviousOutcome(round, t);
+      const actions = await RoundAction.findAll({ where: { round_id: round.id }, transaction: t });
+      let drawnIds = [];
+      const draw = (count) => {
+        drawnIds = pickEliminated(lobby.seed, round.round_number, alive, count);
+        return drawnIds;
+      };
+      const { eliminated, outcome = {} } = mode.playRound({
+        rules,
+        alive,
+        previous,
+        draw,
+        actions: actions.map(action => action.get({ plain: true })),
+        setup: round.setup,
+        options: lobby.mode_options || {},
+      });
+      // drawn_ids records the seeded draw itself, so the fairness verifier can replay it
+      const roundOutcome = { ...outcome, drawn_ids: drawnIds };
+      await round.update({ eliminated_ids: eliminated, outcome: roundOutcome, resolved_at: new Date() }, { transaction: t });
+      const survivors = alive.filter(id => !eliminated.includes(id));
+      if (mode.isGameOver({ rules, survivors, roundNumber: round.round_number, outcome: roundOutcome })) {
+        return { resolved: round };
+      }
+      return { resolved: round, next: await createRound(lobby, round.round_number + 1, survivors, t) };
+    });
+    if (outcome.stopped) return false;
+    if (outcome.resolved) {
+      emit(lobbyId, 'players_eliminated', {
+        round_number: outcome.resolved.round_number,
+        eliminated_ids: outcome.resolved.eliminated_ids,
+      });
+    }
+    if (outcome.next) {
+      if (schedule) scheduleRound(outcome.next);
+      emitRoundStarted(outcome.next);
+      return true;
+    }
+    await finishGame(lobbyId);
+    return false;
+  };
+
+  /**
+   * Record a player's action in the open round of a lobby, timestamped by the server
+   * @param {number} lobbyId
+   * @param {string} userId
+   * @param {string} type - One of the mode's `actions`
+   * @param {*} [value] - Mode-specific payload
+   * @returns {Promise<Object>} The stored action
+   * @throws {RoundActionError}
+   */
+  const submitAction = async (lobbyId, userId, type, value = null) => {
+    const at = new Date();
+    const result = await sequelize.transaction(async (t) => {
+      const lobby = await Lobby.findByPk(lobbyId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!lobby) throw new RoundActionError('lobby not found', 404);
+      if (lobby.status !== 'playing') throw new RoundActionError(`game is ${lobby.status}`);
+      const mode = getMode(lobby.mode);
+      if (!mode.actions?.includes(type)) throw new RoundActionError(`${mode.name} rounds take no ${type} actions`, 400);
+      const round = await Round.findOne({ where: { lobby_id: lobby.id, resolved_at: null }, transaction: t });
+      if (!round || at > new Date(round.deadline)) throw new RoundActionError('no round in progress');
+      if (!round.player_ids.map(String).includes(String(userId))) {
+        throw new RoundActionError('you are not playing this round', 403);
+      }
+      const existing = await RoundAction.findOne({ where: { round_id: round.id, user_id: userId }, transaction: t });
+      if (existing) throw new RoundActionError('you already acted this round');
+
+      const { record, error, status } = mode.acceptAction({
+        rules: pickRules(lobby),
+        options: lobby.mode_options || {},
+        setup: round.setup,
+        alive: round.player_ids,
+        userId,
+        type,
+        value,
+        at,
+      });
+      const action = record && await RoundAction.create({
+        round_id: round.id,
+        lobby_id: lobby.id,
+        user_id: userId,
+        type,
+        value: record.value ?? null,
+        reaction_ms: record.reaction_ms ?? null,
+        created_at: at,
+      }, { transaction: t });
+      return { action, error, status };
+    });
+    // Some refused actions still count, e.g. a tap before the window opens
+    if (result.error) throw new RoundActionError(result.error, result.status);
+    return result.action;
+  };
+
+  /**
+   * Move a lobby from `countdown` to `playing` and open its first round
+   * @param {number} lobbyId
+   * @returns {Promise<boolean>} false if the lobby was not in countdown
+   */
+  const startGame = async (lobbyId) => {
+    const outcome = await sequelize.transaction(async (t) => {
+      const lobby = await Lobby.findByPk(lobbyId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!lobby || lobby.status !== 'countdown') return null;
+      const players = await User.findAll({ where: { lobby_id: lobby.id }, attributes: ['id'], transaction: t });
+      const playerIds = players.map(p => p.id);
+      // Lobbies created before seeds existed commit to one now, before any draw
+      const changes = lobby.seed ? {} : createSeed();
+      await transitionLobby(lobby, 'playing', { changes, transaction: t });
+      if (prizePools) await prizePools.collect(lobby, playerIds, { transaction: t });
+      if (playerIds.length <= pickRules(lobby).min_survivors) return { playerIds };
+      return { round: await createRound(lobby, 1, playerIds, t) };
+    });
+    if (!outcome) return false;
+    emit(lobbyId, 'lobby_started');
+    if (outcome.round) {
+      scheduleRound(outcome.round);
+      emitRoundStarted(outcome.round);
+    } else {
+      await finishGame(Number(lobbyId), outcome.playerIds);
+    }
+    return true;
+  };
+
+  /**
+   * Resolve every remaining round of a playing lobby immediately
+   * @param {number} lobbyId
+   */
+  const finishNow = async (lobbyId) => {
+    stop(lobbyId);
+    let open = true;
+    while (open) open = await resolveRound(Number(lobbyId), { schedule: false });
+  };
+
+  /**
+   * Cancel the pending round timer of a lobby
+   * @param {number} lobbyId
+   */
+  const stop = (lobbyId) => {
+    clearTimeout(timers.get(Number(lobbyId)));
+    timers.delete(Number(lobbyId));
+    clearTimeout(windowTimers.get(Number(lobbyId)));
+    windowTimers.delete(Number(lobbyId));
+  };
+
+  /**
+   * Reschedule unresolved rounds of playing lobbies after a restart
+   */
+  const resume = async () => {
+    const lobbies = await Lobby.findAll({ where: { status: 'playing' }, attributes: ['id'] });
+    for (const lobby of lobbies) {
+      const round = await Round.findOne({ where: { lobby_id: lobby.id, resolved_at: null } });
+      if (round) scheduleRound(round);
+      else await finishGame(lobby.id);
+    }
+    console.log(`[ENGINE] Resumed ${lobbies.length} playing lobbies`);
+  };
+
+  /**
+   * Snapshot of a lobby's game as clients should render it
+   * @param {Object} lobby - Lobby instance
+   */
+  const getState = async (lobby) => {
+    const rounds = await Round.findAll({ where: { lobby_id: lobby.id }, order: [['round_number', 'ASC']] });
+    const participantIds = rounds[0]?.player_ids || [];
+    const usernames = await getUsernames(participantIds);
+    const eliminatedRound = {};
+    rounds.forEach(round => (round.eliminated_ids || []).forEach(id => { eliminatedRound[id] = round.round_number; }));
+    const current = rounds.find(round => !round.resolved_at);
+    const rules = pickRules(lobby);
+    const mode = getMode(lobby.mode);
+    const previous = current ? rounds.find(round => round.round_number === current.round_number - 1) : null;
+    const livesLeft = getLivesLeft(lobby, rounds);
+    const currentActions = current && mode.actions
+      ? await RoundAction.findAll({ where: { round_id: current.id }, raw: true })
+      : [];
+
+    return {
+      lobby_id: lobby.id,
+      status: lobby.status,
+      server_time: new Date(),
+      round_duration: rules.round_duration,
+      rules,
+      mode: { id: mode.id, name: mode.name, description: mode.description },
+      current_round: current
+        ? {
+          round_number: current.round_number,
+          started_at: current.started_at,
+          deadline: current.deadline,
+          info: mode.roundInfo({
+            rules,
+            alive: current.player_ids,
+            previous: previous?.outcome || null,
+            setup: current.setup,
+            options: lobby.mode_options || {},
+            actions: currentActions,
+            now: new Date(),
+          }),
+        }
+        : null,
+      rounds: rounds.map(round => ({
+        round_number: round.round_number,
+        started_at: round.started_at,
+        deadline: round.deadline,
+        resolved_at: round.resolved_at,
+        player_ids: round.player_ids,
+        eliminated_ids: round.eliminated_ids || [],
+        outcome: round.outcome,
+      })),
+      players: participantIds.map(id => ({
+        id,
+        username: usernames[id],
+        status: eliminatedRound[id] ? 'eliminated' : 'active',
+        eliminated_round: eliminatedRound[id] ?? null,
+        lives: livesLeft(id),
+      })),
+    };
+  };
+
+  return { startGame, resolveRound, submitAction, finishNow, resume, stop, getState };
+};
+
+module.exports = { createRoundEngine, RoundActionError };
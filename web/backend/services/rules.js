@@ -0,0 +1,93 @@
+/**
+ * Elimination rules.
+ * Every lobby carries its own copy of the rules, taken from the request or
+ * from its preset when it is created, so editing a preset never changes a
+ * game that is already scheduled or running.
+ */
+
+const RULE_DEFAULTS = {
+  round_duration: 3, // Seconds between the start of a round and its elimination
+  elimination_fraction: 0.5, // Share of the alive players eliminated per round
+  elimination_count: null, // Fixed number eliminated per round; overrides the fraction
+  min_survivors: 1, // A round never leaves fewer players; the game ends when reached
+  max_rounds: null, // The game ends after this many rounds; null for no limit
+  starting_lives: 3, // Lives every player starts with in `lives` mode
+};
+
+const RULE_KEYS = Object.keys(RULE_DEFAULTS);
+
+// Upper bound for round_duration (seconds)
+const MAX_ROUND_DURATION = 300;
+
+// Upper bound for starting_lives
+const MAX_STARTING_LIVES = 10;
+
+const isIntInRange = (value, min, max = Infinity) => Number.isInteger(value) && value >= min && value <= max;
+
+const VALIDATORS = {
+  round_duration: [v => isIntInRange(v, 1, MAX_ROUND_DURATION), `an integer between 1 and ${MAX_ROUND_DURATION}`],
+  elimination_fraction: [v => typeof v === 'number' && v > 0 && v <= 1, 'a number greater than 0 and at most 1'],
+  elimination_count: [v => v === null || isIntInRange(v, 1), 'a positive integer or null'],
+  min_survivors: [v => isIntInRange(v, 1), 'a positive integer'],
+  max_rounds: [v => v === null || isIntInRange(v, 1), 'a positive integer or null'],
+  starting_lives: [v => isIntInRange(v, 1, MAX_STARTING_LIVES), `an integer between 1 and ${MAX_STARTING_LIVES}`],
+};
+
+/**
+ * Validate the rule fields present in a request body
+ * @param {Object} body
+ * @returns {{ rules: Object, error: string|null }} Only the rules that were provided
+ */
+const parseRules = (body = {}) => {
+  const rules = {};
+  for (const key of RULE_KEYS) {
+    if (body[key] === undefined) continue;
+    const value = body[key] === null || body[key] === '' ? null : Number(body[key]);
+    const [isValid, expected] = VALIDATORS[key];
+    if (!isValid(value)) return { rules: {}, error: `${key} must be ${expected}` };
+    rules[key] = value;
+  }
+  return { rules, error: null };
+};
+
+/**
+ * Pick the rule columns of a lobby or preset, falling back to defaults
+ * @param {Object} [source]
+ * @returns {Object}
+ */
+const pickRules = (source = {}) => Object.fromEntries(
+  RULE_KEYS.map(key => [key, source[key] ?? RULE_DEFAULTS[key]])
+);
+
+/**
+ * How many players a round eliminates
+ * @param {Object} rules
+ * @param {number} aliveCount - Players alive at the start of the round
+ * @returns {number}
+ */
+const eliminationCount = (rules, aliveCount) => {
+  const { elimination_count, elimination_fraction, min_survivors } = pickRules(rules);
+  const wanted = elimination_count ?? Math.ceil(aliveCount * elimination_fraction);
+  return Math.max(0, Math.min(wanted, aliveCount - min_survivors));
+};
+
+/**
+ * Whether a game ends after the given round
+ * @param {Object} rules
+ * @param {number} survivorsCount - Players left after the round
+ * @param {number} roundNumber - Round that just ended
+ * @returns {boolean}
+ */
+const isGameOver = (rules, survivorsCount, roundNumber) => {
+  const { min_survivors, max_rounds } = pickRules(rules);
+  return survivorsCount <= min_survivors || (max_rounds !== null && roundNumber >= max_rounds);
+};
+
+module.exports = {
+  RULE_DEFAULTS,
+  RULE_KEYS,
+  parseRules,
+  pickRules,
+  eliminationCount,
+  isGameOver,
+};
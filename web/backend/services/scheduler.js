@@ -0,0 +1,73 @@
+/**
+ * Lobby start scheduler.
+ * Keeps one timer per lobby with a `starts_at` time: a `waiting` lobby is
+ * moved to `countdown` shortly before its start, and a `countdown` lobby
+ * starts playing exactly at `starts_at`. Pending schedules live in the
+ * database, so they are reloaded after a restart; lobbies whose start passed
+ * while the server was down are started immediately.
+ */
+
+// setTimeout cannot wait longer than 2^31 - 1 ms (~24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Create a scheduler bound to the Lobby model
+ * @param {Object} deps
+ * @param {Object} deps.Lobby - Lobby model
+ * @param {Object} deps.Op - Sequelize operators
+ * @param {number} deps.countdown - Length of the pre-game countdown (seconds)
+ * @param {(lobbyId: number) => Promise<void>} deps.onCountdown - Moves a waiting lobby to countdown
+ * @param {(lobbyId: number) => Promise<void>} deps.onStart - Starts the game of a lobby in countdown
+ */
+const createLobbyScheduler = ({ Lobby, Op, countdown, onCountdown, onStart }) => {
+  const timers = new Map();
+
+  /**
+   * Cancel the pending timer of a lobby
+   * @param {number} lobbyId
+   */
+  const cancel = (lobbyId) => {
+    clearTimeout(timers.get(Number(lobbyId)));
+    timers.delete(Number(lobbyId));
+  };
+
+  /**
+   * Schedule (or reschedule) the next lifecycle step of a lobby
+   * @param {{ id: number, status: string, starts_at: Date|null }} lobby
+   */
+  const schedule = (lobby) => {
+    cancel(lobby.id);
+    if (!lobby.starts_at || !['waiting', 'countdown'].includes(lobby.status)) return;
+    const startsAt = new Date(lobby.starts_at).getTime();
+    const fireAt = lobby.status === 'waiting' ? startsAt - countdown * 1000 : startsAt;
+    const delay = fireAt - Date.now();
+    if (delay > MAX_TIMER_DELAY) {
+      // Re-arm closer to the start time
+      timers.set(lobby.id, setTimeout(() => schedule(lobby), MAX_TIMER_DELAY));
+      return;
+    }
+    const step = lobby.status === 'waiting' ? onCountdown : onStart;
+    timers.set(lobby.id, setTimeout(() => {
+      timers.delete(lobby.id);
+      step(lobby.id).catch((error) => {
+        console.error(`[SCHEDULER] Failed to advance lobby ${lobby.id}:`, error);
+      });
+    }, Math.max(0, delay)));
+  };
+
+  /**
+   * Reload pending schedules from the database
+   */
+  const restore = async () => {
+    const lobbies = await Lobby.findAll({
+      where: { status: ['waiting', 'countdown'], starts_at: { [Op.ne]: null } },
+      attributes: ['id', 'status', 'starts_at'],
+    });
+    lobbies.forEach(schedule);
+    console.log(`[SCHEDULER] Restored ${lobbies.length} scheduled lobbies`);
+  };
+
+  return { schedule, cancel, restore };
+};
+
+module.exports = { createLobbyScheduler };
@@ -0,0 +1,195 @@
+/**
+ * Player statistics.
+ * Derived on demand from the `games` and `game_participants` tables, so they
+ * always agree with the recorded results. Reaction times come from the taps
+ * stored in `round_actions`.
+ */
+
+const { QueryTypes } = require('sequelize');
+
+// Page size limits for game history and leaderboards
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Leaderboard rankings and the time windows they can cover
+const LEADERBOARD_METRICS = ['wins', 'games_played', 'average_survival', 'reaction_time'];
+const LEADERBOARD_PERIODS = ['all', 'month', 'week'];
+
+// Metrics where the smallest value ranks first
+const ASCENDING_METRICS = ['reaction_time'];
+
+/**
+ * Start of the current leaderboard window (UTC), or null for all time.
+ * Weeks start on Monday.
+ * @param {string} period
+ * @param {Date} [now]
+ * @returns {Date|null}
+ */
+const periodStart = (period, now = new Date()) => {
+  if (period === 'month') return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  if (period === 'week') {
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysSinceMonday));
+  }
+  return null;
+};
+
+/**
+ * Rounds a participant survived: every round before their elimination,
+ * or all rounds of the game if they were never eliminated
+ * @param {{ eliminated_round: number|null }} participant
+ * @param {{ rounds_count: number }} game
+ * @returns {number}
+ */
+const survivedRounds = (participant, game) => (
+  participant.eliminated_round === null ? game.rounds_count : participant.eliminated_round - 1
+);
+
+/**
+ * Create a stats service bound to the result models
+ * @param {Object} deps
+ * @param {import('sequelize').Sequelize} deps.sequelize
+ * @param {Object} deps.Game - Game model
+ * @param {Object} deps.GameParticipant - GameParticipant model
+ */
+const createStatsService = ({ sequelize, Game, GameParticipant }) => {
+  /**
+   * Aggregate statistics of a player over all recorded games
+   * @param {string} userId
+   */
+  const getStats = async (userId) => {
+    const participations = await GameParticipant.findAll({
+      where: { user_id: userId },
+      include: [{ model: Game, attributes: ['rounds_count', 'finished_at'] }],
+      order: [[Game, 'finished_at', 'ASC'], ['game_id', 'ASC']],
+    });
+
+    const gamesPlayed = participations.length;
+    const wins = participations.filter(p => p.is_winner).length;
+    const survived = participations.map(p => survivedRounds(p, p.game));
+
+    // Streaks run over games in the order they finished
+    let currentStreak = 0;
+    let longestStreak = 0;
+    participations.forEach((p) => {
+      currentStreak = p.is_winner ? currentStreak + 1 : 0;
+      longestStreak = Math.max(longestStreak, currentStreak);
+    });
+
+    return {
+      user_id: userId,
+      games_played: gamesPlayed,
+      wins,
+      win_rate: gamesPlayed ? Number((wins / gamesPlayed).toFixed(4)) : 0,
+      average_survived_rounds: gamesPlayed
+        ? Number((survived.reduce((sum, n) => sum + n, 0) / gamesPlayed).toFixed(2))
+        : 0,
+      best_survived_rounds: gamesPlayed ? Math.max(...survived) : 0,
+      current_win_streak: currentStreak,
+      longest_win_streak: longestStreak,
+    };
+  };
+
+  /**
+   * A page of a player's games, most recent first
+   * @param {string} userId
+   * @param {{ limit?: number, offset?: number }} [page]
+   */
+  const getGames = async (userId, { limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) => {
+    const { count, rows } = await GameParticipant.findAndCountAll({
+      where: { user_id: userId },
+      include: [{ model: Game }],
+      order: [[Game, 'finished_at', 'DESC'], ['game_id', 'DESC']],
+      limit,
+      offset,
+    });
+
+    return {
+      total: count,
+      limit,
+      offset,
+      games: rows.map(p => ({
+        game_id: p.game_id,
+        lobby_id: p.game.lobby_id,
+        started_at: p.game.started_at,
+        finished_at: p.game.finished_at,
+        players_count: p.game.players_count,
+        rounds_count: p.game.rounds_count,
+        placement: p.placement,
+        eliminated_round: p.eliminated_round,
+        survived_rounds: survivedRounds(p, p.game),
+        is_winner: p.is_winner,
+      })),
+    };
+  };
+
+  /**
+   * Rank every player who finished a game in the window by one metric.
+   * Ties share a rank; more games played breaks ties in the sort order only.
+   * `reaction_time` is the average of on-time taps (ms) and ranks only players who tapped.
+   * @param {Object} options
+   * @param {string} options.metric - One of LEADERBOARD_METRICS
+   * @param {string} options.period - One of LEADERBOARD_PERIODS
+   * @param {number} [options.limit] - Size of the top list
+   * @param {string} [options.userId] - Player whose own rank is returned as `me`
+   */
+  const getLeaderboard = async ({ metric, period, limit = DEFAULT_PAGE_SIZE, userId = null }) => {
+    const since = periodStart(period);
+    const rows = await sequelize.query(`
+      SELECT gp.user_id,
+        MAX(gp.username) AS username,
+        COUNT(*) AS games_played,
+        SUM(CASE WHEN gp.is_winner THEN 1 ELSE 0 END) AS wins,
+        AVG(CASE WHEN gp.eliminated_round IS NULL THEN g.rounds_count ELSE gp.eliminated_round - 1 END) AS average_survival
+      FROM game_participants gp
+      JOIN games g ON g.id = gp.game_id
+      ${since ? 'WHERE g.finished_at >= :since' : ''}
+      GROUP BY gp.user_id
+    `, { replacements: { since }, type: QueryTypes.SELECT });
+    const reactionRows = await sequelize.query(`
+      SELECT user_id, AVG(reaction_ms) AS reaction_time
+      FROM round_actions
+      WHERE type = 'tap' AND reaction_ms IS NOT NULL
+      ${since ? 'AND created_at >= :since' : ''}
+      GROUP BY user_id
+    `, { replacements: { since }, type: QueryTypes.SELECT });
+    const reactionTimes = Object.fromEntries(reactionRows.map(row => [String(row.user_id), Math.round(Number(row.reaction_time))]));
+
+    const direction = ASCENDING_METRICS.includes(metric) ? -1 : 1;
+    const entries = rows
+      .map(row => ({
+        user_id: String(row.user_id),
+        username: row.username,
+        games_played: Number(row.games_played),
+        wins: Number(row.wins),
+        average_survival: Number(Number(row.average_survival).toFixed(2)),
+        reaction_time: reactionTimes[String(row.user_id)] ?? null,
+      }))
+      .filter(entry => entry[metric] !== null)
+      .sort((a, b) => direction * (b[metric] - a[metric]) || (b.games_played - a.games_played) || a.user_id.localeCompare(b.user_id));
+
+    entries.forEach((entry, idx) => {
+      const previous = entries[idx - 1];
+      entry.rank = previous && previous[metric] === entry[metric] ? previous.rank : idx + 1;
+    });
+
+    return {
+      metric,
+      period,
+      since,
+      total_players: entries.length,
+      entries: entries.slice(0, limit),
+      me: userId ? entries.find(entry => entry.user_id === String(userId)) || null : null,
+    };
+  };
+
+  return { getStats, getGames, getLeaderboard };
+};
+
+module.exports = {
+  createStatsService,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  LEADERBOARD_METRICS,
+  LEADERBOARD_PERIODS,
+};
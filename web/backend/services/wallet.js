@@ -0,0 +1,280 @@
+/**
+ * Coin wallets on a double-entry ledger.
+ * Every movement of coins is a ledger transaction whose entries move coins
+ * between accounts and sum to zero: a user's account is `user:<id>`, and the
+ * coins players earn come out of system accounts. Transactions and entries are
+ * never changed once written. `users.balance` caches the sum of a user's
+ * entries; it is updated in the same database transaction as the ledger, and
+ * `reconcile` recomputes it from the ledger.
+ */
+
+const { Op, QueryTypes } = require('sequelize');
+
+// Why coins moved; a transaction also references the lobby or game it belongs to
+const LEDGER_REASONS = [
+  'participation', 'win', 'grant', 'revoke',
+  // Entry fees and prize pools (see prizePool.js)
+  'entry_fee', 'fee_release', 'prize_pool', 'prize', 'house_cut', 'refund',
+];
+
+// Accounts outside the players' wallets
+const SYSTEM_ACCOUNTS = {
+  rewards: 'system:rewards', // Pays participation and win rewards
+  admin: 'system:admin', // Source of admin grants and sink of revokes
+  house: 'system:house', // Takes the house cut of prize pools
+};
+
+// Coins credited to every participant of a finished game, and to each winner on top
+const PARTICIPATION_REWARD = 10;
+const WIN_REWARD = 50;
+
+// Fewest participants a game needs to pay rewards, so solo games can't mint coins
+const MIN_REWARDED_PLAYERS = 2;
+
+// Largest amount an admin may grant or revoke at once
+const MAX_ADJUSTMENT = 1000000;
+
+// Longest note accepted on a ledger transaction
+const MAX_NOTE_LENGTH = 255;
+
+/**
+ * Raised when coins can't be moved, e.g. for lack of funds
+ */
+class WalletError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'WalletError';
+    this.status = status;
+  }
+}
+
+/**
+ * Ledger account of a user's wallet
+ * @param {string|number} userId
+ * @returns {string}
+ */
+const userAccount = (userId) => `user:${userId}`;
+
+/**
+ * Validate an admin grant or revoke
+ * @param {Object} body - `{ amount, reason }`
+ * @returns {{ amount: number, note: string, error: string|null }}
+ */
+const parseAdjustment = (body = {}) => {
+  const amount = Number(body.amount);
+  if (!Number.isInteger(amount) || amount < 1 || amount > MAX_ADJUSTMENT) {
+    return { amount: 0, note: '', error: `amount must be an integer between 1 and ${MAX_ADJUSTMENT}` };
+  }
+  const note = String(body.reason || '').trim();
+  if (!note) return { amount: 0, note: '', error: 'reason is required' };
+  if (note.length > MAX_NOTE_LENGTH) {
+    return { amount: 0, note: '', error: `reason must be at most ${MAX_NOTE_LENGTH} characters` };
+  }
+  return { amount, note, error: null };
+};
+
+/**
+ * Shape a user's ledger entry, with its transaction, for API responses
+ * @param {Object} entry - LedgerEntry including its ledger_transaction
+ * @returns {Object}
+ */
+const formatEntry = (entry) => ({
+  id: entry.id,
+  transaction_id: entry.transaction_id,
+  amount: entry.amount,
+  reason: entry.ledger_transaction.reason,
+  note: entry.ledger_transaction.note,
+  lobby_id: entry.ledger_transaction.lobby_id,
+  game_id: entry.ledger_transaction.game_id,
+  created_by: entry.ledger_transaction.created_by,
+  created_at: entry.created_at,
+});
+
+/**
+ * Create the wallet service bound to the ledger models
+ * @param {Object} deps
+ * @param {import('sequelize').Sequelize} deps.sequelize
+ * @param {Object} deps.User - User model
+ * @param {Object} deps.LedgerTransaction - LedgerTransaction model
+ * @param {Object} deps.LedgerEntry - LedgerEntry model
+ */
+const createWallet = ({ sequelize, User, LedgerTransaction, LedgerEntry }) => {
+  // Run in the caller's transaction, or in a new one
+  const inTransaction = (transaction, work) => (transaction ? work(transaction) : sequelize.transaction(work));
+
+  /**
+   * Write a balanced ledger transaction and update the cached balances.
+   * User accounts never go below zero.
+   * @param {Object} posting
+   * @param {string} posting.reason - One of LEDGER_REASONS
+   * @param {{ account: string, userId?: string, amount: number }[]} posting.entries - Sum to zero
+   * @param {string} [posting.note]
+   * @param {number} [posting.lobbyId]
+   * @param {number} [posting.gameId]
+   * @param {string} [posting.createdBy]
+   * @param {import('sequelize').Transaction} [posting.transaction]
+   * @returns {Promise<Object>} The ledger transaction
+   * @throws {WalletError} If a user lacks the coins for a debit
+   */
+  const post = ({ reason, entries, note = null, lobbyId = null, gameId = null, createdBy = null, transaction }) => {
+    const legs = entries.filter(entry => entry.amount !== 0);
+    if (legs.some(entry => !Number.isInteger(entry.amount))) throw new Error('ledger amounts must be integers');
+    if (legs.reduce((sum, entry) => sum + entry.amount, 0) !== 0) throw new Error('ledger entries must sum to zero');
+    return inTransaction(transaction, async (t) => {
+      for (const entry of legs.filter(leg => leg.userId && leg.amount < 0)) {
+        const user = await User.findByPk(entry.userId, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!user) throw new WalletError('user not found', 404);
+        if (user.balance + entry.amount < 0) throw new WalletError('insufficient balance');
+      }
+      const ledgerTransaction = await LedgerTransaction.create({
+        reason,
+        note,
+        lobby_id: lobbyId,
+        game_id: gameId,
+        created_by: createdBy,
+      }, { transaction: t });
+      await LedgerEntry.bulkCreate(legs.map(entry => ({
+        transaction_id: ledgerTransaction.id,
+        account: entry.account,
+        user_id: entry.userId ?? null,
+        amount: entry.amount,
+      })), { transaction: t });
+      for (const entry of legs.filter(leg => leg.userId)) {
+        await User.increment({ balance: entry.amount }, { where: { id: entry.userId }, transaction: t });
+      }
+      return ledgerTransaction;
+    });
+  };
+
+  /**
+   * Credit the participation and win rewards of a finished game; games with
+   * fewer than MIN_REWARDED_PLAYERS participants pay nothing
+   * @param {Object} game - Game record
+   * @param {{ user_id: string, is_winner: boolean }[]} participants
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction]
+   */
+  const rewardGame = async (game, participants, { transaction } = {}) => {
+    if (participants.length < MIN_REWARDED_PLAYERS) return;
+    const rewards = [
+      ['participation', participants, PARTICIPATION_REWARD],
+      ['win', participants.filter(participant => participant.is_winner), WIN_REWARD],
+    ];
+    for (const [reason, recipients, amount] of rewards) {
+      if (!recipients.length || !amount) continue;
+      await post({
+        reason,
+        entries: [
+          { account: SYSTEM_ACCOUNTS.rewards, amount: -amount * recipients.length },
+          ...recipients.map(({ user_id }) => ({ account: userAccount(user_id), userId: user_id, amount })),
+        ],
+        lobbyId: game.lobby_id,
+        gameId: game.id,
+        transaction,
+      });
+    }
+  };
+
+  /**
+   * Give coins to a user
+   * @param {string} userId
+   * @param {number} amount
+   * @param {string} note - Why the coins are granted
+   * @param {string} createdBy - Admin id
+   * @returns {Promise<Object>} The ledger transaction
+   */
+  const grant = (userId, amount, note, createdBy) => post({
+    reason: 'grant',
+    entries: [
+      { account: SYSTEM_ACCOUNTS.admin, amount: -amount },
+      { account: userAccount(userId), userId, amount },
+    ],
+    note,
+    createdBy,
+  });
+
+  /**
+   * Take coins back from a user
+   * @param {string} userId
+   * @param {number} amount
+   * @param {string} note - Why the coins are revoked
+   * @param {string} createdBy - Admin id
+   * @returns {Promise<Object>} The ledger transaction
+   * @throws {WalletError} If the user has fewer coins than `amount`
+   */
+  const revoke = (userId, amount, note, createdBy) => post({
+    reason: 'revoke',
+    entries: [
+      { account: userAccount(userId), userId, amount: -amount },
+      { account: SYSTEM_ACCOUNTS.admin, amount },
+    ],
+    note,
+    createdBy,
+  });
+
+  /**
+   * A page of a user's ledger entries, most recent first
+   * @param {string} userId
+   * @param {{ limit: number, offset: number }} page
+   * @returns {Promise<{ entries: Object[], total: number }>}
+   */
+  const listEntries = async (userId, { limit, offset }) => {
+    const { rows, count } = await LedgerEntry.findAndCountAll({
+      where: { account: userAccount(userId) },
+      include: [{ model: LedgerTransaction }],
+      order: [['id', 'DESC']],
+      limit,
+      offset,
+    });
+    return { entries: rows.map(formatEntry), total: count };
+  };
+
+  /**
+   * Recompute every cached balance from the ledger
+   * @param {Object} [options]
+   * @param {boolean} [options.fix] - Overwrite the balances that disagree with the ledger
+   * @returns {Promise<{ mismatches: Object[], unbalanced: number[] }>} Users whose cached
+   *   balance disagreed, and ids of transactions whose entries don't sum to zero
+   */
+  const reconcile = ({ fix = false } = {}) => sequelize.transaction(async (t) => {
+    const ledgerBalances = await sequelize.query(
+      'SELECT user_id, SUM(amount) AS balance FROM ledger_entries WHERE user_id IS NOT NULL GROUP BY user_id',
+      { type: QueryTypes.SELECT, transaction: t }
+    );
+    const derived = new Map(ledgerBalances.map(row => [String(row.user_id), Number(row.balance)]));
+    const users = await User.findAll({
+      where: { [Op.or]: [{ balance: { [Op.ne]: 0 } }, { id: [...derived.keys()] }] },
+      attributes: ['id', 'balance'],
+      transaction: t,
+      lock: fix ? t.LOCK.UPDATE : undefined,
+    });
+    const mismatches = users
+      .map(user => ({ user_id: user.id, cached: user.balance, ledger: derived.get(String(user.id)) ?? 0 }))
+      .filter(row => row.cached !== row.ledger);
+    if (fix) {
+      for (const row of mismatches) {
+        await User.update({ balance: row.ledger }, { where: { id: row.user_id }, transaction: t });
+      }
+    }
+    const unbalanced = await sequelize.query(
+      `SELECT transaction_id FROM (
+         SELECT transaction_id, SUM(amount) AS total FROM ledger_entries GROUP BY transaction_id
+       ) AS sums WHERE total <> 0`,
+      { type: QueryTypes.SELECT, transaction: t }
+    );
+    return { mismatches, unbalanced: unbalanced.map(row => row.transaction_id) };
+  });
+
+  return { post, rewardGame, grant, revoke, listEntries, reconcile };
+};
+
+module.exports = {
+  LEDGER_REASONS,
+  SYSTEM_ACCOUNTS,
+  PARTICIPATION_REWARD,
+  WIN_REWARD,
+  WalletError,
+  userAccount,
+  parseAdjustment,
+  createWallet,
+};
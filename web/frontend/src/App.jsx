@@ -1,11 +1,21 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { BrowserRouter as Router, Routes, Route, useNavigate } from 'react-router-dom';
 import RoundScreen from './pages/RoundScreen';
 import LobbyScreen from './pages/LobbyScreen';
 import GameOverScreen from './pages/GameOverScreen';
 import AdminPanel from './pages/AdminPanel';
 import WaitingScreen from './pages/WaitingScreen';
-import { joinLobby, getLobby, createUser, getUser, getLobbies } from './api';
+import ProfileScreen from './pages/ProfileScreen';
+import LeaderboardScreen from './pages/LeaderboardScreen';
+import SpectatorScreen from './pages/SpectatorScreen';
+import LiveGamesScreen from './pages/LiveGamesScreen';
+import LobbyBrowserScreen from './pages/LobbyBrowserScreen';
+import { joinLobby, exitLobby, getLobby, createUser, getUser, getLobbies, getInvite } from './api';
+import useLiveUpdates from './hooks/useLiveUpdates';
+import { JOINABLE_STATUSES, joinableLobbies } from './lobbies';
+import { canHost } from './roles';
+
+const LOBBY_LIST_EVENTS = ['lobby_created', 'lobby_reset', 'player_left'];
 
 /**
  * Redirects to the round screen
@@ -35,12 +45,15 @@ const App = () => {
   const [user, setUser] = useState(/** @type {{ id: string, username: string, role?: string, lobby_id?: string|null }} */ (null));
   const [lobbyId, setLobbyId] = useState(/** @type {string|null} */ (null));
   const [error, setError] = useState(/** @type {string|null} */ (null));
-  const [screen, setScreen] = useState(/** @type {'lobby'|'round'|'gameover'} */ ('lobby'));
+  const [screen, setScreen] = useState(/** @type {'lobby'|'round'|'spectate'|'gameover'} */ ('lobby'));
+  const [browsing, setBrowsing] = useState(false);
+  const [notice, setNotice] = useState(/** @type {string|null} */ (null));
   const [waitingForLobby, setWaitingForLobby] = useState(false);
+  const [overlay, setOverlay] = useState(/** @type {'profile'|'leaderboard'|'games'|'spectate'|null} */ (null));
+  const [watchedLobbyId, setWatchedLobbyId] = useState(/** @type {string|null} */ (null));
+  const [watchedInviteCode, setWatchedInviteCode] = useState(/** @type {string|null} */ (null)); // Opens private lobbies
   const [loading, setLoading] = useState(true);
 
-  const waitingInterval = useRef(/** @type {NodeJS.Timeout|null} */ (null));
-
   /**
    * Initializes the application state
    */
@@ -62,8 +75,8 @@ const App = () => {
       try {
         existingUser = await getUser(userData.id);
       } catch (e) {
-        await createUser(userData.id, userData.username);
-        userData.role = 'player';
+        const created = await createUser();
+        userData.role = created.result?.role || 'player';
       }
       if (existingUser?.ok) {
         userData.role = existingUser.result.role || 'player';
@@ -72,31 +85,46 @@ const App = () => {
 
       setUser(userData);
 
-      if (userData.role === 'admin') {
+      if (canHost(userData)) {
         setLoading(false);
         return;
       }
 
-      const lobbiesData = await getLobbies();
-      if (!lobbiesData.ok || !lobbiesData.result) throw new Error('Failed to load lobbies');
-
-      const waitingLobbies = lobbiesData.result.filter(
-        lobby => lobby.status === 'waiting' &&
-          (!lobby.max_players || (lobby.players?.length || 0) < lobby.max_players)
-      );
+      // A `t.me/<bot>/<app>?startapp=<code>` link opens the app on the invited lobby
+      const inviteCode = tg.initDataUnsafe?.start_param || null;
+      let invitedLobby = null;
+      if (inviteCode) {
+        try {
+          invitedLobby = (await getInvite(inviteCode)).result;
+        } catch (e) {
+          console.warn('Invite lookup error:', e.message);
+        }
+      }
 
-      let selectedLobbyId = userData.lobby_id;
-      if (!selectedLobbyId && waitingLobbies.length > 0) {
-        selectedLobbyId = waitingLobbies.sort(() => Math.random() - 0.5)[0]?.id;
+      // Games already running can only be watched
+      if (invitedLobby && !JOINABLE_STATUSES.includes(invitedLobby.status)
+        && String(invitedLobby.id) !== String(userData.lobby_id)) {
+        setWatchedLobbyId(invitedLobby.id);
+        setWatchedInviteCode(inviteCode);
+        setOverlay('spectate');
+        setBrowsing(true);
+        setLoading(false);
+        return;
       }
 
+      // Players without a lobby, or whose game is over, pick one in the lobby browser
+      let selectedLobbyId = invitedLobby?.id || userData.lobby_id;
+      if (!invitedLobby && selectedLobbyId) {
+        const currentLobby = await getLobby(selectedLobbyId);
+        if (!currentLobby.ok || ['finished', 'cancelled'].includes(currentLobby.result?.status)) selectedLobbyId = null;
+      }
       if (!selectedLobbyId) {
-        setWaitingForLobby(true);
+        setBrowsing(true);
         setLoading(false);
         return;
       }
 
-      const joinResult = await joinLobby(selectedLobbyId, userData.id);
+      const joinResult = await joinLobby(selectedLobbyId, invitedLobby ? inviteCode : null);
       if (!joinResult.ok) throw new Error(`Failed to join lobby: ${joinResult.message}`);
 
       setUser(prev => ({ ...prev, lobby_id: selectedLobbyId }));
@@ -114,57 +142,101 @@ const App = () => {
   }, []);
 
   /**
-   * Polls for new lobbies while waiting
+   * Shows a lobby the player has just joined
+   * @param {string} id
+   * @param {string} status - Lobby status reported by the join
    */
-  const pollForNewLobby = useCallback(async () => {
-    if (!waitingForLobby || !user?.id) return;
+  const enterLobby = useCallback((id, status) => {
+    setUser(prev => ({ ...prev, lobby_id: id }));
+    setLobbyId(id);
+    setScreen(status === 'playing' ? 'round' : 'lobby');
+    setBrowsing(false);
+    setWaitingForLobby(false);
+    setNotice(null);
+  }, []);
 
-    waitingInterval.current = setInterval(async () => {
-      try {
-        const lobbiesData = await getLobbies();
-        if (lobbiesData.ok && lobbiesData.result) {
-          const waitingLobbies = lobbiesData.result.filter(
-            lobby => lobby.status === 'waiting' &&
-              (!lobby.max_players || (lobby.players?.length || 0) < lobby.max_players)
-          );
-          if (waitingLobbies.length > 0) {
-            const selectedLobbyId = waitingLobbies[0].id;
-            const joinResult = await joinLobby(selectedLobbyId, user.id);
-            if (joinResult.ok) {
-              setUser(prev => ({ ...prev, lobby_id: selectedLobbyId }));
-              setLobbyId(selectedLobbyId);
-              setScreen('lobby');
-              setWaitingForLobby(false);
-              if (waitingInterval.current) clearInterval(waitingInterval.current);
-            }
-          }
-        }
-      } catch (e) {
-        console.warn('Polling error:', e.message);
-      }
-    }, 2000);
-  }, [waitingForLobby, user]);
+  /**
+   * Joins the lobby picked in the lobby browser; throws when the join is refused
+   * @param {string} id
+   */
+  const handleJoin = useCallback(async (id) => {
+    const joinResult = await joinLobby(id);
+    enterLobby(id, joinResult.result.lobby.status);
+  }, [enterLobby]);
+
+  /**
+   * Joins a random open lobby, or waits for the next one if there is none
+   */
+  const handleQuickJoin = useCallback(async () => {
+    const lobbiesData = await getLobbies();
+    const open = joinableLobbies(lobbiesData.result || []);
+    if (!open.length) {
+      setBrowsing(false);
+      setWaitingForLobby(true);
+      return;
+    }
+    await handleJoin(open[Math.floor(Math.random() * open.length)].id);
+  }, [handleJoin]);
+
+  /**
+   * Joins the first open lobby while waiting for one
+   */
+  const joinNewLobby = useCallback(async () => {
+    if (!waitingForLobby || !user?.id) return;
+    try {
+      const lobbiesData = await getLobbies();
+      const open = joinableLobbies(lobbiesData.result || []);
+      if (open.length > 0) await handleJoin(open[0].id);
+    } catch (e) {
+      console.warn('Lobby lookup error:', e.message);
+    }
+  }, [waitingForLobby, user, handleJoin]);
 
   // Initialize app on mount
   useEffect(() => {
     initializeApp();
-    return () => { if (waitingInterval.current) clearInterval(waitingInterval.current); };
   }, [initializeApp]);
 
-  // Start polling when waiting for lobby
-  useEffect(() => {
-    pollForNewLobby();
-    return () => { if (waitingInterval.current) clearInterval(waitingInterval.current); };
-  }, [pollForNewLobby]);
+  // Watch for new lobbies while waiting, polling if the event stream drops
+  useLiveUpdates(waitingForLobby && user?.id ? '/events' : null, LOBBY_LIST_EVENTS, joinNewLobby, 2000);
 
   /**
-   * Resets the lobby state and returns to waiting
+   * Resets the lobby state and returns to the lobby browser
    */
   const handleResetLobby = useCallback(() => {
     setUser(prev => ({ ...prev, lobby_id: null }));
     setLobbyId(null);
     setScreen('lobby');
-    setWaitingForLobby(true);
+    setWaitingForLobby(false);
+    setBrowsing(true);
+  }, []);
+
+  /**
+   * Leaves the current lobby before it starts, to pick another one
+   */
+  const handleLeaveLobby = useCallback(async () => {
+    try {
+      await exitLobby(lobbyId);
+    } catch (e) {
+      console.warn('Lobby exit error:', e.message);
+    }
+    handleResetLobby();
+  }, [lobbyId, handleResetLobby]);
+
+  /**
+   * Returns a player removed by the lobby owner or an admin to the lobby browser
+   */
+  const handleKicked = useCallback(() => {
+    setNotice('You were removed from the lobby.');
+    handleResetLobby();
+  }, [handleResetLobby]);
+
+  /**
+   * Stops waiting for a new lobby and goes back to the lobby browser
+   */
+  const handleBrowse = useCallback(() => {
+    setWaitingForLobby(false);
+    setBrowsing(true);
   }, []);
 
   /**
@@ -172,11 +244,33 @@ const App = () => {
    */
   const handleTimerEnd = useCallback(() => setScreen('round'), []);
 
+  /**
+   * Switches to the spectator view once the player is out of the game
+   */
+  const handleEliminated = useCallback(() => setScreen('spectate'), []);
+
   /**
    * Transitions to game over screen when round ends
    */
   const handleGameEnd = useCallback(() => setScreen('gameover'), []);
 
+  /**
+   * Opens the player's profile or the leaderboards over the current screen
+   */
+  const handleShowProfile = useCallback(() => setOverlay('profile'), []);
+  const handleShowLeaderboard = useCallback(() => setOverlay('leaderboard'), []);
+  const handleCloseOverlay = useCallback(() => setOverlay(null), []);
+
+  /**
+   * Lists the running games, and watches one of them
+   */
+  const handleShowGames = useCallback(() => setOverlay('games'), []);
+  const handleWatch = useCallback((id) => {
+    setWatchedLobbyId(id);
+    setWatchedInviteCode(null);
+    setOverlay('spectate');
+  }, []);
+
   if (loading) {
     return (
       <div className="min-h-screen min-w-full bg-black flex items-center justify-center text-white text-xl">
@@ -185,8 +279,46 @@ const App = () => {
     );
   }
 
+  if (overlay === 'profile' && user) {
+    return <ProfileScreen user={user} onBack={handleCloseOverlay} />;
+  }
+
+  if (overlay === 'leaderboard' && user) {
+    return <LeaderboardScreen user={user} onBack={handleCloseOverlay} />;
+  }
+
+  if (overlay === 'games' && user) {
+    return <LiveGamesScreen onWatch={handleWatch} onBack={handleCloseOverlay} />;
+  }
+
+  if (overlay === 'spectate' && user && watchedLobbyId) {
+    return (
+      <SpectatorScreen user={user} lobbyId={watchedLobbyId} inviteCode={watchedInviteCode} onBack={handleShowGames} />
+    );
+  }
+
+  if (browsing) {
+    return (
+      <LobbyBrowserScreen
+        notice={notice}
+        onJoin={handleJoin}
+        onQuickJoin={handleQuickJoin}
+        onWatchGames={handleShowGames}
+        onShowProfile={handleShowProfile}
+        onShowLeaderboard={handleShowLeaderboard}
+      />
+    );
+  }
+
   if (waitingForLobby) {
-    return <WaitingScreen />;
+    return (
+      <WaitingScreen
+        onShowProfile={handleShowProfile}
+        onShowLeaderboard={handleShowLeaderboard}
+        onWatchGames={handleShowGames}
+        onBrowse={handleBrowse}
+      />
+    );
   }
 
   return (
@@ -194,12 +326,12 @@ const App = () => {
       <Routes>
         <Route
           path="/"
-          element={user?.role === 'admin' ? <RedirectToPanel /> : <RedirectToRound />}
+          element={canHost(user) ? <RedirectToPanel /> : <RedirectToRound />}
         />
         <Route
           path="/round"
           element={
-            user?.role === 'admin' ? (
+            canHost(user) ? (
               <RedirectToPanel />
             ) : user && lobbyId ? (
               screen === 'lobby' ? (
@@ -207,12 +339,24 @@ const App = () => {
                   user={user}
                   lobbyId={lobbyId}
                   onTimerEnd={handleTimerEnd}
+                  onCancelled={handleResetLobby}
+                  onLeave={handleLeaveLobby}
+                  onKicked={handleKicked}
                 />
               ) : screen === 'round' ? (
                 <RoundScreen
                   user={user}
                   lobbyId={lobbyId}
                   onGameEnd={handleGameEnd}
+                  onCancelled={handleResetLobby}
+                  onEliminated={handleEliminated}
+                />
+              ) : screen === 'spectate' ? (
+                <SpectatorScreen
+                  user={user}
+                  lobbyId={lobbyId}
+                  onGameEnd={handleGameEnd}
+                  onCancelled={handleResetLobby}
                 />
               ) : (
                 <GameOverScreen
@@ -220,6 +364,8 @@ const App = () => {
                   lobbyId={lobbyId}
                   lobbyData={{ admin_id: user?.id }}
                   onPlayAgain={handleResetLobby}
+                  onShowProfile={handleShowProfile}
+                  onShowLeaderboard={handleShowLeaderboard}
                 />
               )
             ) : (
@@ -231,7 +377,7 @@ const App = () => {
         />
         <Route
           path="/panel"
-          element={user?.role === 'admin' ? <AdminPanel user={user} /> : <RedirectToRound />}
+          element={canHost(user) ? <AdminPanel user={user} /> : <RedirectToRound />}
         />
       </Routes>
     </Router>
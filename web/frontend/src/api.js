@@ -5,6 +5,12 @@
 
 const BASE_URL = import.meta.env.VITE_BACKEND_DOMAIN;
 
+/**
+ * Raw signed Telegram initData used by the backend to authenticate requests
+ * @returns {string}
+ */
+const getInitData = () => window.Telegram?.WebApp?.initData || '';
+
 /**
  * Generic API call function
  * @param {string} endpoint - API endpoint
@@ -18,6 +24,7 @@ const callApi = async (endpoint, method = 'GET', data = null) => {
     method,
     headers: {
       'Content-Type': 'application/json',
+      'Authorization': `tma ${getInitData()}`,
       'ngrok-skip-browser-warning': 'true',
     },
   };
@@ -37,42 +44,131 @@ const callApi = async (endpoint, method = 'GET', data = null) => {
   }
 };
 
-// User API
-export const createUser = (id, username, role = 'player') =>
-  callApi('/users', 'POST', { id: id.toString(), username, role });
+/**
+ * Subscribe to a server-sent event stream
+ * @param {string} endpoint - Stream endpoint, e.g. `/lobbies/1/events`
+ * @param {Object<string, Function>} handlers - Event name to handler receiving the parsed payload
+ * @param {{ onOpen?: Function, onError?: Function }} [callbacks] - Connection state callbacks
+ * @returns {() => void} Closes the stream
+ */
+const subscribeToEvents = (endpoint, handlers, { onOpen, onError } = {}) => {
+  if (typeof EventSource === 'undefined') {
+    onError?.();
+    return () => {};
+  }
+  // EventSource cannot send headers, so initData travels in the query string
+  const separator = endpoint.includes('?') ? '&' : '?';
+  const source = new EventSource(`${BASE_URL}${endpoint}${separator}init_data=${encodeURIComponent(getInitData())}`);
+  source.onopen = () => onOpen?.();
+  source.onerror = () => onError?.();
+  Object.entries(handlers).forEach(([event, handler]) => {
+    source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+  });
+  return () => source.close();
+};
+
+// User API (the acting user is always taken from the verified initData)
+export const createUser = () => callApi('/users', 'POST');
 export const getUser = (id) => callApi(`/users/${id.toString()}`);
 export const getUsers = () => callApi('/users');
+export const getUserStats = (id) => callApi(`/users/${id.toString()}/stats`);
+export const getUserGames = (id, limit = 20, offset = 0) =>
+  callApi(`/users/${id.toString()}/games?limit=${limit}&offset=${offset}`);
+export const getLeaderboard = (metric = 'wins', period = 'all', limit = 20) =>
+  callApi(`/leaderboards?metric=${metric}&period=${period}&limit=${limit}`);
 export const setUserRole = (id, role) => callApi(`/users/${id.toString()}/role`, 'POST', { role });
 export const updateUser = (userId, data) => callApi(`/users/${userId.toString()}`, 'PATCH', data);
 
+// Wallet API
+export const getWallet = (id) => callApi(`/users/${id.toString()}/wallet`);
+export const getWalletTransactions = (id, limit = 20, offset = 0) =>
+  callApi(`/users/${id.toString()}/wallet/transactions?limit=${limit}&offset=${offset}`);
+export const grantCoins = (id, amount, reason) =>
+  callApi(`/users/${id.toString()}/wallet/grant`, 'POST', { amount, reason });
+export const revokeCoins = (id, amount, reason) =>
+  callApi(`/users/${id.toString()}/wallet/revoke`, 'POST', { amount, reason });
+
 // Lobby API
-export const createLobby = async (admin_id, settings) => {
+export const createLobby = async (settings) => {
   // Ensure numeric values are sent as numbers
   const payload = {
-    admin_id: Number(admin_id),
+    preset_id: settings.preset_id || undefined,
     start_delay: Number(settings.start_delay),
     max_players: Number(settings.max_players),
+    starts_at: settings.starts_at || undefined,
+    mode: settings.mode || undefined,
+    mode_options: settings.mode_options || undefined,
+    visibility: settings.visibility,
+    name: settings.name,
+    round_duration: settings.round_duration,
+    elimination_fraction: settings.elimination_fraction,
+    elimination_count: settings.elimination_count,
+    min_survivors: settings.min_survivors,
+    max_rounds: settings.max_rounds,
+    starting_lives: settings.starting_lives,
+    entry_fee: settings.entry_fee || undefined,
+    prize_split: settings.prize_split || undefined,
+    house_cut: settings.house_cut || undefined,
   };
   console.log('Sending create lobby payload:', payload); // Debug log
   return await callApi('/lobbies', 'POST', payload);
 };
-export const joinLobby = (lobbyId, userId) =>
-  callApi(`/lobbies/${lobbyId}/join`, 'POST', { user_id: userId.toString() });
+export const joinLobby = (lobbyId, inviteCode = null) =>
+  callApi(`/lobbies/${lobbyId}/join`, 'POST', inviteCode ? { invite_code: inviteCode } : null);
+export const getInvite = (code) => callApi(`/invites/${encodeURIComponent(code)}`);
 export const completeGame = (lobbyId) => callApi(`/lobbies/${lobbyId}/complete`, 'GET');
-export const resetLobby = (lobbyId, userId) =>
-  callApi(`/lobbies/${lobbyId}/reset`, 'POST', { user_id: userId.toString() });
-export const exitLobby = (lobbyId, userId) =>
-  callApi(`/lobbies/${lobbyId}/exit`, 'POST', { user_id: userId.toString() });
+export const startLobby = (lobbyId) => callApi(`/lobbies/${lobbyId}/start`, 'POST');
+export const cancelLobby = (lobbyId) => callApi(`/lobbies/${lobbyId}/cancel`, 'POST');
+export const finishLobby = (lobbyId) => callApi(`/lobbies/${lobbyId}/finish`, 'POST');
+export const resetLobby = (lobbyId) => callApi(`/lobbies/${lobbyId}/reset`, 'POST');
+export const exitLobby = (lobbyId) => callApi(`/lobbies/${lobbyId}/exit`, 'POST');
+/**
+ * Remove a player from a lobby, optionally banning them
+ * @param {string} lobbyId
+ * @param {string} userId
+ * @param {{ ban: 'lobby'|'global', reason?: string, expires_at?: string }|null} [ban]
+ */
+export const kickPlayer = (lobbyId, userId, ban = null) =>
+  callApi(`/lobbies/${lobbyId}/kick`, 'POST', { user_id: userId, ...ban });
 export const getLobby = (lobbyId) => callApi(`/lobbies/${lobbyId}`);
-export const getLobbies = (userId) =>
-  callApi(`/lobbies${userId ? `?admin_id=${userId.toString()}` : ''}`);
-export const deleteLobby = (lobbyId, userId) =>
-  callApi(`/lobbies/${lobbyId}`, 'DELETE', { admin_id: userId.toString() });
+export const getLobbies = (mine = false) => callApi(`/lobbies${mine ? '?mine=true' : ''}`);
+export const getLiveLobbies = () => callApi('/lobbies?status=countdown,playing');
+export const deleteLobby = (lobbyId) => callApi(`/lobbies/${lobbyId}`, 'DELETE');
 export const getLobbyPlayers = (lobbyId) => callApi(`/lobbies/${lobbyId}/players`);
+export const getLobbyRounds = (lobbyId, inviteCode = null) =>
+  callApi(`/lobbies/${lobbyId}/rounds${inviteCode ? `?invite_code=${encodeURIComponent(inviteCode)}` : ''}`);
+export const getLobbyFairness = (lobbyId) => callApi(`/lobbies/${lobbyId}/fairness`);
+export const tapRound = (lobbyId) => callApi(`/lobbies/${lobbyId}/tap`, 'POST');
+export const answerRound = (lobbyId, choice) => callApi(`/lobbies/${lobbyId}/answer`, 'POST', { choice });
+export const voteRound = (lobbyId, targetId) => callApi(`/lobbies/${lobbyId}/vote`, 'POST', { target_id: targetId });
+export const getVotes = (lobbyId) => callApi(`/lobbies/${lobbyId}/votes`);
 
 // Settings/Health
 export const updateSettings = (settings) => callApi('/settings', 'POST', settings);
+export const setDefaultPreset = (presetId) => updateSettings({ default_preset_id: presetId });
 export const getSettings = () => callApi('/settings');
+export const getModes = () => callApi('/modes');
 export const getHealth = () => callApi('/health');
 
-export { callApi };
\ No newline at end of file
+// Lobby preset API
+export const getPresets = () => callApi('/presets');
+export const createPreset = (preset) => callApi('/presets', 'POST', preset);
+export const updatePreset = (presetId, preset) => callApi(`/presets/${presetId}`, 'PUT', preset);
+export const deletePreset = (presetId) => callApi(`/presets/${presetId}`, 'DELETE');
+
+// Question bank API
+export const importQuestions = (format, content) => callApi('/questions/import', 'POST', { format, content });
+export const getQuestionSummary = () => callApi('/questions/summary');
+export const getQuestions = (limit = 20, offset = 0) => callApi(`/questions?limit=${limit}&offset=${offset}`);
+export const deleteQuestion = (id) => callApi(`/questions/${id}`, 'DELETE');
+
+// Audit log API; empty filters are left out of the query
+export const getAuditEvents = (filters = {}, limit = 20, offset = 0) => {
+  const params = new URLSearchParams({ limit, offset });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return callApi(`/admin/audit?${params}`);
+};
+
+export { callApi, subscribeToEvents };
\ No newline at end of file
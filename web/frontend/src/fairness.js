@@ -0,0 +1,78 @@
+/**
+ * In-browser verifier for provably fair eliminations.
+ * Mirrors `web/backend/services/fairness.js`: eliminations are drawn from an
+ * sfc32 PRNG seeded with SHA-256(`<seed>:<round_number>:<sorted player ids>`).
+ * The two implementations must stay in sync.
+ */
+
+// Warm-up outputs discarded after seeding sfc32
+const SFC32_WARMUP = 12;
+
+const sha256Hex = async (value) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Telegram ids may exceed Number precision, so they are compared as decimal strings
+const sortPlayerIds = (ids) => ids.slice().sort((x, y) => {
+  const [a, b] = [String(x), String(y)];
+  return (a.length - b.length) || (a < b ? -1 : a > b ? 1 : 0);
+});
+
+const sfc32 = (digestHex) => {
+  let [a, b, c, d] = [0, 8, 16, 24].map(i => parseInt(digestHex.slice(i, i + 8), 16) >>> 0);
+  const next = () => {
+    const t = (((a + b) >>> 0) + d) >>> 0;
+    d = (d + 1) >>> 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) >>> 0;
+    c = ((c << 21) | (c >>> 11)) >>> 0;
+    c = (c + t) >>> 0;
+    return t;
+  };
+  for (let i = 0; i < SFC32_WARMUP; i++) next();
+  return next;
+};
+
+/**
+ * Recompute the players drawn in a round
+ * @param {string} seed - Revealed lobby seed
+ * @param {number} roundNumber
+ * @param {Array<string|number>} playerIds - Players alive at the start of the round
+ * @param {number} count - How many players were drawn
+ * @returns {Promise<string[]>}
+ */
+export const pickEliminated = async (seed, roundNumber, playerIds, count) => {
+  const players = sortPlayerIds(playerIds).map(String);
+  const next = sfc32(await sha256Hex(`${seed}:${roundNumber}:${players.join(',')}`));
+  for (let i = players.length - 1; i > 0; i--) {
+    const j = Math.floor((next() / 2 ** 32) * (i + 1));
+    [players[i], players[j]] = [players[j], players[i]];
+  }
+  return players.slice(0, count);
+};
+
+/**
+ * Check a lobby's fairness data from `GET /lobbies/:id/fairness`
+ * @param {{ seed: string|null, seed_hash: string, rounds: Object[] }} fairness
+ * @returns {Promise<{ revealed: boolean, commitmentValid: boolean, rounds: Object[], valid: boolean }>}
+ */
+export const verifyFairness = async (fairness) => {
+  if (!fairness.seed) return { revealed: false, commitmentValid: false, rounds: [], valid: false };
+
+  const commitmentValid = (await sha256Hex(fairness.seed)) === fairness.seed_hash;
+  const rounds = await Promise.all(fairness.rounds.map(async (round) => {
+    const expected = await pickEliminated(fairness.seed, round.round_number, round.player_ids, round.drawn_count);
+    const actual = round.drawn_ids.map(String);
+    // Order matters too: some modes break ties by the position in the draw
+    const match = expected.length === actual.length && expected.every((id, idx) => id === actual[idx]);
+    return { round_number: round.round_number, expected, actual, match };
+  }));
+
+  return {
+    revealed: true,
+    commitmentValid,
+    rounds,
+    valid: commitmentValid && rounds.every(round => round.match),
+  };
+};
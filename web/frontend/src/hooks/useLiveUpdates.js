@@ -0,0 +1,49 @@
+import { useEffect, useRef } from 'react';
+import { subscribeToEvents } from '../api';
+
+/**
+ * Keeps data fresh from a server event stream and falls back to polling
+ * while the stream is disconnected.
+ * @param {string|null} endpoint - Event stream endpoint, or null to stay idle
+ * @param {string[]} eventNames - Events that should trigger a refresh
+ * @param {(event?: string, data?: Object) => void} refresh - Reloads the data
+ * @param {number} pollInterval - Polling interval while disconnected (ms)
+ */
+const useLiveUpdates = (endpoint, eventNames, refresh, pollInterval) => {
+  const refreshRef = useRef(refresh);
+  const eventsKey = eventNames.join(',');
+
+  useEffect(() => {
+    refreshRef.current = refresh;
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!endpoint) return undefined;
+    let poller = null;
+    const startPolling = () => {
+      if (!poller) poller = setInterval(() => refreshRef.current(), pollInterval);
+    };
+    const stopPolling = () => {
+      clearInterval(poller);
+      poller = null;
+    };
+
+    const handlers = Object.fromEntries(
+      eventsKey.split(',').map(name => [name, (data) => refreshRef.current(name, data)])
+    );
+    refreshRef.current();
+    const unsubscribe = subscribeToEvents(endpoint, handlers, {
+      onOpen: () => {
+        stopPolling();
+        refreshRef.current();
+      },
+      onError: startPolling,
+    });
+    return () => {
+      unsubscribe();
+      stopPolling();
+    };
+  }, [endpoint, eventsKey, pollInterval]);
+};
+
+export default useLiveUpdates;
@@ -0,0 +1,26 @@
+/**
+ * Telegram deep links for lobby invites.
+ * `VITE_TELEGRAM_APP_URL` is the Mini App's direct link (`https://t.me/<bot>/<app>`);
+ * Telegram hands the `startapp` value of a link to the app as
+ * `initDataUnsafe.start_param`, which `App.jsx` uses to join the lobby.
+ */
+
+const APP_URL = import.meta.env.VITE_TELEGRAM_APP_URL;
+
+/**
+ * Link that opens the Mini App straight into a lobby
+ * @param {string} code - Lobby invite code
+ * @returns {string}
+ */
+export const inviteLink = (code) => `${APP_URL}?startapp=${encodeURIComponent(code)}`;
+
+/**
+ * Open Telegram's share sheet with a lobby's invite link
+ * @param {string} code - Lobby invite code
+ */
+export const shareInvite = (code) => {
+  const url = `https://t.me/share/url?url=${encodeURIComponent(inviteLink(code))}&text=${encodeURIComponent('Join my game!')}`;
+  const tg = window.Telegram?.WebApp;
+  if (tg?.openTelegramLink) tg.openTelegramLink(url);
+  else window.open(url, '_blank');
+};
@@ -0,0 +1,12 @@
+// Lobbies players may still join
+export const JOINABLE_STATUSES = ['waiting', 'countdown'];
+
+/**
+ * Public lobbies a player can join right now, leaving out those they are banned from
+ * @param {Object[]} lobbies - From `GET /lobbies`
+ * @returns {Object[]}
+ */
+export const joinableLobbies = (lobbies) => lobbies.filter(
+  lobby => lobby.visibility !== 'private' && !lobby.banned && JOINABLE_STATUSES.includes(lobby.status) &&
+    (!lobby.max_players || lobby.players_count < lobby.max_players)
+);
@@ -2,16 +2,132 @@ import React, { useState, useEffect, useCallback } from 'react';
 import {
   getLobbies,
   createLobby,
-  completeGame,
+  startLobby,
+  cancelLobby,
+  finishLobby,
   deleteLobby,
-  updateSettings,
-  getSettings,
+  getPresets,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  setDefaultPreset,
+  getModes,
+  getQuestionSummary,
+  kickPlayer,
 } from '../api';
+import { shareInvite } from '../invites';
+import useLiveUpdates from '../hooks/useLiveUpdates';
+import QuestionBankScreen from './QuestionBankScreen';
+import AuditLogScreen from './AuditLogScreen';
+import UsersScreen from './UsersScreen';
+import { canHost } from '../roles';
+
+const LOBBY_LIST_EVENTS = [
+  'lobby_created', 'lobby_deleted', 'lobby_reset', 'player_joined', 'player_left',
+  'lobby_countdown', 'lobby_started', 'lobby_finished', 'lobby_cancelled',
+];
+
+// Ban lengths offered on a player row; null bans until lifted
+const BAN_DURATIONS = [
+  { label: '1 hour', hours: 1 },
+  { label: '1 day', hours: 24 },
+  { label: '1 week', hours: 24 * 7 },
+  { label: 'Permanent', hours: null },
+];
+
+/**
+ * Player of the selected lobby with kick and ban actions. Banning asks for
+ * the scope, length and reason first; only admins ban from all lobbies.
+ */
+const PlayerRow = ({ player, canBanGlobally, onKick }) => {
+  const [banning, setBanning] = useState(false);
+  const [scope, setScope] = useState('lobby');
+  const [hours, setHours] = useState('');
+  const [reason, setReason] = useState('');
+
+  const handleBan = () => {
+    onKick(player, {
+      ban: scope,
+      reason: reason.trim() || undefined,
+      expires_at: hours ? new Date(Date.now() + Number(hours) * 3600 * 1000).toISOString() : undefined,
+    });
+    setBanning(false);
+  };
+
+  return (
+    <div style={styles.playerRow}>
+      <div style={styles.playerHeader}>
+        <span>{player.username}{player.role !== 'player' && ` (${player.role})`}</span>
+        <span>
+          <button style={styles.inviteButton} onClick={() => onKick(player, null)}>Kick</button>{' '}
+          <button style={{ ...styles.inviteButton, borderColor: '#FF6B6B', color: '#FF6B6B' }} onClick={() => setBanning(b => !b)}>
+            Ban
+          </button>
+        </span>
+      </div>
+      {banning && (
+        <div style={styles.banForm}>
+          <select value={scope} onChange={e => setScope(e.target.value)} style={styles.modalInput}>
+            <option value="lobby">This lobby</option>
+            {canBanGlobally && <option value="global">All lobbies</option>}
+          </select>
+          <select value={hours} onChange={e => setHours(e.target.value)} style={styles.modalInput}>
+            {BAN_DURATIONS.map(d => <option key={d.label} value={d.hours ?? ''}>{d.label}</option>)}
+          </select>
+          <input
+            type="text"
+            maxLength={255}
+            placeholder="Reason (optional)"
+            value={reason}
+            onChange={e => setReason(e.target.value)}
+            style={{ ...styles.modalInput, boxSizing: 'border-box' }}
+          />
+          <button style={{ ...styles.button, background: '#FF6B6B' }} onClick={handleBan}>
+            Kick and ban
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Numeric input for optional settings; an empty field means null.
+ */
+const NumberField = ({ label, value, onChange, placeholder }) => (
+  <div style={styles.modalField}>
+    <label style={styles.modalLabel}>{label}</label>
+    <input
+      type="tel"
+      inputMode="numeric"
+      pattern="[0-9]*"
+      value={value === null || value === undefined ? '' : String(value)}
+      placeholder={placeholder}
+      onChange={e => {
+        const v = e.target.value.replace(/^0+/, '');
+        if (v === '') {
+          onChange(null);
+          return;
+        }
+        if (!/^\d+$/.test(v)) return;
+        onChange(Number(v));
+      }}
+      style={{
+        ...styles.modalInput,
+        MozAppearance: 'textfield',
+        appearance: 'none',
+        WebkitAppearance: 'none'
+      }}
+      autoComplete="off"
+    />
+  </div>
+);
 
 /**
  * AdminPanel component for managing game lobbies.
- * Displays all lobbies, allows creating, starting, deleting lobbies,
- * and managing settings. Restricted to 'admin' role users.
+ * Displays all lobbies, allows creating lobbies from a preset, starting and
+ * deleting them. Admins manage every lobby, the presets, users, the question
+ * bank and the audit log; hosts only create and run their own lobbies.
  *
  * @param {Object} user - Current user object with id and role
  * @returns {JSX.Element} Admin panel UI
@@ -21,7 +137,32 @@ const AdminPanel = ({ user }) => {
   const [error, setError] = useState(null);
   const [selectedLobbyId, setSelectedLobbyId] = useState(null);
   const [showSettingsModal, setShowSettingsModal] = useState(false);
-  const [settings, setSettings] = useState({ max_players: 100, start_delay: 60 });
+  const [settings, setSettings] = useState({
+    max_players: 100,
+    start_delay: 60,
+    round_duration: 3,
+    elimination_fraction: 0.5,
+    elimination_count: null,
+    min_survivors: 1,
+    max_rounds: null,
+    starting_lives: 3,
+  });
+  const [presets, setPresets] = useState([]);
+  const [presetId, setPresetId] = useState(null);
+  const [presetName, setPresetName] = useState('');
+  const [lobbyName, setLobbyName] = useState('');
+  const [startsAt, setStartsAt] = useState(''); // datetime-local value, empty = start after start_delay
+  const [modes, setModes] = useState([]);
+  const [mode, setMode] = useState('classic');
+  const [triviaOptions, setTriviaOptions] = useState({ category: '', difficulty: '' });
+  const [voteReveal, setVoteReveal] = useState('anonymous');
+  const [visibility, setVisibility] = useState('public');
+  // Entry fee in coins, prize split as percentages like "70/20/10", house cut in percent
+  const [prizes, setPrizes] = useState({ entry_fee: '', prize_split: '70/20/10', house_cut: '' });
+  const [questionSummary, setQuestionSummary] = useState({ difficulties: [], categories: [] });
+  const [showQuestionBank, setShowQuestionBank] = useState(false);
+  const [showAuditLog, setShowAuditLog] = useState(false);
+  const [showUsers, setShowUsers] = useState(false);
   const [notification, setNotification] = useState({ message: '', type: 'success', visible: false });
 
   const isMobile = window.innerWidth <= 768; // Объявление isMobile на уровне компонента
@@ -36,7 +177,7 @@ const AdminPanel = ({ user }) => {
       return;
     }
     try {
-      const response = await getLobbies(isAdmin ? null : user.id);
+      const response = await getLobbies(!isAdmin);
       if (!response.ok || !Array.isArray(response.result)) {
         throw new Error(response.message || 'Invalid API response');
       }
@@ -47,30 +188,53 @@ const AdminPanel = ({ user }) => {
     }
   }, [user, isAdmin]);
 
-  useEffect(() => {
-    fetchLobbies();
-    const interval = setInterval(fetchLobbies, 5000);
-    return () => clearInterval(interval);
-  }, [fetchLobbies]);
+  useLiveUpdates('/events', LOBBY_LIST_EVENTS, fetchLobbies, 5000);
 
   /**
-   * Fetches global settings from the API.
+   * Fills the lobby form with a preset's values.
    */
-  const fetchSettings = useCallback(async () => {
+  const applyPreset = useCallback((preset) => {
+    setPresetId(preset.id);
+    setPresetName(preset.name);
+    setSettings({
+      max_players: preset.max_players,
+      start_delay: preset.start_delay,
+      round_duration: preset.round_duration,
+      elimination_fraction: preset.elimination_fraction,
+      elimination_count: preset.elimination_count,
+      min_survivors: preset.min_survivors,
+      max_rounds: preset.max_rounds,
+      starting_lives: preset.starting_lives,
+    });
+    setMode(preset.mode);
+    setVisibility(preset.visibility);
+    setTriviaOptions({
+      category: preset.mode === 'trivia' ? preset.mode_options?.category || '' : '',
+      difficulty: preset.mode === 'trivia' ? preset.mode_options?.difficulty || '' : '',
+    });
+    setVoteReveal(preset.mode === 'voting' ? preset.mode_options?.reveal || 'anonymous' : 'anonymous');
+  }, []);
+
+  /**
+   * Fetches the lobby presets; picks the given preset, or the default one.
+   */
+  const fetchPresets = useCallback(async (pickId = null) => {
     try {
-      const response = await getSettings();
-      if (response.ok) {
-        setSettings(response.result);
-      } else {
-        throw new Error(response.message || 'Failed to fetch settings');
+      const response = await getPresets();
+      if (!response.ok || !Array.isArray(response.result)) {
+        throw new Error(response.message || 'Failed to fetch presets');
       }
+      setPresets(response.result);
+      const picked = response.result.find(p => p.id === pickId) || response.result.find(p => p.is_default);
+      if (picked) applyPreset(picked);
     } catch (err) {
-      setError(`Error fetching settings: ${err.message}`);
+      setError(`Error fetching presets: ${err.message}`);
     }
-  }, []);
+  }, [applyPreset]);
 
   /**
-   * Starts a game for the selected lobby.
+   * Starts the selected lobby: a waiting lobby enters its countdown,
+   * a lobby in countdown starts playing right away.
    */
   const handleStartGame = async () => {
     if (!selectedLobbyId) {
@@ -78,16 +242,16 @@ const AdminPanel = ({ user }) => {
       return;
     }
     const lobby = lobbies.find(l => l.id === selectedLobbyId);
-    if (!lobby || lobby.status !== 'waiting') {
-      setNotification({ message: 'Lobby must be in waiting status to start', type: 'error', visible: true });
+    if (!lobby || !['waiting', 'countdown'].includes(lobby.status)) {
+      setNotification({ message: 'Lobby must be waiting or in countdown to start', type: 'error', visible: true });
       return;
     }
     try {
-      const response = await completeGame(selectedLobbyId);
+      const response = await startLobby(selectedLobbyId);
       if (!response.ok) {
-        throw new Error(response.message || 'Failed to complete game');
+        throw new Error(response.message || 'Failed to start game');
       }
-      setLobbies(lobbies.map(l => l.id === selectedLobbyId ? { ...l, status: 'finished' } : l));
+      setLobbies(lobbies.map(l => l.id === selectedLobbyId ? { ...l, ...response.result } : l));
       setNotification({ message: 'Game started successfully', type: 'success', visible: true });
     } catch (err) {
       setNotification({ message: `Error starting game: ${err.message}`, type: 'error', visible: true });
@@ -95,21 +259,65 @@ const AdminPanel = ({ user }) => {
   };
 
   /**
-   * Opens the settings modal and fetches current settings.
+   * Cancels the selected lobby and releases its players.
+   */
+  const handleCancelLobby = async () => {
+    if (!selectedLobbyId) {
+      setNotification({ message: 'Please select a lobby first', type: 'error', visible: true });
+      return;
+    }
+    try {
+      const response = await cancelLobby(selectedLobbyId);
+      if (!response.ok) {
+        throw new Error(response.message || 'Failed to cancel lobby');
+      }
+      setLobbies(lobbies.map(l => l.id === selectedLobbyId ? { ...l, status: 'cancelled', players_count: 0 } : l));
+      setNotification({ message: 'Lobby cancelled', type: 'success', visible: true });
+    } catch (err) {
+      setNotification({ message: `Error cancelling lobby: ${err.message}`, type: 'error', visible: true });
+    }
+  };
+
+  /**
+   * Finishes the selected playing lobby by resolving its remaining rounds.
+   */
+  const handleFinishGame = async () => {
+    if (!selectedLobbyId) {
+      setNotification({ message: 'Please select a lobby first', type: 'error', visible: true });
+      return;
+    }
+    try {
+      const response = await finishLobby(selectedLobbyId);
+      if (!response.ok) {
+        throw new Error(response.message || 'Failed to finish game');
+      }
+      setLobbies(lobbies.map(l => l.id === selectedLobbyId ? { ...l, status: 'finished' } : l));
+      setNotification({ message: 'Game finished', type: 'success', visible: true });
+    } catch (err) {
+      setNotification({ message: `Error finishing game: ${err.message}`, type: 'error', visible: true });
+    }
+  };
+
+  /**
+   * Opens the preset modal for the values in the lobby form.
    */
-  const handleSettingsOpen = async () => {
+  const handleSettingsOpen = () => {
     if (!isAdmin) {
-      setNotification({ message: 'Only admins can modify settings', type: 'error', visible: true });
+      setNotification({ message: 'Only admins can modify presets', type: 'error', visible: true });
       return;
     }
-    await fetchSettings();
     setShowSettingsModal(true);
   };
 
   /**
-   * Submits updated settings to the API.
+   * Saves the lobby form as the selected preset, or as a new one.
+   * @param {boolean} asNew - Create a preset instead of updating the selected one
    */
-  const handleSettingsSubmit = async () => {
+  const handlePresetSave = async (asNew) => {
+    if (!presetName.trim()) {
+      setNotification({ message: 'Preset name is required', type: 'error', visible: true });
+      return;
+    }
     if (settings.max_players < 1) {
       setNotification({ message: 'Max players must be at least 1', type: 'error', visible: true });
       return;
@@ -118,19 +326,71 @@ const AdminPanel = ({ user }) => {
       setNotification({ message: 'Start delay must be at least 5 seconds', type: 'error', visible: true });
       return;
     }
+    if (!settings.round_duration || settings.round_duration > 300) {
+      setNotification({ message: 'Round duration must be between 1 and 300 seconds', type: 'error', visible: true });
+      return;
+    }
+    if (!settings.elimination_fraction || settings.elimination_fraction > 1) {
+      setNotification({ message: 'Eliminated share must be between 1 and 100%', type: 'error', visible: true });
+      return;
+    }
+    if (!settings.min_survivors) {
+      setNotification({ message: 'Minimum survivors must be at least 1', type: 'error', visible: true });
+      return;
+    }
+    const preset = {
+      ...settings,
+      name: presetName.trim(),
+      mode,
+      mode_options: { trivia: triviaOptions, voting: { reveal: voteReveal } }[mode] || null,
+      visibility,
+    };
     try {
-      const response = await updateSettings(settings);
+      const response = asNew || !presetId ? await createPreset(preset) : await updatePreset(presetId, preset);
       if (!response.ok) {
-        throw new Error(response.message || 'Failed to update settings');
+        throw new Error(response.message || 'Failed to save preset');
       }
-      await fetchLobbies();
+      await fetchPresets(response.result.id);
       setShowSettingsModal(false);
-      setNotification({ message: 'Settings updated successfully', type: 'success', visible: true });
+      setNotification({ message: 'Preset saved', type: 'success', visible: true });
+    } catch (err) {
+      setNotification({ message: `Error saving preset: ${err.message}`, type: 'error', visible: true });
+    }
+  };
+
+  /**
+   * Makes the selected preset the default for new lobbies.
+   */
+  const handleMakeDefault = async () => {
+    try {
+      const response = await setDefaultPreset(presetId);
+      if (!response.ok) {
+        throw new Error(response.message || 'Failed to update settings');
+      }
+      await fetchPresets(presetId);
+      setNotification({ message: 'Default preset updated', type: 'success', visible: true });
     } catch (err) {
       setNotification({ message: `Error updating settings: ${err.message}`, type: 'error', visible: true });
     }
   };
 
+  /**
+   * Deletes the selected preset and goes back to the default one.
+   */
+  const handleDeletePreset = async () => {
+    try {
+      const response = await deletePreset(presetId);
+      if (!response.ok) {
+        throw new Error(response.message || 'Failed to delete preset');
+      }
+      await fetchPresets();
+      setShowSettingsModal(false);
+      setNotification({ message: 'Preset deleted', type: 'success', visible: true });
+    } catch (err) {
+      setNotification({ message: `Error deleting preset: ${err.message}`, type: 'error', visible: true });
+    }
+  };
+
   /**
    * Deletes the selected lobby using the API.
    */
@@ -145,7 +405,7 @@ const AdminPanel = ({ user }) => {
       return;
     }
     try {
-      const response = await deleteLobby(selectedLobbyId, user.id);
+      const response = await deleteLobby(selectedLobbyId);
       if (!response.ok) {
         throw new Error(response.message || 'Failed to delete lobby');
       }
@@ -158,19 +418,52 @@ const AdminPanel = ({ user }) => {
   };
 
   /**
-   * Creates a new lobby using the API with current settings.
+   * Removes a player from the selected lobby, banning them when `ban` is given.
    */
-  const handleCreateLobby = async () => {
+  const handleKickPlayer = async (player, ban) => {
     try {
-      const adminId = Number(user.id); // Explicitly convert to number
-      if (isNaN(adminId)) {
-        throw new Error('Invalid admin ID');
+      const response = await kickPlayer(selectedLobbyId, player.id, ban);
+      if (!response.ok) {
+        throw new Error(response.message || 'Failed to kick player');
       }
-      const response = await createLobby(adminId, { max_players: settings.max_players, start_delay: settings.start_delay });
+      setNotification({ message: `${player.username}: ${response.message}`, type: 'success', visible: true });
+      await fetchLobbies();
+    } catch (err) {
+      setNotification({ message: `Error kicking player: ${err.message}`, type: 'error', visible: true });
+    }
+  };
+
+  /**
+   * Creates a new lobby from the picked preset with the values in the form,
+   * scheduled for the picked start time if there is one.
+   */
+  const handleCreateLobby = async () => {
+    const scheduledStart = startsAt ? new Date(startsAt) : null;
+    if (scheduledStart && scheduledStart.getTime() <= Date.now()) {
+      setNotification({ message: 'Start time must be in the future', type: 'error', visible: true });
+      return;
+    }
+    try {
+      const response = await createLobby({
+        ...settings,
+        preset_id: presetId,
+        mode,
+        mode_options: { trivia: triviaOptions, voting: { reveal: voteReveal } }[mode],
+        visibility,
+        name: lobbyName.trim() || undefined,
+        starts_at: scheduledStart?.toISOString(),
+        ...(Number(prizes.entry_fee) > 0 && {
+          entry_fee: Number(prizes.entry_fee),
+          prize_split: prizes.prize_split.split('/').map(share => Number(share.trim())),
+          house_cut: Number(prizes.house_cut) || 0,
+        }),
+      });
       if (!response.ok || !response.result) {
         throw new Error(response.message || 'Failed to create lobby');
       }
       setLobbies([...lobbies, response.result]);
+      setStartsAt('');
+      setLobbyName('');
       setNotification({ message: 'Lobby created successfully', type: 'success', visible: true });
       await fetchLobbies();
     } catch (err) {
@@ -179,6 +472,24 @@ const AdminPanel = ({ user }) => {
     }
   };
 
+  useEffect(() => {
+    if (canHost(user)) fetchPresets();
+  }, [user, fetchPresets]);
+
+  useEffect(() => {
+    getModes()
+      .then(response => response.ok && setModes(response.result))
+      .catch(err => setError(`Failed to load game modes: ${err.message}`));
+  }, []);
+
+  // Trivia lobbies may be limited to one category and difficulty of the question bank
+  useEffect(() => {
+    if (mode !== 'trivia' || showQuestionBank) return;
+    getQuestionSummary()
+      .then(response => response.ok && setQuestionSummary(response.result))
+      .catch(err => setError(`Failed to load question categories: ${err.message}`));
+  }, [mode, showQuestionBank]);
+
   useEffect(() => {
     let timer;
     if (notification.visible) {
@@ -192,8 +503,17 @@ const AdminPanel = ({ user }) => {
   if (!user?.id) {
     return <div style={styles.errorContainer}>Admin not initialized</div>;
   }
-  if (!isAdmin) {
-    return <div style={styles.errorContainer}>Access denied: Admin role required</div>;
+  if (!canHost(user)) {
+    return <div style={styles.errorContainer}>Access denied: Admin or host role required</div>;
+  }
+  if (showQuestionBank) {
+    return <QuestionBankScreen onBack={() => setShowQuestionBank(false)} />;
+  }
+  if (showAuditLog) {
+    return <AuditLogScreen onBack={() => setShowAuditLog(false)} />;
+  }
+  if (showUsers) {
+    return <UsersScreen user={user} onBack={() => setShowUsers(false)} />;
   }
 
   return (
@@ -220,11 +540,27 @@ const AdminPanel = ({ user }) => {
             Start Game
           </button>
           <button
-            style={{ ...styles.button, background: '#FFD86E' }}
-            onClick={handleSettingsOpen}
+            style={{ ...styles.button, background: '#36CFC9' }}
+            onClick={handleFinishGame}
+            disabled={!selectedLobbyId}
+          >
+            Finish Game
+          </button>
+          <button
+            style={{ ...styles.button, background: '#FFB86C' }}
+            onClick={handleCancelLobby}
+            disabled={!selectedLobbyId}
           >
-            Settings
+            Cancel Lobby
           </button>
+          {isAdmin && (
+            <button
+              style={{ ...styles.button, background: '#FFD86E' }}
+              onClick={handleSettingsOpen}
+            >
+              Presets
+            </button>
+          )}
           <button
             style={{ ...styles.button, background: '#FF6B6B' }}
             onClick={handleDeleteLobby}
@@ -238,11 +574,183 @@ const AdminPanel = ({ user }) => {
           >
             Create Lobby
           </button>
+          {isAdmin && (
+            <>
+              <button
+                style={{ ...styles.button, background: '#A3A1FB' }}
+                onClick={() => setShowQuestionBank(true)}
+              >
+                Question Bank
+              </button>
+              <button
+                style={{ ...styles.button, background: '#FEC163' }}
+                onClick={() => setShowAuditLog(true)}
+              >
+                Audit
+              </button>
+              <button
+                style={{ ...styles.button, background: '#36CFC9' }}
+                onClick={() => setShowUsers(true)}
+              >
+                Users
+              </button>
+            </>
+          )}
+        </div>
+        <div>
+          <label style={styles.modalLabel} htmlFor="lobby-preset">Preset:</label>
+          <select
+            id="lobby-preset"
+            value={presetId ?? ''}
+            onChange={e => {
+              const preset = presets.find(p => String(p.id) === e.target.value);
+              if (preset) applyPreset(preset);
+            }}
+            style={{ ...styles.modalInput, boxSizing: 'border-box' }}
+          >
+            {presets.map(p => (
+              <option key={p.id} value={p.id}>{p.name}{p.is_default ? ' (default)' : ''}</option>
+            ))}
+          </select>
+          <div style={styles.lobbyDetails}>
+            Players: {settings.max_players} | Start delay: {settings.start_delay}s | Round: {settings.round_duration}s
+          </div>
+        </div>
+        <div>
+          <label style={styles.modalLabel} htmlFor="lobby-name">Lobby name (optional):</label>
+          <input
+            id="lobby-name"
+            type="text"
+            maxLength={64}
+            value={lobbyName}
+            onChange={e => setLobbyName(e.target.value)}
+            style={{ ...styles.modalInput, boxSizing: 'border-box' }}
+          />
+        </div>
+        <div>
+          <label style={styles.modalLabel} htmlFor="lobby-starts-at">Start at (optional):</label>
+          <input
+            id="lobby-starts-at"
+            type="datetime-local"
+            value={startsAt}
+            onChange={e => setStartsAt(e.target.value)}
+            style={{ ...styles.modalInput, boxSizing: 'border-box', colorScheme: 'dark' }}
+          />
+        </div>
+        <div>
+          <label style={styles.modalLabel} htmlFor="lobby-mode">Game mode:</label>
+          <select
+            id="lobby-mode"
+            value={mode}
+            onChange={e => setMode(e.target.value)}
+            style={{ ...styles.modalInput, boxSizing: 'border-box' }}
+          >
+            {modes.map(m => (
+              <option key={m.id} value={m.id}>{m.name}</option>
+            ))}
+          </select>
+          {modes.find(m => m.id === mode) && (
+            <div style={styles.lobbyDetails}>{modes.find(m => m.id === mode).description}</div>
+          )}
         </div>
+        <div>
+          <label style={styles.modalLabel} htmlFor="lobby-visibility">Visibility:</label>
+          <select
+            id="lobby-visibility"
+            value={visibility}
+            onChange={e => setVisibility(e.target.value)}
+            style={{ ...styles.modalInput, boxSizing: 'border-box' }}
+          >
+            <option value="public">Public (listed, anyone can join)</option>
+            <option value="private">Private (invite link only)</option>
+          </select>
+        </div>
+        <div>
+          <label style={styles.modalLabel} htmlFor="lobby-entry-fee">Entry fee in coins (optional):</label>
+          <input
+            id="lobby-entry-fee"
+            type="number"
+            min={0}
+            value={prizes.entry_fee}
+            onChange={e => setPrizes(p => ({ ...p, entry_fee: e.target.value }))}
+            style={{ ...styles.modalInput, boxSizing: 'border-box' }}
+          />
+          {Number(prizes.entry_fee) > 0 && (
+            <>
+              <label style={styles.modalLabel} htmlFor="lobby-prize-split">Prize split (% per place):</label>
+              <input
+                id="lobby-prize-split"
+                type="text"
+                placeholder="70/20/10"
+                value={prizes.prize_split}
+                onChange={e => setPrizes(p => ({ ...p, prize_split: e.target.value }))}
+                style={{ ...styles.modalInput, boxSizing: 'border-box' }}
+              />
+              <label style={styles.modalLabel} htmlFor="lobby-house-cut">House cut (%):</label>
+              <input
+                id="lobby-house-cut"
+                type="number"
+                min={0}
+                max={50}
+                value={prizes.house_cut}
+                onChange={e => setPrizes(p => ({ ...p, house_cut: e.target.value }))}
+                style={{ ...styles.modalInput, boxSizing: 'border-box' }}
+              />
+            </>
+          )}
+        </div>
+        {mode === 'trivia' && (
+          <div>
+            <label style={styles.modalLabel} htmlFor="trivia-category">Question category:</label>
+            <select
+              id="trivia-category"
+              value={triviaOptions.category}
+              onChange={e => setTriviaOptions(o => ({ ...o, category: e.target.value }))}
+              style={{ ...styles.modalInput, boxSizing: 'border-box' }}
+            >
+              <option value="">Any</option>
+              {[...new Set(questionSummary.categories.map(row => row.category))].map(category => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+            <label style={styles.modalLabel} htmlFor="trivia-difficulty">Difficulty:</label>
+            <select
+              id="trivia-difficulty"
+              value={triviaOptions.difficulty}
+              onChange={e => setTriviaOptions(o => ({ ...o, difficulty: e.target.value }))}
+              style={{ ...styles.modalInput, boxSizing: 'border-box' }}
+            >
+              <option value="">Any</option>
+              {questionSummary.difficulties.map(difficulty => (
+                <option key={difficulty} value={difficulty}>{difficulty}</option>
+              ))}
+            </select>
+            <div style={styles.lobbyDetails}>
+              {questionSummary.categories
+                .filter(row => (!triviaOptions.category || row.category === triviaOptions.category)
+                  && (!triviaOptions.difficulty || row.difficulty === triviaOptions.difficulty))
+                .reduce((sum, row) => sum + row.count, 0)} matching questions
+            </div>
+          </div>
+        )}
+        {mode === 'voting' && (
+          <div>
+            <label style={styles.modalLabel} htmlFor="vote-reveal">Vote reveal:</label>
+            <select
+              id="vote-reveal"
+              value={voteReveal}
+              onChange={e => setVoteReveal(e.target.value)}
+              style={{ ...styles.modalInput, boxSizing: 'border-box' }}
+            >
+              <option value="anonymous">Anonymous (tally only)</option>
+              <option value="public">Public (who voted for whom)</option>
+            </select>
+          </div>
+        )}
       </div>
 
       <div style={styles.lobbiesContainer}>
-        <h3 style={styles.lobbiesTitle}>All Lobbies</h3>
+        <h3 style={styles.lobbiesTitle}>{isAdmin ? 'All Lobbies' : 'My Lobbies'}</h3>
         {lobbies.length > 0 ? (
           lobbies.map((lobby, idx) => (
             <div key={lobby.id}>
@@ -254,10 +762,46 @@ const AdminPanel = ({ user }) => {
                 onClick={() => setSelectedLobbyId(lobby.id)}
               >
                 <div style={styles.lobbyInfo}>
-                  <span>Lobby #{lobby.id}</span>
+                  <span>Lobby #{lobby.id}{lobby.name && ` · ${lobby.name}`}</span>
                   <span style={styles.lobbyDetails}>
-                    Players: {lobby.players_count}/{lobby.max_players || 'Unlimited'} | Status: {lobby.status}
+                    Players: {lobby.players_count}/{lobby.max_players || 'Unlimited'} | Status: {lobby.status} | Mode: {lobby.mode}
                   </span>
+                  {lobby.entry_fee > 0 && (
+                    <span style={styles.lobbyDetails}>
+                      Entry fee: {lobby.entry_fee} coins | Split: {lobby.prize_split?.join('/')} | House: {lobby.house_cut}%
+                    </span>
+                  )}
+                  {['waiting', 'countdown'].includes(lobby.status) && lobby.starts_at && (
+                    <span style={styles.lobbyDetails}>
+                      Starts: {new Date(lobby.starts_at).toLocaleString()}
+                    </span>
+                  )}
+                  {lobby.invite_code && (
+                    <span style={styles.lobbyDetails}>
+                      {lobby.visibility === 'private' ? 'Private' : 'Public'} | Invite: {lobby.invite_code}{' '}
+                      <button
+                        style={styles.inviteButton}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          shareInvite(lobby.invite_code);
+                        }}
+                      >
+                        Share
+                      </button>
+                    </span>
+                  )}
+                  {selectedLobbyId === lobby.id && ['waiting', 'countdown'].includes(lobby.status) && (
+                    <div onClick={e => e.stopPropagation()}>
+                      {(lobby.players || []).filter(p => p.id !== user.id).map(player => (
+                        <PlayerRow
+                          key={player.id}
+                          player={player}
+                          canBanGlobally={isAdmin}
+                          onKick={handleKickPlayer}
+                        />
+                      ))}
+                    </div>
+                  )}
                 </div>
               </div>
               {idx < lobbies.length - 1 && <hr style={styles.divider} />}
@@ -271,7 +815,21 @@ const AdminPanel = ({ user }) => {
       {showSettingsModal && (
         <div style={styles.modal}>
           <div style={styles.modalContent}>
-            <h3 style={styles.modalTitle}>Global Settings</h3>
+            <h3 style={styles.modalTitle}>Lobby Preset</h3>
+            <div style={styles.lobbyDetails}>
+              Game mode, its options and visibility are taken from the lobby form.
+            </div>
+            <div style={styles.modalField}>
+              <label style={styles.modalLabel} htmlFor="preset-name">Name:</label>
+              <input
+                id="preset-name"
+                type="text"
+                maxLength={64}
+                value={presetName}
+                onChange={e => setPresetName(e.target.value)}
+                style={styles.modalInput}
+              />
+            </div>
             <div style={styles.modalField}>
               <label style={styles.modalLabel}>Max Players:</label>
               <input
@@ -338,23 +896,68 @@ const AdminPanel = ({ user }) => {
                 }}
               />
             </div>
+            <NumberField
+              label="Round Duration (seconds):"
+              value={settings.round_duration}
+              onChange={v => setSettings(s => ({ ...s, round_duration: v }))}
+            />
+            <NumberField
+              label="Eliminated per Round (%):"
+              value={settings.elimination_fraction === null ? null : Math.round(settings.elimination_fraction * 100)}
+              onChange={v => setSettings(s => ({ ...s, elimination_fraction: v === null ? null : v / 100 }))}
+            />
+            <NumberField
+              label="Fixed Eliminations per Round:"
+              value={settings.elimination_count}
+              placeholder="Use percentage"
+              onChange={v => setSettings(s => ({ ...s, elimination_count: v }))}
+            />
+            <NumberField
+              label="Minimum Survivors:"
+              value={settings.min_survivors}
+              onChange={v => setSettings(s => ({ ...s, min_survivors: v }))}
+            />
+            <NumberField
+              label="Max Rounds:"
+              value={settings.max_rounds}
+              placeholder="No limit"
+              onChange={v => setSettings(s => ({ ...s, max_rounds: v }))}
+            />
+            <NumberField
+              label="Starting Lives (Lives mode):"
+              value={settings.starting_lives}
+              onChange={v => setSettings(s => ({ ...s, starting_lives: v }))}
+            />
             <div style={styles.modalButtons}>
               <button
                 style={{ ...styles.modalButton, background: '#6C63FF' }}
-                onClick={() => {
-                  if (settings.max_players < 1) {
-                    setNotification({ message: 'Max players must be at least 1', type: 'error', visible: true });
-                    return;
-                  }
-                  if (settings.start_delay < 5) {
-                    setNotification({ message: 'Start delay must be at least 5 seconds', type: 'error', visible: true });
-                    return;
-                  }
-                  handleSettingsSubmit();
-                }}
+                onClick={() => handlePresetSave(false)}
+                disabled={!presetId}
               >
                 Save
               </button>
+              <button
+                style={{ ...styles.modalButton, background: '#43E97B' }}
+                onClick={() => handlePresetSave(true)}
+              >
+                Save as New
+              </button>
+            </div>
+            <div style={{ ...styles.modalButtons, marginTop: '0.5rem' }}>
+              <button
+                style={{ ...styles.modalButton, background: '#FFD86E' }}
+                onClick={handleMakeDefault}
+                disabled={!presetId || presets.find(p => p.id === presetId)?.is_default}
+              >
+                Make Default
+              </button>
+              <button
+                style={{ ...styles.modalButton, background: '#FF6B6B' }}
+                onClick={handleDeletePreset}
+                disabled={!presetId || presets.find(p => p.id === presetId)?.is_default}
+              >
+                Delete
+              </button>
               <button
                 style={{ ...styles.modalButton, background: '#FF6584' }}
                 onClick={() => setShowSettingsModal(false)}
@@ -469,6 +1072,14 @@ const styles = {
     fontSize: window.innerWidth <= 768 ? '0.9rem' : '1rem',
     transition: 'opacity 0.1s',
   },
+  inviteButton: {
+    background: 'none',
+    border: '1px solid #6C63FF',
+    borderRadius: '6px',
+    color: '#A3A1FB',
+    cursor: 'pointer',
+    padding: '0 6px',
+  },
   lobbiesContainer: {
     width: '100%',
     maxWidth: window.innerWidth <= 768 ? '100%' : '400px',
@@ -502,6 +1113,22 @@ const styles = {
   lobbyItemSelected: {
     background: '#333',
   },
+  playerRow: {
+    borderTop: '1px solid #181818',
+    padding: '0.4rem 0',
+    fontSize: window.innerWidth <= 768 ? '0.8rem' : '0.95rem',
+  },
+  playerHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  banForm: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '0.4rem',
+    marginTop: '0.4rem',
+  },
   lobbyInfo: {
     flex: 1,
     display: 'flex',
@@ -545,6 +1172,8 @@ const styles = {
     color: 'white',
     boxShadow: '0 4px 24px rgba(0, 0, 0, 0.7)',
     width: window.innerWidth <= 768 ? '90%' : 'auto',
+    maxHeight: '90vh',
+    overflowY: 'auto',
     boxSizing: 'border-box',
   },
   modalTitle: {
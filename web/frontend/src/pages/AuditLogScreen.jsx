@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getAuditEvents } from '../api';
+
+// Events loaded per page of the list
+const PAGE_SIZE = 20;
+
+const TARGET_TYPES = ['lobby', 'user', 'settings', 'preset', 'question', 'wallet'];
+
+const ACTIONS = [
+  'user.create', 'user.role',
+  'lobby.create', 'lobby.delete', 'lobby.join', 'lobby.exit', 'lobby.start', 'lobby.cancel', 'lobby.finish', 'lobby.reset',
+  'lobby.kick', 'ban.delete',
+  'settings.update', 'preset.create', 'preset.update', 'preset.delete',
+  'wallet.grant', 'wallet.revoke', 'wallet.reconcile',
+  'question.import', 'question.delete',
+];
+
+const EMPTY_FILTERS = { actor_id: '', action: '', target_type: '', target_id: '', since: '', until: '' };
+
+// Date inputs give local days; the range covers all of both days
+const toQuery = (filters) => ({
+  ...filters,
+  since: filters.since ? new Date(`${filters.since}T00:00:00`).toISOString() : '',
+  until: filters.until ? new Date(`${filters.until}T23:59:59.999`).toISOString() : '',
+});
+
+const AuditRow = ({ event, isLast }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <>
+      <div className="flex flex-col gap-1 p-3 text-white cursor-pointer" onClick={() => setOpen(prev => !prev)}>
+        <div className="flex justify-between gap-2">
+          <span className="font-medium">{event.action}</span>
+          <span className="text-xs text-[#888]">{new Date(event.created_at).toLocaleString()}</span>
+        </div>
+        <div className="text-sm text-[#ccc]">
+          {event.actor_username || event.actor_id} → {event.target_type}{event.target_id ? ` #${event.target_id}` : ''}
+        </div>
+        {open && (
+          <div className="grid grid-cols-2 gap-2 text-xs font-mono">
+            <pre className="bg-[#333] rounded p-2 overflow-x-auto">{JSON.stringify(event.before, null, 1) ?? 'null'}</pre>
+            <pre className="bg-[#333] rounded p-2 overflow-x-auto">{JSON.stringify(event.after, null, 1) ?? 'null'}</pre>
+          </div>
+        )}
+      </div>
+      {!isLast && <hr className="h-px bg-[#181818] my-0 mx-4 border-none" />}
+    </>
+  );
+};
+
+/**
+ * Admin page for browsing the audit log of changes made through the API
+ */
+const AuditLogScreen = ({ onBack }) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [error, setError] = useState(null);
+
+  const loadEvents = useCallback(async (offset) => {
+    try {
+      const data = await getAuditEvents(toQuery(applied), PAGE_SIZE, offset);
+      setEvents(prev => (offset === 0 ? data.result.events : [...prev, ...data.result.events]));
+      setTotal(data.result.total);
+      setError(null);
+    } catch (err) {
+      setError(`Failed to load audit log: ${err.message}`);
+    }
+  }, [applied]);
+
+  useEffect(() => {
+    loadEvents(0);
+  }, [loadEvents]);
+
+  const setFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+
+  const inputClass = 'bg-[#333] rounded-lg p-2 text-sm text-white';
+
+  return (
+    <div className="min-h-screen flex items-start justify-center bg-black p-5">
+      <div className="flex flex-col gap-5 w-full max-w-md">
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-6 text-white flex flex-col gap-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-3xl font-bold">Audit Log</h2>
+            <button className="px-4 py-2 rounded-lg bg-[#6C63FF] text-white font-medium" onClick={onBack}>
+              Back
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <select className={inputClass} value={filters.action} onChange={setFilter('action')}>
+              <option value="">Any action</option>
+              {ACTIONS.map(action => <option key={action} value={action}>{action}</option>)}
+            </select>
+            <input className={inputClass} placeholder="Actor id" value={filters.actor_id} onChange={setFilter('actor_id')} />
+            <select className={inputClass} value={filters.target_type} onChange={setFilter('target_type')}>
+              <option value="">Any target</option>
+              {TARGET_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+            <input className={inputClass} placeholder="Target id" value={filters.target_id} onChange={setFilter('target_id')} />
+            <input className={inputClass} type="date" title="From" value={filters.since} onChange={setFilter('since')} />
+            <input className={inputClass} type="date" title="To" value={filters.until} onChange={setFilter('until')} />
+          </div>
+          <div className="flex gap-2">
+            <button className="flex-1 py-2 rounded-lg bg-[#43E97B] text-black font-medium" onClick={() => setApplied(filters)}>
+              Apply
+            </button>
+            <button
+              className="flex-1 py-2 rounded-lg bg-[#333] text-white font-medium"
+              onClick={() => {
+                setFilters(EMPTY_FILTERS);
+                setApplied(EMPTY_FILTERS);
+              }}
+            >
+              Clear
+            </button>
+          </div>
+          {error && <div className="text-[#FF6B6B]">{error}</div>}
+        </div>
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-4">
+          <h3 className="text-xl font-bold text-white text-center mb-2">Events ({total})</h3>
+          {events.length > 0 ? (
+            events.map((event, idx) => (
+              <AuditRow key={event.id} event={event} isLast={idx === events.length - 1} />
+            ))
+          ) : (
+            <div className="text-[#ccc] text-center p-4">No events match these filters.</div>
+          )}
+          {events.length < total && (
+            <button
+              className="w-full mt-2 py-2 rounded-lg bg-[#333] text-white"
+              onClick={() => loadEvents(events.length)}
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogScreen;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { completeGame, resetLobby } from '../api';
+import { completeGame, getLobbyFairness, getLobby, getVotes } from '../api';
+import { verifyFairness } from '../fairness';
 
 const AVATAR_COLORS = [
   '#6C63FF', '#FF6584', '#43E97B', '#FFD86E', '#FF6B6B',
@@ -21,12 +22,17 @@ function uniqByUserId(arr) {
   });
 }
 
-const GameOverScreen = ({ user, lobbyId, lobbyData, players, winner }) => {
+const GameOverScreen = ({ user, lobbyId, lobbyData, players, winner, onShowProfile, onShowLeaderboard }) => {
   const [showResults, setShowResults] = useState(false);
   const [remainingTime, setRemainingTime] = useState(15);
   const [leaderboard, setLeaderboard] = useState(players || []);
   const [gameWinner, setGameWinner] = useState(winner || null);
   const [loadingResults, setLoadingResults] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [voteHistory, setVoteHistory] = useState(null);
+  const [showVotes, setShowVotes] = useState(false);
+  const [prizePool, setPrizePool] = useState(null);
 
   const adminId = lobbyData?.admin_id?.toString();
 
@@ -62,37 +68,34 @@ const GameOverScreen = ({ user, lobbyId, lobbyData, players, winner }) => {
     fetchLeaderboard();
   }, [lobbyId, adminId, leaderboard, players]);
 
+  // Lobbies with an entry fee pay out a prize pool; voting games keep a per-round history of the tallies
   useEffect(() => {
-    if (lobbyId && adminId) {
-      const reset = async () => {
-        try {
-          await resetLobby(lobbyId, adminId);
-          console.log('[GameOverScreen] Lobby reset successfully');
-        } catch (error) {
-          console.error('[GameOverScreen] Failed to reset lobby:', error);
-        }
-      };
-      reset();
-    }
-  }, [lobbyId, adminId]);
+    if (!lobbyId) return;
+    const fetchVotes = async () => {
+      try {
+        const lobby = await getLobby(lobbyId);
+        if (lobby.result?.prize_pool?.entry_fee) setPrizePool(lobby.result.prize_pool);
+        if (lobby.result?.mode !== 'voting') return;
+        const res = await getVotes(lobbyId);
+        if (res.ok && res.result) setVoteHistory(res.result);
+      } catch (error) {
+        console.error('[GameOverScreen] Failed to load vote history:', error);
+      }
+    };
+    fetchVotes();
+  }, [lobbyId]);
 
   const uniqueLeaderboard = uniqByUserId(leaderboard || []);
 
-  let winnerCount = 0;
+  // Server placements already break ties by lives left; players lasting longer rank first otherwise
   const sortedLeaderboard = uniqueLeaderboard
     .slice()
     .sort((a, b) => {
+      if (a.placement && b.placement && a.placement !== b.placement) return a.placement - b.placement;
       const aRound = a.eliminated_round === null ? Infinity : a.eliminated_round;
       const bRound = b.eliminated_round === null ? Infinity : b.eliminated_round;
       if (aRound !== bRound) return bRound - aRound;
-      return (a.user_id || a.id || '').localeCompare(b.user_id || b.id || '');
-    })
-    .filter((p) => {
-      if (p.eliminated_round === null) {
-        winnerCount++;
-        return winnerCount === 1;
-      }
-      return true;
+      return String(a.user_id || a.id || '').localeCompare(String(b.user_id || b.id || ''));
     });
 
   useEffect(() => {
@@ -130,6 +133,30 @@ const GameOverScreen = ({ user, lobbyId, lobbyData, players, winner }) => {
     }
   };
 
+  // Recompute every round's eliminations from the revealed seed
+  const handleVerify = async () => {
+    if (verification) {
+      setVerification(null);
+      return;
+    }
+    setVerifying(true);
+    try {
+      const res = await getLobbyFairness(lobbyId);
+      if (!res.ok || !res.result) throw new Error(res.message || 'Failed to load fairness data');
+      setVerification({ ...(await verifyFairness(res.result)), seed: res.result.seed, seed_hash: res.result.seed_hash });
+    } catch (error) {
+      setVerification({ error: error.message });
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const payoutOf = (player) => player.payout
+    ?? prizePool?.payouts.find(p => String(p.user_id) === String(player.user_id || player.id))?.amount
+    ?? 0;
+
+  const usernameOf = (id) => uniqueLeaderboard.find(p => String(p.user_id || p.id) === String(id))?.username || id;
+
   console.log('[GameOverScreen] user:', user);
   console.log('[GameOverScreen] leaderboard:', leaderboard);
   console.log('[GameOverScreen] sortedLeaderboard:', sortedLeaderboard);
@@ -141,6 +168,15 @@ const GameOverScreen = ({ user, lobbyId, lobbyData, players, winner }) => {
         <div style={styles.winner}>
           {gameWinner ? `Winner: ${gameWinner.username}` : 'No winner'}
         </div>
+        {prizePool && (
+          <div style={styles.prizePool}>
+            Prize pool: <span style={styles.coins}>{prizePool.total} coins</span>
+            {prizePool.house > 0 && <div style={styles.votes}>House cut: {prizePool.house} coins</div>}
+            {user && (
+              <div>You won: <span style={styles.coins}>{payoutOf({ user_id: user.id })} coins</span></div>
+            )}
+          </div>
+        )}
         <div style={styles.buttonContainer}>
           <button
             style={{
@@ -154,12 +190,48 @@ const GameOverScreen = ({ user, lobbyId, lobbyData, players, winner }) => {
           >
             {showResults ? 'Hide Results' : 'Show Results'}
           </button>
+          <button
+            style={{
+              ...styles.button,
+              background: '#A3A1FB',
+              cursor: verifying ? 'wait' : 'pointer',
+              opacity: verifying ? 0.6 : 1,
+            }}
+            onClick={handleVerify}
+            disabled={verifying}
+          >
+            {verification ? 'Hide Verification' : 'Verify'}
+          </button>
+          {voteHistory && (
+            <button
+              style={{ ...styles.button, background: '#FF6584' }}
+              onClick={() => setShowVotes(!showVotes)}
+            >
+              {showVotes ? 'Hide Votes' : 'Vote History'}
+            </button>
+          )}
           <button
             style={{ ...styles.button, background: '#43E97B' }}
             onClick={() => window.location.reload()}
           >
             Play Again
           </button>
+          {onShowProfile && (
+            <button
+              style={{ ...styles.button, background: '#FFB86C' }}
+              onClick={onShowProfile}
+            >
+              My Profile
+            </button>
+          )}
+          {onShowLeaderboard && (
+            <button
+              style={{ ...styles.button, background: '#36CFC9' }}
+              onClick={onShowLeaderboard}
+            >
+              Leaderboards
+            </button>
+          )}
           <button
             style={{ ...styles.button, background: '#FF6B6B' }}
             onClick={() => window.Telegram?.WebApp?.close()}
@@ -167,6 +239,52 @@ const GameOverScreen = ({ user, lobbyId, lobbyData, players, winner }) => {
             Exit
           </button>
         </div>
+        {verification && (
+          <div style={styles.verification}>
+            {verification.error ? (
+              <div style={{ color: '#FF6B6B' }}>{verification.error}</div>
+            ) : !verification.revealed ? (
+              <div>The seed has not been revealed yet.</div>
+            ) : (
+              <>
+                <div style={{ color: verification.valid ? '#43E97B' : '#FF6B6B', fontWeight: 700 }}>
+                  {verification.valid ? 'Verified: results match the committed seed' : 'Verification failed'}
+                </div>
+                <div>Commitment: {verification.commitmentValid ? '✓' : '✗'}</div>
+                <div style={styles.hash}>Hash: {verification.seed_hash}</div>
+                <div style={styles.hash}>Seed: {verification.seed}</div>
+                {verification.rounds.map(round => (
+                  <div key={round.round_number}>
+                    Round {round.round_number}: {round.match ? '✓' : '✗'}
+                  </div>
+                ))}
+              </>
+            )}
+          </div>
+        )}
+        {showVotes && voteHistory && (
+          <div style={styles.verification}>
+            {voteHistory.rounds.map(round => (
+              <div key={round.round_number}>
+                <div style={{ fontWeight: 700 }}>
+                  Round {round.round_number}: {round.eliminated_ids.map(usernameOf).join(', ') || 'nobody'} voted out
+                  {round.tie_break && ' (tie broken at random)'}
+                </div>
+                <div style={styles.votes}>
+                  {Object.entries(round.tally)
+                    .filter(([, count]) => count > 0)
+                    .sort(([, a], [, b]) => b - a)
+                    .map(([id, count]) => `${usernameOf(id)}: ${count}`)
+                    .join(', ') || 'No votes cast'}
+                </div>
+                {round.votes && Object.entries(round.votes).map(([voterId, targetId]) => (
+                  <div key={voterId} style={styles.votes}>{usernameOf(voterId)} → {usernameOf(targetId)}</div>
+                ))}
+              </div>
+            ))}
+            {voteHistory.reveal === 'anonymous' && <div style={styles.votes}>Votes were anonymous.</div>}
+          </div>
+        )}
         <div style={styles.timer}>Exiting in {remainingTime} seconds...</div>
       </div>
       {showResults && sortedLeaderboard.length > 0 && (
@@ -181,7 +299,7 @@ const GameOverScreen = ({ user, lobbyId, lobbyData, players, winner }) => {
             <div style={styles.leaderboardContent}>
               {sortedLeaderboard.map((player, idx) => {
                 const key = player.user_id || player.id || idx;
-                const isWinner = player.eliminated_round === null;
+                const isWinner = player.placement ? player.placement === 1 : player.eliminated_round === null;
                 return (
                   <div key={key} style={{
                     ...styles.leaderboardRow,
@@ -193,7 +311,7 @@ const GameOverScreen = ({ user, lobbyId, lobbyData, players, winner }) => {
                       ...styles.rank,
                       color: isWinner ? '#FFD700' : '#888',
                     }}>
-                      #{idx + 1}
+                      #{player.placement || idx + 1}
                     </div>
                     <div style={{ ...styles.avatar, background: getPlayerColor(key) }}>
                       {player.username.charAt(0).toUpperCase()}
@@ -205,6 +323,14 @@ const GameOverScreen = ({ user, lobbyId, lobbyData, players, winner }) => {
                       )}
                       {isWinner && <span style={styles.winnerIcon}>🏆</span>}
                     </div>
+                    {prizePool && payoutOf(player) > 0 && (
+                      <div style={styles.payout}>+{payoutOf(player)}</div>
+                    )}
+                    {player.lives_left != null && (
+                      <div style={styles.lives} title={`${player.lives_left} lives left`}>
+                        {'♥'.repeat(player.lives_left) || '♡'}
+                      </div>
+                    )}
                   </div>
                 );
               })}
@@ -228,6 +354,15 @@ const styles = {
   buttonContainer: { display: 'flex', flexDirection: 'column', gap: '10px', marginTop: '10px' },
   button: { padding: '10px', border: 'none', borderRadius: '8px', color: 'white', cursor: 'pointer', fontWeight: 500 },
   timer: { textAlign: 'center', fontSize: '0.9rem', color: '#ccc' },
+  verification: {
+    background: '#222', borderRadius: '8px', padding: '10px', fontSize: '0.9rem',
+    display: 'flex', flexDirection: 'column', gap: '4px',
+  },
+  votes: { fontSize: '0.8rem', color: '#ccc' },
+  prizePool: { textAlign: 'center', fontSize: '1rem' },
+  coins: { color: '#FFD86E', fontWeight: 700 },
+  payout: { color: '#FFD86E', fontSize: '0.9rem', fontWeight: 700, flexShrink: 0 },
+  hash: { fontFamily: 'monospace', fontSize: '0.7rem', color: '#ccc', wordBreak: 'break-all' },
   leaderboardPanel: {
     position: 'fixed', top: '50%', left: '50%', transform: 'translate(-50%, -50%)',
     width: '400px', maxHeight: '600px', background: '#222', border: '3px solid #aaa',
@@ -251,6 +386,7 @@ const styles = {
     flexShrink: 0,
   },
   playerName: { flex: 1, display: 'flex', alignItems: 'center' },
+  lives: { color: '#FF6584', fontSize: '0.9rem', flexShrink: 0 },
   items: { display: 'flex', gap: '8px' },
   youTag: { color: 'white', paddingLeft: '5px' },
   winnerIcon: { color: '#FFD700', paddingLeft: '8px', fontSize: '1.2rem' },
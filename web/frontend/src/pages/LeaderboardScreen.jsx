@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { getLeaderboard } from '../api';
+
+const METRICS = [
+  { id: 'wins', label: 'Wins' },
+  { id: 'games_played', label: 'Games' },
+  { id: 'average_survival', label: 'Avg. survival' },
+  { id: 'reaction_time', label: 'Reaction', unit: ' ms' },
+];
+
+const PERIODS = [
+  { id: 'all', label: 'All time' },
+  { id: 'month', label: 'This month' },
+  { id: 'week', label: 'This week' },
+];
+
+// Players shown in the top list
+const TOP_SIZE = 20;
+
+const TabBar = ({ tabs, selected, onSelect }) => (
+  <div className="flex gap-2">
+    {tabs.map(tab => (
+      <button
+        key={tab.id}
+        className={`flex-1 py-2 rounded-lg text-sm font-medium ${selected === tab.id ? 'bg-[#6C63FF] text-white' : 'bg-[#333] text-[#ccc]'}`}
+        onClick={() => onSelect(tab.id)}
+      >
+        {tab.label}
+      </button>
+    ))}
+  </div>
+);
+
+const EntryRow = ({ entry, metric, isYou }) => (
+  <div className={`flex items-center gap-4 p-3 ${isYou ? 'text-[#FFD86E]' : 'text-white'}`}>
+    <div className="w-10 text-right font-bold text-[#888]">#{entry.rank}</div>
+    <div className="flex-1 font-medium">
+      {entry.username}
+      {isYou && <span className="ml-2">(You)</span>}
+    </div>
+    <div className="font-bold">{entry[metric]}{METRICS.find(m => m.id === metric)?.unit}</div>
+  </div>
+);
+
+/**
+ * Ranks players across all games by wins, games played, average survival or reaction time
+ */
+const LeaderboardScreen = ({ user, onBack }) => {
+  const [metric, setMetric] = useState('wins');
+  const [period, setPeriod] = useState('all');
+  const [board, setBoard] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const data = await getLeaderboard(metric, period, TOP_SIZE);
+        if (!data?.ok || !data?.result) throw new Error(data?.message || 'Failed to load leaderboard');
+        setBoard(data.result);
+        setError(null);
+      } catch (err) {
+        setError(`Failed to load leaderboard: ${err.message}`);
+      }
+    };
+    load();
+  }, [metric, period]);
+
+  const me = board?.me;
+  const meInTop = me && board.entries.some(entry => entry.user_id === me.user_id);
+
+  return (
+    <div className="min-h-screen flex items-start justify-center bg-black p-5">
+      <div className="flex flex-col gap-5 w-full max-w-md">
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-6 text-white flex flex-col gap-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-3xl font-bold">Leaderboards</h2>
+            <button
+              className="px-4 py-2 rounded-lg bg-[#6C63FF] text-white font-medium"
+              onClick={onBack}
+            >
+              Back
+            </button>
+          </div>
+          <TabBar tabs={METRICS} selected={metric} onSelect={setMetric} />
+          <TabBar tabs={PERIODS} selected={period} onSelect={setPeriod} />
+        </div>
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-4">
+          {error && <p className="text-[#FF6B6B] text-center p-2">{error}</p>}
+          {board && board.entries.length > 0 ? (
+            board.entries.map(entry => (
+              <EntryRow key={entry.user_id} entry={entry} metric={metric} isYou={entry.user_id === String(user.id)} />
+            ))
+          ) : (
+            !error && (
+              <div className="text-[#ccc] text-center p-4 text-lg">
+                {board ? 'No games in this period yet.' : 'Loading...'}
+              </div>
+            )
+          )}
+          {me && !meInTop && (
+            <>
+              <hr className="h-px bg-[#181818] my-2 mx-4 border-none" />
+              <EntryRow entry={me} metric={metric} isYou />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeaderboardScreen;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getLiveLobbies, getModes } from '../api';
+import useLiveUpdates from '../hooks/useLiveUpdates';
+
+const LIVE_EVENTS = ['lobby_countdown', 'lobby_started', 'lobby_finished', 'lobby_cancelled', 'spectators_changed'];
+
+/**
+ * Picker for the games currently running, to watch one as a spectator
+ */
+const LiveGamesScreen = ({ onWatch, onBack }) => {
+  const [lobbies, setLobbies] = useState([]);
+  const [modeNames, setModeNames] = useState({});
+  const [error, setError] = useState(null);
+
+  const fetchLobbies = useCallback(async () => {
+    try {
+      const data = await getLiveLobbies();
+      setLobbies(data.result || []);
+      setError(null);
+    } catch (error) {
+      setError(`Failed to load games: ${error.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    getModes()
+      .then(data => setModeNames(Object.fromEntries(data.result.map(mode => [mode.id, mode.name]))))
+      .catch(() => {});
+  }, []);
+
+  useLiveUpdates('/events', LIVE_EVENTS, fetchLobbies, 2000);
+
+  return (
+    <div className="min-h-screen flex items-start justify-center bg-black p-5">
+      <div className="flex flex-col gap-5 w-full max-w-md">
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-6 text-white">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-3xl font-bold">Live Games</h2>
+            <button className="px-4 py-2 rounded-lg bg-[#6C63FF] text-white font-medium" onClick={onBack}>
+              Back
+            </button>
+          </div>
+          {error && <div className="text-[#FF6B6B] mb-2">{error}</div>}
+          {lobbies.length > 0 ? (
+            lobbies.map(lobby => (
+              <div key={lobby.id} className="flex items-center gap-3 py-3 border-b border-[#181818] last:border-none">
+                <div className="flex-1">
+                  <div className="font-medium">Lobby #{lobby.id} · {modeNames[lobby.mode] || lobby.mode}</div>
+                  <div className="text-sm text-[#ccc]">
+                    {lobby.status === 'countdown' ? 'Starting soon' : 'Playing'} · {lobby.players_count} players · 👁 {lobby.spectators}
+                  </div>
+                </div>
+                <button
+                  className="px-4 py-2 rounded-lg bg-[#FF6584] text-white font-medium"
+                  onClick={() => onWatch(lobby.id)}
+                >
+                  Watch
+                </button>
+              </div>
+            ))
+          ) : (
+            <div className="text-[#ccc] text-center p-4">No games are running right now.</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LiveGamesScreen;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getLobbies, getModes } from '../api';
+import useLiveUpdates from '../hooks/useLiveUpdates';
+import { joinableLobbies } from '../lobbies';
+
+const BROWSER_EVENTS = [
+  'lobby_created', 'lobby_deleted', 'lobby_reset', 'player_joined', 'player_left',
+  'lobby_countdown', 'lobby_started', 'lobby_cancelled',
+];
+
+const LobbyRow = ({ lobby, modeName, joining, onJoin }) => {
+  const fill = lobby.max_players ? Math.min(100, (lobby.players_count / lobby.max_players) * 100) : 0;
+  return (
+    <div className="flex items-center gap-3 py-3 border-b border-[#181818] last:border-none">
+      <div className="flex-1 flex flex-col gap-1">
+        <div className="font-medium">{lobby.name || `Lobby #${lobby.id}`}</div>
+        <div className="text-sm text-[#ccc]">
+          {modeName} · {lobby.status === 'countdown' ? 'Starting now' : `Starts ${new Date(lobby.starts_at).toLocaleTimeString()}`}
+          {lobby.entry_fee > 0 && <span className="text-[#FFD86E]"> · Entry {lobby.entry_fee} coins</span>}
+        </div>
+        <div className="flex items-center gap-2 text-sm text-[#ccc]">
+          <div className="flex-1 h-2 rounded-full bg-[#333] overflow-hidden">
+            <div className="h-full bg-[#43E97B]" style={{ width: `${fill}%` }} />
+          </div>
+          <span>{lobby.players_count}/{lobby.max_players}</span>
+        </div>
+      </div>
+      <button
+        className="px-4 py-2 rounded-lg bg-[#6C63FF] text-white font-medium disabled:opacity-50"
+        onClick={() => onJoin(lobby.id)}
+        disabled={joining}
+      >
+        Join
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Lets players pick the lobby they join, or be placed in a random one.
+ * `notice` explains why the player was sent here, e.g. after a kick.
+ */
+const LobbyBrowserScreen = ({ notice, onJoin, onQuickJoin, onWatchGames, onShowProfile, onShowLeaderboard }) => {
+  const [lobbies, setLobbies] = useState([]);
+  const [modeNames, setModeNames] = useState({});
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState(notice || null);
+
+  const fetchLobbies = useCallback(async () => {
+    try {
+      const data = await getLobbies();
+      setLobbies(joinableLobbies(data.result || [])
+        .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at)));
+    } catch (error) {
+      setError(`Failed to load lobbies: ${error.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    getModes()
+      .then(data => setModeNames(Object.fromEntries(data.result.map(mode => [mode.id, mode.name]))))
+      .catch(() => {});
+  }, []);
+
+  useLiveUpdates('/events', BROWSER_EVENTS, fetchLobbies, 2000);
+
+  // Joining is done by the app; a refused join leaves the player here with the reason
+  const handleJoin = async (join) => {
+    setJoining(true);
+    setError(null);
+    try {
+      await join();
+    } catch (error) {
+      setError(error.message.replace(/^HTTP error \d+: /, ''));
+      await fetchLobbies();
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-start justify-center bg-black p-5">
+      <div className="flex flex-col gap-5 w-full max-w-md">
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-6 text-white flex flex-col gap-3">
+          <h2 className="text-3xl font-bold text-center">Lobbies</h2>
+          <button
+            className="py-3 rounded-xl bg-[#43E97B] text-black text-xl font-bold disabled:opacity-50"
+            onClick={() => handleJoin(onQuickJoin)}
+            disabled={joining}
+          >
+            Quick Join
+          </button>
+          <div className="flex gap-2 justify-center">
+            {onWatchGames && (
+              <button className="px-3 py-2 rounded-lg bg-[#FF6584] text-white text-sm font-medium" onClick={onWatchGames}>
+                Watch Live
+              </button>
+            )}
+            {onShowProfile && (
+              <button className="px-3 py-2 rounded-lg bg-[#6C63FF] text-white text-sm font-medium" onClick={onShowProfile}>
+                My Profile
+              </button>
+            )}
+            {onShowLeaderboard && (
+              <button className="px-3 py-2 rounded-lg bg-[#36CFC9] text-white text-sm font-medium" onClick={onShowLeaderboard}>
+                Leaderboards
+              </button>
+            )}
+          </div>
+          {error && <div className="text-[#FF6B6B] text-center">{error}</div>}
+        </div>
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-4 text-white">
+          {lobbies.length > 0 ? (
+            lobbies.map(lobby => (
+              <LobbyRow
+                key={lobby.id}
+                lobby={lobby}
+                modeName={modeNames[lobby.mode] || lobby.mode}
+                joining={joining}
+                onJoin={(id) => handleJoin(() => onJoin(id))}
+              />
+            ))
+          ) : (
+            <div className="text-[#ccc] text-center p-4">
+              No open lobbies right now. Quick Join waits for the next one.
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LobbyBrowserScreen;
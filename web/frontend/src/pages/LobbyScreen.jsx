@@ -1,5 +1,12 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { getLobby, completeGame } from '../api';
+import { getLobby } from '../api';
+import { shareInvite } from '../invites';
+import useLiveUpdates from '../hooks/useLiveUpdates';
+
+const LOBBY_EVENTS = [
+  'player_joined', 'player_left', 'lobby_reset', 'lobby_countdown',
+  'lobby_started', 'lobby_finished', 'lobby_cancelled',
+];
 
 const AVATAR_COLORS = [
   '#6C63FF', '#FF6584', '#43E97B', '#FFD86E', '#FF6B6B',
@@ -31,21 +38,55 @@ const PlayerRow = ({ player, isLast, userId }) => (
   </>
 );
 
-const LobbyScreen = ({ user, lobbyId, onTimerEnd }) => {
+// Entry fee, pool so far and the prize each place would win
+const PrizePool = ({ pool }) => (
+  <div className="mt-4 text-base text-[#ccc]">
+    <div className="flex justify-between">
+      <span>Entry fee: <span className="text-white">{pool.entry_fee} coins</span></span>
+      <span>Prize pool: <span className="text-[#FFD86E] font-bold">{pool.total} coins</span></span>
+    </div>
+    <div className="flex flex-wrap justify-center gap-3 mt-2">
+      {pool.places.map(place => (
+        <span key={place.placement}>#{place.placement}: <span className="text-white">{place.amount}</span></span>
+      ))}
+    </div>
+    {pool.house > 0 && (
+      <div className="text-center text-sm mt-1">House cut: {pool.house_cut}% ({pool.house} coins)</div>
+    )}
+  </div>
+);
+
+// Countdowns longer than this show the start time instead of seconds (sec)
+const MAX_COUNTDOWN = 5 * 60;
+
+const LobbyScreen = ({ user, lobbyId, onTimerEnd, onCancelled, onLeave, onKicked }) => {
   const [lobbyData, setLobbyData] = useState(null);
   const [players, setPlayers] = useState([]);
-  const [timeLeft, setTimeLeft] = useState(null);
+  const [clockOffset, setClockOffset] = useState(0);
+  const [now, setNow] = useState(Date.now());
   const [error, setError] = useState(null);
-  const [shouldEndTimer, setShouldEndTimer] = useState(false);
+  const [gameStarted, setGameStarted] = useState(false);
+  const [cancelled, setCancelled] = useState(false);
+  const [kicked, setKicked] = useState(false);
 
   const fetchLobbyData = useCallback(async () => {
     try {
       const data = await getLobby(lobbyId);
       if (!data?.ok || !data?.result) throw new Error('Failed to load lobby');
-      setLobbyData(prev => JSON.stringify(prev) !== JSON.stringify(data.result) ? data.result : prev);
+      setClockOffset(new Date(data.result.server_time).getTime() - Date.now());
+      setLobbyData(data.result);
 
-      if (data.result.status !== 'waiting') {
-        setShouldEndTimer(true);
+      if (data.result.status === 'cancelled') {
+        setCancelled(true);
+        return;
+      }
+      if (data.result.status === 'playing' || data.result.status === 'finished') {
+        setGameStarted(true);
+        return;
+      }
+      // The lobby owner or an admin removed this player
+      if (!data.result.players.some(player => String(player.id) === String(user.id))) {
+        setKicked(true);
         return;
       }
 
@@ -54,48 +95,32 @@ const LobbyScreen = ({ user, lobbyId, onTimerEnd }) => {
         color: getPlayerColor(player.id)
       }));
       setPlayers(prev => JSON.stringify(prev) !== JSON.stringify(updatedPlayers) ? updatedPlayers : prev);
-
-      // Устанавливаем начальное время из start_delay, если оно изменилось
-      if (timeLeft === null || data.result.start_delay !== lobbyData?.start_delay) {
-        setTimeLeft(data.result.start_delay);
-      }
     } catch (err) {
       setError('Failed to load lobby data.');
     }
-  }, [lobbyId, timeLeft, lobbyData?.start_delay]);
+  }, [lobbyId, user.id]);
+
+  useLiveUpdates(`/lobbies/${lobbyId}/events`, LOBBY_EVENTS, fetchLobbyData, 2000);
 
   useEffect(() => {
-    fetchLobbyData();
-    const interval = setInterval(fetchLobbyData, 2000);
-    return () => clearInterval(interval);
-  }, [fetchLobbyData]);
+    if (gameStarted) onTimerEnd();
+  }, [gameStarted, onTimerEnd]);
 
   useEffect(() => {
-    if (!shouldEndTimer) return;
-    const complete = async () => {
-      try {
-        await completeGame(lobbyId, user.id);
-        onTimerEnd();
-      } catch (err) {
-        setError('Failed to finish the game.');
-      }
-    };
-    complete();
-  }, [shouldEndTimer, lobbyId, user.id, onTimerEnd]);
+    if (cancelled) onCancelled?.();
+  }, [cancelled, onCancelled]);
 
   useEffect(() => {
-    if (!lobbyData || lobbyData.status !== 'waiting' || timeLeft === null) return;
-    const timer = setInterval(() => {
-      setTimeLeft(prev => {
-        if (prev <= 1 || players.length >= (lobbyData.max_players || 100)) {
-          setShouldEndTimer(true);
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
+    if (kicked) onKicked?.();
+  }, [kicked, onKicked]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
     return () => clearInterval(timer);
-  }, [lobbyData, timeLeft, players.length]);
+  }, []);
+
+  const startsAt = lobbyData?.starts_at ? new Date(lobbyData.starts_at).getTime() : null;
+  const timeLeft = startsAt ? Math.max(0, Math.ceil((startsAt - (now + clockOffset)) / 1000)) : null;
 
   const maxPlayers = useMemo(() => lobbyData?.max_players || 100, [lobbyData]);
   const totalPlayers = useMemo(() => players.length, [players]);
@@ -112,13 +137,44 @@ const LobbyScreen = ({ user, lobbyId, onTimerEnd }) => {
     <div className="min-h-screen flex items-start justify-center bg-black p-5">
       <div className="flex flex-col gap-5 w-full max-w-md">
         <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-6 text-white">
-          <h2 className="text-3xl font-bold text-center mb-4">Waiting for players...</h2>
+          {lobbyData?.name && <div className="text-center text-[#ccc] mb-1">{lobbyData.name}</div>}
+          <h2 className="text-3xl font-bold text-center mb-4">
+            {lobbyData?.status === 'countdown' ? 'Get ready!' : 'Waiting for players...'}
+          </h2>
           <div className="flex flex-col items-center text-xl text-[#ccc] gap-2">
             <p>Players: {totalPlayers}/{maxPlayers}</p>
-            {lobbyData?.status === 'waiting' && (
-              <p>Time left: {timeLeft} sec</p>
+            {lobbyData?.status === 'countdown' && timeLeft !== null && (
+              <p>Starting in: {timeLeft} sec</p>
+            )}
+            {lobbyData?.status === 'waiting' && timeLeft !== null && (
+              timeLeft > MAX_COUNTDOWN
+                ? <p>Starts at: {new Date(startsAt).toLocaleString()}</p>
+                : <p>Time left: {timeLeft} sec</p>
             )}
           </div>
+          {lobbyData?.prize_pool && <PrizePool pool={lobbyData.prize_pool} />}
+          {lobbyData?.invite_code && (
+            <div className="flex items-center justify-between mt-4 text-base text-[#ccc]">
+              <span>
+                {lobbyData.visibility === 'private' && <span className="text-[#FF6584] font-bold">Private · </span>}
+                Invite code: <span className="font-mono text-white">{lobbyData.invite_code}</span>
+              </span>
+              <button
+                className="px-3 py-1 rounded-lg bg-[#6C63FF] text-white font-medium"
+                onClick={() => shareInvite(lobbyData.invite_code)}
+              >
+                Invite
+              </button>
+            </div>
+          )}
+          {onLeave && (
+            <button
+              className="w-full mt-4 py-2 rounded-lg bg-[#333] text-white font-medium"
+              onClick={onLeave}
+            >
+              Leave lobby
+            </button>
+          )}
         </div>
         <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-4 h-[600px] overflow-y-auto">
           <div className="w-full">
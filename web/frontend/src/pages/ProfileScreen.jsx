@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getUserStats, getUserGames, getWallet, getWalletTransactions } from '../api';
+
+// Games loaded per page of history
+const PAGE_SIZE = 10;
+
+// Wallet transaction descriptions by ledger reason
+const REASON_LABELS = {
+  participation: 'Played a game',
+  win: 'Won a game',
+  grant: 'Granted by an admin',
+  revoke: 'Revoked by an admin',
+  entry_fee: 'Entry fee',
+  fee_release: 'Entry fee returned',
+  prize: 'Prize',
+  refund: 'Entry fee refunded',
+};
+
+const StatTile = ({ label, value }) => (
+  <div className="bg-[#333] rounded-xl p-3 flex flex-col items-center">
+    <span className="text-2xl font-bold">{value}</span>
+    <span className="text-sm text-[#ccc] text-center">{label}</span>
+  </div>
+);
+
+const GameRow = ({ game, isLast }) => (
+  <>
+    <div className="flex items-center gap-4 p-3 text-white">
+      <div className={`w-12 text-center font-bold text-xl ${game.is_winner ? 'text-[#FFD700]' : 'text-[#888]'}`}>
+        #{game.placement}
+      </div>
+      <div className="flex-1">
+        <div className="font-medium">
+          Lobby #{game.lobby_id}
+          {game.is_winner && <span className="ml-2">🏆</span>}
+        </div>
+        <div className="text-sm text-[#ccc]">
+          {new Date(game.finished_at).toLocaleString()} · {game.players_count} players
+        </div>
+      </div>
+      <div className="text-sm text-[#ccc] text-right">
+        Survived {game.survived_rounds}/{game.rounds_count}
+      </div>
+    </div>
+    {!isLast && <hr className="h-px bg-[#181818] my-0 mx-4 border-none" />}
+  </>
+);
+
+const TransactionRow = ({ entry, isLast }) => (
+  <>
+    <div className="flex items-center gap-4 p-3 text-white">
+      <div className="flex-1">
+        <div className="font-medium">{REASON_LABELS[entry.reason] || entry.reason}</div>
+        <div className="text-sm text-[#ccc]">
+          {new Date(entry.created_at).toLocaleString()}
+          {entry.lobby_id && ` · Lobby #${entry.lobby_id}`}
+          {entry.note && ` · ${entry.note}`}
+        </div>
+      </div>
+      <div className={`font-bold text-lg ${entry.amount > 0 ? 'text-[#43E97B]' : 'text-[#FF6B6B]'}`}>
+        {entry.amount > 0 ? '+' : ''}{entry.amount}
+      </div>
+    </div>
+    {!isLast && <hr className="h-px bg-[#181818] my-0 mx-4 border-none" />}
+  </>
+);
+
+/**
+ * Shows a player's statistics, game history and coin wallet
+ */
+const ProfileScreen = ({ user, onBack }) => {
+  const [stats, setStats] = useState(null);
+  const [games, setGames] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loadingGames, setLoadingGames] = useState(false);
+  const [balance, setBalance] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [transactionsTotal, setTransactionsTotal] = useState(0);
+  const [loadingTransactions, setLoadingTransactions] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadGames = useCallback(async (offset) => {
+    setLoadingGames(true);
+    try {
+      const data = await getUserGames(user.id, PAGE_SIZE, offset);
+      if (!data?.ok || !data?.result) throw new Error(data?.message || 'Failed to load games');
+      setGames(prev => (offset === 0 ? data.result.games : [...prev, ...data.result.games]));
+      setTotal(data.result.total);
+    } catch (err) {
+      setError(`Failed to load game history: ${err.message}`);
+    } finally {
+      setLoadingGames(false);
+    }
+  }, [user.id]);
+
+  const loadTransactions = useCallback(async (offset) => {
+    setLoadingTransactions(true);
+    try {
+      const data = await getWalletTransactions(user.id, PAGE_SIZE, offset);
+      if (!data?.ok || !data?.result) throw new Error(data?.message || 'Failed to load transactions');
+      setTransactions(prev => (offset === 0 ? data.result.entries : [...prev, ...data.result.entries]));
+      setTransactionsTotal(data.result.total);
+    } catch (err) {
+      setError(`Failed to load wallet: ${err.message}`);
+    } finally {
+      setLoadingTransactions(false);
+    }
+  }, [user.id]);
+
+  useEffect(() => {
+    getWallet(user.id)
+      .then(data => setBalance(data.result.balance))
+      .catch(err => setError(`Failed to load wallet: ${err.message}`));
+    loadTransactions(0);
+  }, [user.id, loadTransactions]);
+
+  useEffect(() => {
+    const loadStats = async () => {
+      try {
+        const data = await getUserStats(user.id);
+        if (!data?.ok || !data?.result) throw new Error(data?.message || 'Failed to load stats');
+        setStats(data.result);
+      } catch (err) {
+        setError(`Failed to load stats: ${err.message}`);
+      }
+    };
+    loadStats();
+    loadGames(0);
+  }, [user.id, loadGames]);
+
+  return (
+    <div className="min-h-screen flex items-start justify-center bg-black p-5">
+      <div className="flex flex-col gap-5 w-full max-w-md">
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-6 text-white">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-3xl font-bold">{user.username}</h2>
+            <button
+              className="px-4 py-2 rounded-lg bg-[#6C63FF] text-white font-medium"
+              onClick={onBack}
+            >
+              Back
+            </button>
+          </div>
+          {error && <p className="text-[#FF6B6B] mb-3">{error}</p>}
+          {stats ? (
+            <div className="grid grid-cols-2 gap-3">
+              <StatTile label="Games played" value={stats.games_played} />
+              <StatTile label="Wins" value={stats.wins} />
+              <StatTile label="Win rate" value={`${Math.round(stats.win_rate * 100)}%`} />
+              <StatTile label="Best survival (rounds)" value={stats.best_survived_rounds} />
+              <StatTile label="Average survival (rounds)" value={stats.average_survived_rounds} />
+              <StatTile label="Win streak (best)" value={`${stats.current_win_streak} (${stats.longest_win_streak})`} />
+            </div>
+          ) : (
+            !error && <p className="text-[#ccc]">Loading stats...</p>
+          )}
+        </div>
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-4">
+          <h3 className="text-xl font-bold text-white text-center mb-2">
+            Wallet{balance !== null && `: ${balance} coins`}
+          </h3>
+          {transactions.length > 0 ? (
+            transactions.map((entry, idx) => (
+              <TransactionRow key={entry.id} entry={entry} isLast={idx === transactions.length - 1} />
+            ))
+          ) : (
+            <div className="text-[#ccc] text-center p-4 text-lg">
+              {loadingTransactions ? 'Loading...' : 'No coins earned yet.'}
+            </div>
+          )}
+          {transactions.length < transactionsTotal && (
+            <button
+              className="w-full mt-3 py-2 rounded-lg bg-[#333] text-white font-medium"
+              onClick={() => loadTransactions(transactions.length)}
+              disabled={loadingTransactions}
+            >
+              {loadingTransactions ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-4">
+          <h3 className="text-xl font-bold text-white text-center mb-2">Game History</h3>
+          {games.length > 0 ? (
+            games.map((game, idx) => (
+              <GameRow key={game.game_id} game={game} isLast={idx === games.length - 1} />
+            ))
+          ) : (
+            <div className="text-[#ccc] text-center p-4 text-lg">
+              {loadingGames ? 'Loading...' : 'No games played yet.'}
+            </div>
+          )}
+          {games.length < total && (
+            <button
+              className="w-full mt-3 py-2 rounded-lg bg-[#333] text-white font-medium"
+              onClick={() => loadGames(games.length)}
+              disabled={loadingGames}
+            >
+              {loadingGames ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileScreen;
@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { importQuestions, getQuestionSummary, getQuestions, deleteQuestion } from '../api';
+
+// Questions loaded per page of the list
+const PAGE_SIZE = 20;
+
+const FORMATS = [
+  { id: 'json', label: 'JSON' },
+  { id: 'csv', label: 'CSV' },
+];
+
+const FORMAT_HINTS = {
+  json: '[{ "text": "2 + 2?", "choices": ["3", "4"], "answer": "4", "category": "math", "difficulty": "easy" }]',
+  csv: 'text,choices,answer,category,difficulty\n"2 + 2?",3|4,4,math,easy',
+};
+
+const QuestionRow = ({ question, isLast, onDelete }) => (
+  <>
+    <div className="flex items-start gap-3 p-3 text-white">
+      <div className="flex-1">
+        <div className="font-medium">{question.text}</div>
+        <div className="text-sm text-[#ccc]">
+          {question.choices.map((choice, idx) => (
+            <span key={choice} className={idx === question.answer_index ? 'text-[#43E97B] font-bold' : ''}>
+              {idx > 0 && ' · '}{choice}
+            </span>
+          ))}
+        </div>
+        <div className="text-xs text-[#888]">{question.category} · {question.difficulty}</div>
+      </div>
+      <button className="text-[#FF6B6B] text-xl font-bold" onClick={() => onDelete(question.id)}>✕</button>
+    </div>
+    {!isLast && <hr className="h-px bg-[#181818] my-0 mx-4 border-none" />}
+  </>
+);
+
+/**
+ * Admin page for importing and browsing the trivia question bank
+ */
+const QuestionBankScreen = ({ onBack }) => {
+  const [format, setFormat] = useState('json');
+  const [content, setContent] = useState('');
+  const [summary, setSummary] = useState([]);
+  const [questions, setQuestions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [importing, setImporting] = useState(false);
+  const [message, setMessage] = useState(null); // { text, isError }
+
+  const loadSummary = useCallback(async () => {
+    try {
+      const data = await getQuestionSummary();
+      setSummary(data.result.categories);
+    } catch (err) {
+      setMessage({ text: `Failed to load categories: ${err.message}`, isError: true });
+    }
+  }, []);
+
+  const loadQuestions = useCallback(async (offset) => {
+    try {
+      const data = await getQuestions(PAGE_SIZE, offset);
+      setQuestions(prev => (offset === 0 ? data.result.questions : [...prev, ...data.result.questions]));
+      setTotal(data.result.total);
+    } catch (err) {
+      setMessage({ text: `Failed to load questions: ${err.message}`, isError: true });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSummary();
+    loadQuestions(0);
+  }, [loadSummary, loadQuestions]);
+
+  // Picking a file fills the text area and guesses the format from its extension
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    if (file.name.toLowerCase().endsWith('.csv')) setFormat('csv');
+    if (file.name.toLowerCase().endsWith('.json')) setFormat('json');
+    file.text().then(setContent);
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const data = await importQuestions(format, content);
+      setMessage({ text: `Imported ${data.result.imported} questions`, isError: false });
+      setContent('');
+      await Promise.all([loadSummary(), loadQuestions(0)]);
+    } catch (err) {
+      setMessage({ text: err.message, isError: true });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteQuestion(id);
+      setQuestions(prev => prev.filter(q => q.id !== id));
+      setTotal(prev => prev - 1);
+      await loadSummary();
+    } catch (err) {
+      setMessage({ text: `Failed to delete question: ${err.message}`, isError: true });
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-start justify-center bg-black p-5">
+      <div className="flex flex-col gap-5 w-full max-w-md">
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-6 text-white flex flex-col gap-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-3xl font-bold">Question Bank</h2>
+            <button className="px-4 py-2 rounded-lg bg-[#6C63FF] text-white font-medium" onClick={onBack}>
+              Back
+            </button>
+          </div>
+          <div className="flex gap-2">
+            {FORMATS.map(f => (
+              <button
+                key={f.id}
+                className={`px-3 py-1 rounded-lg text-sm font-medium ${format === f.id ? 'bg-[#6C63FF] text-white' : 'bg-[#333] text-[#ccc]'}`}
+                onClick={() => setFormat(f.id)}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+          <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} className="text-sm" />
+          <textarea
+            className="w-full h-40 bg-[#333] rounded-lg p-2 text-sm font-mono"
+            value={content}
+            placeholder={FORMAT_HINTS[format]}
+            onChange={e => setContent(e.target.value)}
+          />
+          <button
+            className="py-2 rounded-lg bg-[#43E97B] text-black font-medium disabled:opacity-50"
+            onClick={handleImport}
+            disabled={importing || !content.trim()}
+          >
+            {importing ? 'Importing...' : 'Import'}
+          </button>
+          {message && (
+            <div className={message.isError ? 'text-[#FF6B6B]' : 'text-[#43E97B]'}>{message.text}</div>
+          )}
+          {summary.length > 0 && (
+            <div className="flex flex-col gap-1 text-sm">
+              {summary.map(row => (
+                <div key={`${row.category}-${row.difficulty}`} className="flex justify-between">
+                  <span>{row.category} · {row.difficulty}</span>
+                  <span className="text-[#ccc]">{row.count}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-4">
+          <h3 className="text-xl font-bold text-white text-center mb-2">Questions ({total})</h3>
+          {questions.length > 0 ? (
+            questions.map((question, idx) => (
+              <QuestionRow
+                key={question.id}
+                question={question}
+                isLast={idx === questions.length - 1}
+                onDelete={handleDelete}
+              />
+            ))
+          ) : (
+            <div className="text-[#ccc] text-center p-4">No questions yet.</div>
+          )}
+          {questions.length < total && (
+            <button
+              className="w-full mt-2 py-2 rounded-lg bg-[#333] text-white"
+              onClick={() => loadQuestions(questions.length)}
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionBankScreen;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
-import { getLobby, completeGame } from '../api';
+import { getLobby, getLobbyRounds, tapRound, answerRound, voteRound } from '../api';
+import useLiveUpdates from '../hooks/useLiveUpdates';
 import GameOverScreen from './GameOverScreen';
 
 const avatarColors = [
@@ -16,7 +17,15 @@ const getPlayerColor = (playerId, assignedColors) => {
   return available;
 };
 
-const PlayerRow = React.memo(({ player, isLast, userId }) => (
+// Remaining lives as filled hearts, lost ones as empty hearts
+const Hearts = ({ lives, maxLives }) => (
+  <span className="absolute right-0 text-base tracking-tighter" title={`${lives} of ${maxLives} lives`}>
+    <span className="text-[#FF6584]">{'♥'.repeat(lives)}</span>
+    <span className="text-[#555]">{'♡'.repeat(Math.max(0, maxLives - lives))}</span>
+  </span>
+);
+
+const PlayerRow = React.memo(({ player, isLast, userId, maxLives, onVote, votedFor }) => (
   <>
     <div
       className={`flex items-center gap-4 p-3 text-white ${player.status === 'eliminated' ? 'opacity-50 grayscale' : ''}`}
@@ -30,27 +39,38 @@ const PlayerRow = React.memo(({ player, isLast, userId }) => (
       <div className="flex-1 flex items-center justify-center font-medium text-lg relative">
         <span>{player.username}</span>
         {player.id === userId && <span className="ml-2 text-white">(You)</span>}
+        {player.lives != null && player.status !== 'eliminated' && (
+          <Hearts lives={player.lives} maxLives={maxLives} />
+        )}
         {player.status === 'eliminated' && <span className="absolute right-0 text-xl text-[#888] font-bold">X</span>}
+        {votedFor && <span className="absolute right-0 text-sm text-[#FFD86E] font-bold">Your vote</span>}
       </div>
+      {onVote && (
+        <button className="px-3 py-1 rounded-lg bg-[#FF6584] text-white font-medium" onClick={() => onVote(player.id)}>
+          Vote
+        </button>
+      )}
     </div>
     {!isLast && <hr className="h-px bg-[#181818] my-0 mx-4 border-none" />}
   </>
 ));
 
-const ROUND_TIME = 3;
+// How often the round state is re-read from the server while the event stream is down (ms)
+const POLL_INTERVAL = 1000;
+
+const ROUND_EVENTS = ['round_started', 'round_window_opened', 'vote_cast', 'players_eliminated', 'lobby_finished', 'lobby_cancelled'];
 
-const RoundScreen = ({ user, lobbyId = 4, onGameEnd }) => {
+const RoundScreen = ({ user, lobbyId = 4, onGameEnd, onCancelled, onEliminated }) => {
   const [lobbyData, setLobbyData] = useState(null);
-  const [players, setPlayers] = useState([]);
-  const [winner, setWinner] = useState(null);
-  const [timeLeft, setTimeLeft] = useState(ROUND_TIME);
-  const [roundNumber, setRoundNumber] = useState(1);
-  const [gameFinished, setGameFinished] = useState(false);
+  const [roundState, setRoundState] = useState(null);
+  const [clockOffset, setClockOffset] = useState(0);
+  const [now, setNow] = useState(Date.now());
   const [error, setError] = useState(null);
+  const [tap, setTap] = useState(null); // { round_number, message } of the player's last tap
+  const [answer, setAnswer] = useState(null); // { round_number, choice, message } of the player's last answer
+  const [vote, setVote] = useState(null); // { round_number, target_id, message } of the player's last vote
 
   const assignedColors = useRef({});
-  const timerRef = useRef(null);
-  const [isEliminationPending, setIsEliminationPending] = useState(false);
 
   const fetchLobbyData = useCallback(async () => {
     if (!lobbyId) {
@@ -66,83 +86,111 @@ const RoundScreen = ({ user, lobbyId = 4, onGameEnd }) => {
     }
   }, [lobbyId]);
 
-  const fetchPlayers = useCallback(async () => {
+  // The server runs the rounds; the client only renders its latest state
+  const fetchRounds = useCallback(async () => {
     try {
-      const data = await completeGame(lobbyId);
-      if (!data?.result || !Array.isArray(data.result.leaderboard)) {
-        throw new Error('Invalid completeGame API response');
+      const data = await getLobbyRounds(lobbyId);
+      if (!data?.result || !Array.isArray(data.result.players)) {
+        throw new Error('Invalid rounds API response');
       }
-      const initialPlayers = data.result.leaderboard.map(player => ({
-        id: player.user_id,
-        username: player.username,
-        color: getPlayerColor(player.user_id, assignedColors.current),
-        status: 'active',
-        eliminatedRound: player.eliminated_round ?? null
-      }));
-      setPlayers(initialPlayers);
-      setWinner(null);
-      setRoundNumber(1);
-      setTimeLeft(ROUND_TIME);
-      setGameFinished(false);
-      setIsEliminationPending(false);
+      setClockOffset(new Date(data.result.server_time).getTime() - Date.now());
+      setRoundState(data.result);
     } catch (error) {
-      setError(`Failed to load leaderboard: ${error.message}`);
+      setError(`Failed to load rounds: ${error.message}`);
     }
   }, [lobbyId]);
 
   useEffect(() => { fetchLobbyData(); }, [fetchLobbyData]);
-  useEffect(() => { if (lobbyData) fetchPlayers(); }, [lobbyData, fetchPlayers]);
+
+  useLiveUpdates(`/lobbies/${lobbyId}/events`, ROUND_EVENTS, fetchRounds, POLL_INTERVAL);
+
+  useEffect(() => {
+    const tick = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(tick);
+  }, []);
+
+  const gameFinished = roundState?.status === 'finished';
+  const gameCancelled = roundState?.status === 'cancelled';
 
   // Watch for end of game
   useEffect(() => {
-    if (!players.length || gameFinished) return;
-    const activePlayers = players.filter(p => p.status === 'active');
-    if (activePlayers.length <= 1) {
-      setWinner(activePlayers[0] || null);
-      setGameFinished(true);
-      if (onGameEnd) onGameEnd();
-    }
-  }, [players, gameFinished, onGameEnd]);
+    if (gameFinished && onGameEnd) onGameEnd();
+  }, [gameFinished, onGameEnd]);
 
-  // Раунд: таймер -> элиминация -> след. раунд
   useEffect(() => {
-    if (!players.length || gameFinished || isEliminationPending) return;
-
-    setTimeLeft(ROUND_TIME);
-    timerRef.current = setInterval(() => {
-      setTimeLeft(prev => {
-        if (prev <= 1) {
-          clearInterval(timerRef.current);
-          setIsEliminationPending(true);
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
-
-    return () => {
-      if (timerRef.current) clearInterval(timerRef.current);
-    };
-  }, [players, gameFinished, roundNumber, isEliminationPending]);
-
-  // Элиминация: после завершения таймера
+    if (gameCancelled && onCancelled) onCancelled();
+  }, [gameCancelled, onCancelled]);
+
+  const roundInfo = roundState?.current_round?.info;
+
+  const players = useMemo(
+    () => (roundState?.players || []).map(player => ({
+      ...player,
+      color: getPlayerColor(player.id, assignedColors.current),
+    })),
+    [roundState]
+  );
+
+  const roundNumber = roundState?.current_round?.round_number
+    ?? roundState?.rounds?.[roundState.rounds.length - 1]?.round_number
+    ?? 1;
+  const deadline = roundState?.current_round ? new Date(roundState.current_round.deadline).getTime() : null;
+  const timeLeft = deadline ? Math.max(0, Math.ceil((deadline - (now + clockOffset)) / 1000)) : 0;
+
+  const isAlive = players.some(p => p.id === user.id && p.status === 'active');
+
+  // Players who are out, or were never dealt into this game, follow it as spectators
+  const isSpectator = roundState?.status === 'playing' && !isAlive;
   useEffect(() => {
-    if (!isEliminationPending) return;
-    setPlayers(prevPlayers => {
-      const stillActive = prevPlayers.filter(p => p.status === 'active');
-      const numToEliminate = Math.ceil(stillActive.length / 2);
-      if (numToEliminate === 0) return prevPlayers;
-      const shuffled = [...stillActive].sort(() => Math.random() - 0.5);
-      const toEliminateIds = shuffled.slice(0, numToEliminate).map(p => p.id);
-      return prevPlayers.map(p =>
-        toEliminateIds.includes(p.id)
-          ? { ...p, status: 'eliminated', eliminatedRound: roundNumber }
-          : p
-      );
-    });
-    setRoundNumber(r => r + 1);
-    setIsEliminationPending(false);
-  }, [isEliminationPending, roundNumber]);
+    if (isSpectator && onEliminated) onEliminated();
+  }, [isSpectator, onEliminated]);
+
+  // Reaction-tap rounds: the server reveals the window only once it has opened
+  const isTapRound = roundInfo?.window_ms !== undefined;
+  const serverNow = now + clockOffset;
+  const windowOpen = Boolean(roundInfo?.window_opens_at) && serverNow <= new Date(roundInfo.window_closes_at).getTime();
+  const canTap = isTapRound && isAlive && tap?.round_number !== roundNumber;
+
+  // Trivia rounds: the correct answer only arrives with the resolved round
+  const question = roundInfo?.question;
+  const myAnswer = answer?.round_number === roundNumber ? answer : null;
+  const lastReveal = roundState?.rounds?.filter(r => r.resolved_at && r.outcome?.answer_index !== undefined).pop()?.outcome;
+
+  const handleAnswer = async (choice) => {
+    setAnswer({ round_number: roundNumber, choice, message: 'Sending...' });
+    try {
+      await answerRound(lobbyId, choice);
+      setAnswer({ round_number: roundNumber, choice, message: 'Answer locked in' });
+    } catch (error) {
+      setAnswer({ round_number: roundNumber, choice, message: error.message.replace(/^HTTP error \d+: /, '') });
+    }
+  };
+
+  // Voting rounds: survivors vote each other out; only the tally is shown as rounds end
+  const isVoteRound = roundInfo?.votes_cast !== undefined;
+  const myVote = vote?.round_number === roundNumber ? vote : null;
+  const canVote = isVoteRound && isAlive && !myVote;
+  const lastVote = roundState?.rounds?.filter(r => r.resolved_at && r.outcome?.tally).pop();
+
+  const handleVote = useCallback(async (targetId) => {
+    setVote({ round_number: roundNumber, target_id: targetId, message: 'Sending...' });
+    try {
+      await voteRound(lobbyId, targetId);
+      setVote({ round_number: roundNumber, target_id: targetId, message: 'Vote locked in' });
+    } catch (error) {
+      setVote({ round_number: roundNumber, target_id: targetId, message: error.message.replace(/^HTTP error \d+: /, '') });
+    }
+  }, [lobbyId, roundNumber]);
+
+  const handleTap = async () => {
+    setTap({ round_number: roundNumber, message: 'Tapping...' });
+    try {
+      const data = await tapRound(lobbyId);
+      setTap({ round_number: roundNumber, message: `Tapped in ${data.result.reaction_ms} ms` });
+    } catch (error) {
+      setTap({ round_number: roundNumber, message: error.message.replace(/^HTTP error \d+: /, '') });
+    }
+  };
 
   const visiblePlayers = useMemo(
     () => players.filter(p => p.id !== lobbyData?.admin_id),
@@ -161,11 +209,10 @@ const RoundScreen = ({ user, lobbyId = 4, onGameEnd }) => {
     );
   }
 
+  // Final placements, including tie-breaks, come from the recorded results
   if (gameFinished) {
     return (
       <GameOverScreen
-        players={players}
-        winner={winner}
         user={user}
         lobbyId={lobbyId}
       />
@@ -178,11 +225,67 @@ const RoundScreen = ({ user, lobbyId = 4, onGameEnd }) => {
         <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-6 text-white">
           <div className="text-3xl font-bold text-center mb-4">
             Round {roundNumber}
+            {roundState?.rules?.max_rounds && ` of ${roundState.rules.max_rounds}`}
           </div>
           <div className="flex flex-col items-center text-xl text-[#ccc] gap-2">
             <div>Players left: {activePlayersCount}</div>
+            {roundState?.mode && <div className="text-base">{roundState.mode.name}: {roundState.mode.description}</div>}
+            {roundInfo?.eliminate_count !== undefined && (
+              <div>Eliminating this round: {roundInfo.eliminate_count}</div>
+            )}
+            {roundInfo?.hit_count !== undefined && (
+              <div>Losing a life this round: {roundInfo.hit_count}</div>
+            )}
             <div>Next elimination in: {timeLeft} sec</div>
           </div>
+          {canTap && (
+            <button
+              className={`w-full mt-4 py-6 rounded-2xl text-3xl font-bold text-white ${windowOpen ? 'bg-[#43E97B]' : 'bg-[#555]'}`}
+              onClick={handleTap}
+            >
+              {windowOpen ? 'TAP NOW!' : 'Wait for it...'}
+            </button>
+          )}
+          {isTapRound && tap?.round_number === roundNumber && (
+            <div className="text-center text-xl mt-4 text-[#FFD86E]">{tap.message}</div>
+          )}
+          {question && (
+            <div className="mt-4 flex flex-col gap-2">
+              <div className="text-sm text-[#888] text-center">{question.category} · {question.difficulty}</div>
+              <div className="text-xl font-bold text-center">{question.text}</div>
+              {question.choices.map((choice, idx) => (
+                <button
+                  key={choice}
+                  className={`py-3 rounded-xl text-lg font-medium text-white ${myAnswer?.choice === idx ? 'bg-[#6C63FF]' : 'bg-[#333]'} disabled:opacity-60`}
+                  onClick={() => handleAnswer(idx)}
+                  disabled={!isAlive || Boolean(myAnswer)}
+                >
+                  {choice}
+                </button>
+              ))}
+              {myAnswer && <div className="text-center text-[#FFD86E]">{myAnswer.message}</div>}
+            </div>
+          )}
+          {isVoteRound && (
+            <div className="mt-4 text-center text-xl text-[#ccc]">
+              Votes cast: {roundInfo.votes_cast} of {activePlayersCount}
+              {canVote && <div className="text-base">Pick a player below to vote out</div>}
+              {myVote && <div className="text-[#FFD86E]">{myVote.message}</div>}
+            </div>
+          )}
+          {lastVote && (
+            <div className="mt-4 text-center text-base text-[#ccc]">
+              Last vote: {lastVote.eliminated_ids.map(id => players.find(p => p.id === id)?.username || id).join(', ') || 'nobody'} voted out
+              {lastVote.eliminated_ids.length > 0 && ` with ${lastVote.outcome.tally[lastVote.eliminated_ids[0]]} votes`}
+              {lastVote.outcome.tie_break && ' (tie broken at random)'}
+            </div>
+          )}
+          {lastReveal && (
+            <div className="mt-4 text-center text-base text-[#ccc]">
+              Last question: {lastReveal.text} Answer: <span className="text-[#43E97B] font-bold">{lastReveal.choices[lastReveal.answer_index]}</span>
+              {lastReveal.fallback && ' (nobody got it right, random elimination)'}
+            </div>
+          )}
         </div>
         <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-4 h-[600px] overflow-y-auto">
           <div className="w-full">
@@ -193,6 +296,9 @@ const RoundScreen = ({ user, lobbyId = 4, onGameEnd }) => {
                   player={player}
                   isLast={idx === visiblePlayers.length - 1}
                   userId={user.id}
+                  maxLives={roundState?.rules?.starting_lives}
+                  onVote={canVote && player.status === 'active' && player.id !== user.id ? handleVote : null}
+                  votedFor={myVote?.target_id === player.id}
                 />
               ))
             ) : (
@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { getLobbyRounds } from '../api';
+import useLiveUpdates from '../hooks/useLiveUpdates';
+
+const AVATAR_COLORS = [
+  '#6C63FF', '#FF6584', '#43E97B', '#FFD86E', '#FF6B6B',
+  '#36CFC9', '#FFB86C', '#A3A1FB', '#FEC163', '#43E97B',
+];
+
+const getPlayerColor = (playerId) => {
+  const hash = [...playerId.toString()].reduce((acc, char) => acc + char.charCodeAt(0), 0);
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+};
+
+// How often the game is re-read from the server while the event stream is down (ms)
+const POLL_INTERVAL = 1000;
+
+const SPECTATOR_EVENTS = [
+  'lobby_started', 'round_started', 'players_eliminated', 'spectators_changed', 'lobby_finished', 'lobby_cancelled',
+];
+
+const SurvivorRow = ({ player, isLast, userId }) => (
+  <>
+    <div className="flex items-center gap-4 p-3 text-white">
+      <div
+        className="w-10 h-10 rounded-full flex items-center justify-center font-bold text-xl text-white"
+        style={{ backgroundColor: getPlayerColor(player.id) }}
+      >
+        {player.username.charAt(0).toUpperCase()}
+      </div>
+      <div className="flex-1 text-center font-medium text-lg">
+        {player.username}
+        {player.id === userId && <span className="ml-2">(You)</span>}
+      </div>
+      {player.lives != null && <span className="text-[#FF6584]">{'♥'.repeat(player.lives)}</span>}
+    </div>
+    {!isLast && <hr className="h-px bg-[#181818] my-0 mx-4 border-none" />}
+  </>
+);
+
+/**
+ * Read-only live view of a running game, for eliminated players and
+ * anyone watching a lobby they are not playing in. `inviteCode` lets
+ * invited users watch a private lobby.
+ */
+const SpectatorScreen = ({ user, lobbyId, inviteCode = null, onGameEnd, onCancelled, onBack }) => {
+  const [roundState, setRoundState] = useState(null);
+  const [clockOffset, setClockOffset] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [error, setError] = useState(null);
+
+  const fetchRounds = useCallback(async () => {
+    try {
+      const data = await getLobbyRounds(lobbyId, inviteCode);
+      if (!data?.result || !Array.isArray(data.result.players)) {
+        throw new Error('Invalid rounds API response');
+      }
+      setClockOffset(new Date(data.result.server_time).getTime() - Date.now());
+      setRoundState(data.result);
+    } catch (error) {
+      setError(`Failed to load game: ${error.message}`);
+    }
+  }, [lobbyId, inviteCode]);
+
+  const isOver = ['finished', 'cancelled'].includes(roundState?.status);
+
+  // The spectator stream only serves running lobbies
+  const streamEndpoint = `/lobbies/${lobbyId}/spectate${inviteCode ? `?invite_code=${encodeURIComponent(inviteCode)}` : ''}`;
+  useLiveUpdates(isOver ? null : streamEndpoint, SPECTATOR_EVENTS, fetchRounds, POLL_INTERVAL);
+
+  useEffect(() => {
+    const tick = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(tick);
+  }, []);
+
+  useEffect(() => {
+    if (roundState?.status === 'finished' && onGameEnd) onGameEnd();
+    if (roundState?.status === 'cancelled' && onCancelled) onCancelled();
+  }, [roundState?.status, onGameEnd, onCancelled]);
+
+  const survivors = useMemo(
+    () => (roundState?.players || []).filter(p => p.status === 'active'),
+    [roundState]
+  );
+
+  // Newest eliminations first
+  const feed = useMemo(() => {
+    const usernames = Object.fromEntries((roundState?.players || []).map(p => [p.id, p.username]));
+    return (roundState?.rounds || [])
+      .filter(round => round.resolved_at)
+      .map(round => ({
+        round_number: round.round_number,
+        names: round.eliminated_ids.map(id => usernames[id] || id),
+      }))
+      .reverse();
+  }, [roundState]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-black text-white">
+        {error}
+      </div>
+    );
+  }
+
+  if (!roundState) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-black text-white text-xl">
+        Loading...
+      </div>
+    );
+  }
+
+  const roundNumber = roundState.current_round?.round_number
+    ?? roundState.rounds[roundState.rounds.length - 1]?.round_number;
+  const deadline = roundState.current_round ? new Date(roundState.current_round.deadline).getTime() : null;
+  const timeLeft = deadline ? Math.max(0, Math.ceil((deadline - (now + clockOffset)) / 1000)) : 0;
+
+  return (
+    <div className="min-h-screen flex items-start justify-center bg-black p-5">
+      <div className="flex flex-col gap-5 w-full max-w-md">
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-6 text-white">
+          <div className="flex items-center justify-between mb-4">
+            <div className="text-sm font-bold uppercase text-[#FF6584]">Spectating</div>
+            <div className="text-sm text-[#ccc]" title="Spectators">👁 {roundState.spectators ?? 0}</div>
+          </div>
+          <div className="text-3xl font-bold text-center mb-4">
+            {roundState.status === 'countdown' && 'Starting soon'}
+            {roundState.status === 'playing' && `Round ${roundNumber ?? 1}`}
+            {roundState.status === 'finished' && 'Game over'}
+            {roundState.status === 'cancelled' && 'Game cancelled'}
+          </div>
+          <div className="flex flex-col items-center text-xl text-[#ccc] gap-2">
+            <div>Players left: {survivors.length}</div>
+            {roundState.mode && <div className="text-base">{roundState.mode.name}</div>}
+            {roundState.status === 'playing' && <div>Next elimination in: {timeLeft} sec</div>}
+            {roundState.status === 'finished' && survivors.length > 0 && (
+              <div className="text-[#FFD700]">Survivors: {survivors.map(p => p.username).join(', ')}</div>
+            )}
+          </div>
+          {onBack && (
+            <button className="w-full mt-4 py-2 rounded-lg bg-[#6C63FF] text-white font-medium" onClick={onBack}>
+              Watch another game
+            </button>
+          )}
+        </div>
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-4">
+          <h3 className="text-xl font-bold text-white text-center mb-2">Survivors</h3>
+          {survivors.map((player, idx) => (
+            <SurvivorRow key={player.id} player={player} isLast={idx === survivors.length - 1} userId={user?.id} />
+          ))}
+        </div>
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-4 text-white">
+          <h3 className="text-xl font-bold text-center mb-2">Eliminations</h3>
+          {feed.length > 0 ? (
+            feed.map(entry => (
+              <div key={entry.round_number} className="py-1">
+                <span className="text-[#888]">Round {entry.round_number}:</span>{' '}
+                {entry.names.length ? `${entry.names.join(', ')} out` : 'nobody out'}
+              </div>
+            ))
+          ) : (
+            <div className="text-[#ccc] text-center">No eliminations yet.</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpectatorScreen;
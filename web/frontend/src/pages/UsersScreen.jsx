@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getUsers, setUserRole, grantCoins, revokeCoins } from '../api';
+import { ROLES } from '../roles';
+
+/**
+ * Inline form for granting or revoking a user's coins; a reason is required
+ */
+const CoinsForm = ({ target, onSubmit, onCancel }) => {
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const inputClass = 'bg-[#333] rounded-lg p-2 text-sm text-white';
+  const valid = Number.isInteger(Number(amount)) && Number(amount) > 0 && reason.trim();
+  return (
+    <div className="flex flex-col gap-2 pb-2">
+      <div className="flex gap-2">
+        <input
+          className={`${inputClass} w-24`}
+          type="number"
+          min="1"
+          placeholder="Amount"
+          value={amount}
+          onChange={e => setAmount(e.target.value)}
+        />
+        <input
+          className={`${inputClass} flex-1`}
+          maxLength={255}
+          placeholder={`Reason (${target.username})`}
+          value={reason}
+          onChange={e => setReason(e.target.value)}
+        />
+      </div>
+      <div className="flex gap-2">
+        <button
+          className="flex-1 py-1 rounded-lg bg-[#43E97B] text-black font-medium"
+          disabled={!valid}
+          onClick={() => onSubmit('grant', Number(amount), reason.trim())}
+        >
+          Grant
+        </button>
+        <button
+          className="flex-1 py-1 rounded-lg bg-[#FF6B6B] text-white font-medium"
+          disabled={!valid}
+          onClick={() => onSubmit('revoke', Number(amount), reason.trim())}
+        >
+          Revoke
+        </button>
+        <button className="flex-1 py-1 rounded-lg bg-[#333] text-white font-medium" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Admin page for granting the admin and host roles and adjusting coin balances
+ */
+const UsersScreen = ({ user, onBack }) => {
+  const [users, setUsers] = useState([]);
+  const [search, setSearch] = useState('');
+  const [message, setMessage] = useState(null); // { text, isError }
+  const [coinsUserId, setCoinsUserId] = useState(null); // User whose coins form is open
+
+  const loadUsers = useCallback(async () => {
+    try {
+      const data = await getUsers();
+      setUsers(data.result.users);
+    } catch (err) {
+      setMessage({ text: `Failed to load users: ${err.message}`, isError: true });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const handleRole = async (target, role) => {
+    try {
+      await setUserRole(target.id, role);
+      setUsers(prev => prev.map(u => (u.id === target.id ? { ...u, role } : u)));
+      setMessage({ text: `${target.username} is now ${role}`, isError: false });
+    } catch (err) {
+      setMessage({ text: `Failed to change role: ${err.message}`, isError: true });
+    }
+  };
+
+  const handleCoins = async (target, action, amount, reason) => {
+    try {
+      const data = action === 'grant'
+        ? await grantCoins(target.id, amount, reason)
+        : await revokeCoins(target.id, amount, reason);
+      setUsers(prev => prev.map(u => (u.id === target.id ? { ...u, balance: data.result.balance } : u)));
+      setCoinsUserId(null);
+      setMessage({ text: `${target.username} now has ${data.result.balance} coins`, isError: false });
+    } catch (err) {
+      setMessage({ text: `Failed to ${action} coins: ${err.message}`, isError: true });
+    }
+  };
+
+  const query = search.trim().toLowerCase();
+  const shown = users
+    .filter(u => !query || u.username.toLowerCase().includes(query) || String(u.id).includes(query))
+    .sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role) || a.username.localeCompare(b.username));
+
+  return (
+    <div className="min-h-screen flex items-start justify-center bg-black p-5">
+      <div className="flex flex-col gap-5 w-full max-w-md">
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-6 text-white flex flex-col gap-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-3xl font-bold">Users</h2>
+            <button className="px-4 py-2 rounded-lg bg-[#6C63FF] text-white font-medium" onClick={onBack}>
+              Back
+            </button>
+          </div>
+          <div className="text-sm text-[#ccc]">
+            Hosts create and run their own lobbies; admins manage everything.
+          </div>
+          <input
+            className="bg-[#333] rounded-lg p-2 text-sm text-white"
+            placeholder="Search by name or id"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+          />
+          {message && (
+            <div className={message.isError ? 'text-[#FF6B6B]' : 'text-[#43E97B]'}>{message.text}</div>
+          )}
+        </div>
+        <div className="bg-[#222] border-4 border-[#aaa] rounded-2xl shadow-xl p-4 text-white">
+          {shown.map((u, idx) => (
+            <div key={u.id} className={idx < shown.length - 1 ? 'border-b border-[#181818]' : ''}>
+              <div className="flex items-center gap-3 py-2">
+                <div className="flex-1">
+                  <div className="font-medium">{u.username}{u.id === user?.id && ' (You)'}</div>
+                  <div className="text-xs text-[#888]">{u.id} · {u.balance ?? 0} coins</div>
+                </div>
+                <button
+                  className="px-3 py-2 rounded-lg bg-[#FFD86E] text-black text-sm font-medium"
+                  onClick={() => setCoinsUserId(coinsUserId === u.id ? null : u.id)}
+                >
+                  Coins
+                </button>
+                <select
+                  className="bg-[#333] rounded-lg p-2 text-sm text-white"
+                  value={u.role}
+                  onChange={e => handleRole(u, e.target.value)}
+                  disabled={u.id === user?.id}
+                >
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+              </div>
+              {coinsUserId === u.id && (
+                <CoinsForm
+                  target={u}
+                  onSubmit={(action, amount, reason) => handleCoins(u, action, amount, reason)}
+                  onCancel={() => setCoinsUserId(null)}
+                />
+              )}
+            </div>
+          ))}
+          {!shown.length && <div className="text-[#ccc] text-center p-4">No users found.</div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UsersScreen;
@@ -1,11 +1,45 @@
 import React from 'react';
 
-const WaitingScreen = () => (
+const WaitingScreen = ({ onShowProfile, onShowLeaderboard, onWatchGames, onBrowse }) => (
   <div className="min-h-screen min-w-full bg-black flex items-center justify-center text-white text-xl">
     <div className="flex flex-col items-center gap-4">
       <p>Waiting for a new lobby to be created...</p>
+      <div className="flex gap-3">
+        {onShowProfile && (
+          <button
+            className="px-4 py-2 rounded-lg bg-[#6C63FF] text-white text-base font-medium"
+            onClick={onShowProfile}
+          >
+            My Profile
+          </button>
+        )}
+        {onShowLeaderboard && (
+          <button
+            className="px-4 py-2 rounded-lg bg-[#36CFC9] text-white text-base font-medium"
+            onClick={onShowLeaderboard}
+          >
+            Leaderboards
+          </button>
+        )}
+        {onBrowse && (
+          <button
+            className="px-4 py-2 rounded-lg bg-[#43E97B] text-black text-base font-medium"
+            onClick={onBrowse}
+          >
+            Lobbies
+          </button>
+        )}
+        {onWatchGames && (
+          <button
+            className="px-4 py-2 rounded-lg bg-[#FF6584] text-white text-base font-medium"
+            onClick={onWatchGames}
+          >
+            Watch Live
+          </button>
+        )}
+      </div>
     </div>
   </div>
 );
 
-export default WaitingScreen;
\ No newline at end of file
+export default WaitingScreen;
@@ -0,0 +1,9 @@
+// Roles a user can be granted, from most to least privileged
+export const ROLES = ['admin', 'host', 'player'];
+
+/**
+ * Whether the user may create and run lobbies, i.e. uses the admin panel
+ * @param {{ role?: string }|null} user
+ * @returns {boolean}
+ */
+export const canHost = (user) => ['admin', 'host'].includes(user?.role);